@@ -0,0 +1,140 @@
+/**
+ * Splitting command strings into argv and rendering argv for display. Tools
+ * never run commands through a shell, so these only deal with POSIX word
+ * quoting and never expand anything.
+ */
+
+/**
+ * Arguments of a command as an argv array. Arrays are used as they are;
+ * strings are split like a POSIX shell splits words (quotes and
+ * backslashes), without expanding anything. Commands never run through a
+ * shell, so unquoted shell operators are rejected instead of being passed
+ * on as arguments.
+ */
+export function parseCommandArguments(value, name) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      if (!["string", "number"].includes(typeof item)) {
+        throw new Error(`${name} must only contain strings`);
+      }
+      return String(item);
+    });
+  }
+  if (typeof value !== "string") {
+    throw new Error(`${name} must be a string or an array of strings`);
+  }
+  return splitShellWords(value, name);
+}
+
+export function splitShellWords(text, name = "command") {
+  const words = [];
+  let word = "";
+  let inWord = false;
+  let quote = null;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === "\\" && index + 1 < text.length) {
+        // Inside double quotes a backslash only escapes $ ` " \ and newline
+        const next = text[index + 1];
+        if (next === "\n") {
+          index++;
+        } else if ('$`"\\'.includes(next)) {
+          word += next;
+          index++;
+        } else {
+          word += char;
+        }
+      } else {
+        word += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      inWord = true;
+    } else if (char === "\\") {
+      if (index + 1 < text.length) {
+        index++;
+        if (text[index] !== "\n") {
+          word += text[index];
+          inWord = true;
+        }
+      } else {
+        word += char;
+        inWord = true;
+      }
+    } else if (/\s/.test(char)) {
+      if (inWord) {
+        words.push(word);
+        word = "";
+        inWord = false;
+      }
+    } else if ("|&;<>()`".includes(char)) {
+      throw new Error(
+        `Unquoted '${char}' in ${name}: commands are not run through a shell, so quote the argument (e.g. "vendor/package:^1.0 || ^2.0") or pass an array of arguments`,
+      );
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in ${name}`);
+  }
+  if (inWord) {
+    words.push(word);
+  }
+  return words;
+}
+
+/**
+ * Render argv for display, quoting arguments the way a POSIX shell would
+ * need them.
+ */
+export function formatCommand(argv) {
+  return argv
+    .map((arg) =>
+      /^[\w@%+=:,./-]+$/.test(arg)
+        ? arg
+        : `'${String(arg).replace(/'/g, "'\\''")}'`,
+    )
+    .join(" ");
+}
+
+/**
+ * formatCommand for command and job logs, which outlive the call: database
+ * passwords are masked and inline PHP scripts (php -r) are abbreviated to
+ * their size.
+ */
+export function formatLoggedCommand(argv) {
+  const databaseClient = argv.some((arg) =>
+    /^(mysql|mysqldump|mariadb|mariadb-dump)$/.test(arg),
+  );
+  return formatCommand(
+    argv.map((arg, index) => {
+      const value = String(arg);
+      if (argv[index - 1] === "-r" && argv[index - 2] === "php") {
+        return `<PHP script, ${Buffer.byteLength(value)} bytes>`;
+      }
+      if (databaseClient && /^-p./.test(value)) {
+        return "-p***";
+      }
+      return value
+        .replace(/^(--[\w-]*password=|MYSQL_PWD=).+$/i, "$1***")
+        .replace(/("[\w-]*password"\s*:\s*)"(?:[^"\\]|\\.)*"/gi, '$1"***"');
+    }),
+  );
+}
@@ -0,0 +1,90 @@
+/**
+ * Compare two versions numerically, part by part: dotted strings such as
+ * 2.4.7 or 1.0.0-1 (a * counts as 0), or arrays of numbers. Missing parts
+ * count as 0. Returns -1, 0 or 1.
+ */
+export function compareVersions(a, b) {
+  const parts = (version) =>
+    Array.isArray(version)
+      ? version
+      : String(version)
+          .split(/[.-]/)
+          .map((part) => Number(part) || 0);
+  const left = parts(a);
+  const right = parts(b);
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) {
+      return Math.sign(difference);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Whether a Composer version constraint allows a PHP minor version such as
+ * 8.2. Handles the forms Magento uses: ~8.1.0, ^8.1, >=8.1 <8.4, 8.2.*
+ * and alternatives joined with ||.
+ */
+export function phpConstraintAllows(constraint, version) {
+  const parse = (text) =>
+    text.split(".").map((part) => (part === "*" ? 0 : Number(part)));
+  const [major, minor] = parse(version);
+  // Lower bounds are met by the newest patch release, upper bounds by the
+  // first one
+  const newest = [major, minor, 999];
+  const first = [major, minor, 0];
+
+  const allows = (term) => {
+    const match = term.match(
+      /^(\^|~|>=|<=|>|<|==?|!=)?v?(\d+(?:\.(?:\d+|\*)){0,2})$/,
+    );
+    if (!match) {
+      return false;
+    }
+    const [, operator = "", bound] = match;
+    const parts = parse(bound);
+    const depth = bound.split(".").filter((part) => part !== "*").length;
+    switch (operator) {
+      case ">=":
+        return compareVersions(newest, parts) >= 0;
+      case ">":
+        return compareVersions(newest, parts) > 0;
+      case "<=":
+        return compareVersions(first, parts) <= 0;
+      case "<":
+        return compareVersions(first, parts) < 0;
+      case "!=":
+        return true;
+      case "^": {
+        const upper = parts[0] > 0 ? [parts[0] + 1] : [0, parts[1] + 1];
+        return (
+          compareVersions(newest, parts) >= 0 &&
+          compareVersions(first, upper) < 0
+        );
+      }
+      case "~": {
+        const upper = depth > 2 ? [parts[0], parts[1] + 1] : [parts[0] + 1];
+        return (
+          compareVersions(newest, parts) >= 0 &&
+          compareVersions(first, upper) < 0
+        );
+      }
+      default: {
+        // 8.2, 8.2.*, 8.2.10
+        const prefix = parts.slice(0, Math.min(depth, 2));
+        return prefix.every((part, index) => [major, minor][index] === part);
+      }
+    }
+  };
+
+  return constraint.split(/\|+/).some((alternative) =>
+    alternative
+      .trim()
+      .replace(/\s*,\s*/g, " ")
+      .replace(/(>=|<=|>|<|!=|==?)\s+/g, "$1")
+      .split(/\s+/)
+      .filter(Boolean)
+      .every(allows),
+  );
+}
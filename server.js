@@ -6,9 +6,1036 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { spawn, execSync } from "child_process";
-import { resolve, join } from "path";
-import { existsSync, readFileSync, writeFileSync } from "fs";
+import { spawn } from "child_process";
+import { resolve, join, basename, dirname } from "path";
+import {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  renameSync,
+  statSync,
+  unlinkSync,
+  openSync,
+  readSync,
+  closeSync,
+  createReadStream,
+  createWriteStream,
+  readdirSync,
+} from "fs";
+import { homedir } from "os";
+import { AsyncLocalStorage } from "async_hooks";
+import { createHash, randomBytes } from "crypto";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import { setTimeout as delay } from "timers/promises";
+import { createGzip, createGunzip, inflateSync } from "zlib";
+import {
+  formatCommand,
+  formatLoggedCommand,
+  parseCommandArguments,
+} from "./lib/shell-words.js";
+import { compareVersions, phpConstraintAllows } from "./lib/versions.js";
+
+/**
+ * PHP runner used by warden_db_query. It is executed with `php -r` inside the
+ * php-fpm container and receives its input as a JSON encoded argument, so
+ * neither the query nor the parameters pass through a shell. The result is
+ * printed as JSON: one entry per statement, with column metadata and rows as
+ * positional arrays (NULL stays null, tabs and newlines stay intact). With
+ * read_only set, everything runs inside a READ ONLY transaction that is rolled
+ * back afterwards.
+ */
+const SQL_RUNNER_PHP = `
+$input = json_decode($argv[1], true);
+$output = ["statements" => [], "warnings" => [], "error" => null];
+try {
+    $pdo = new PDO(
+        "mysql:host=" . $input["host"] . ";dbname=" . $input["database"] . ";charset=utf8mb4",
+        $input["user"],
+        $input["password"],
+        [
+            PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION,
+            PDO::ATTR_EMULATE_PREPARES => true,
+            PDO::ATTR_STRINGIFY_FETCHES => true,
+            PDO::MYSQL_ATTR_MULTI_STATEMENTS => true,
+            PDO::MYSQL_ATTR_USE_BUFFERED_QUERY => false,
+        ]
+    );
+    if ($input["read_only"]) {
+        $pdo->exec("START TRANSACTION READ ONLY");
+    }
+    $stmt = $pdo->prepare($input["query"]);
+    $params = $input["params"];
+    $isList = $params === array_values($params);
+    foreach ($params as $key => $value) {
+        $name = $isList ? $key + 1 : ":" . ltrim($key, ":");
+        if ($value === null) {
+            $stmt->bindValue($name, null, PDO::PARAM_NULL);
+        } elseif (is_bool($value)) {
+            $stmt->bindValue($name, $value ? 1 : 0, PDO::PARAM_INT);
+        } elseif (is_int($value)) {
+            $stmt->bindValue($name, $value, PDO::PARAM_INT);
+        } else {
+            $stmt->bindValue($name, (string) $value, PDO::PARAM_STR);
+        }
+    }
+    $stmt->execute();
+    do {
+        $columnCount = $stmt->columnCount();
+        if ($columnCount === 0) {
+            $output["statements"][] = ["affected_rows" => $stmt->rowCount()];
+            continue;
+        }
+        $columns = [];
+        for ($i = 0; $i < $columnCount; $i++) {
+            $meta = $stmt->getColumnMeta($i);
+            $columns[] = [
+                "name" => $meta["name"],
+                "type" => isset($meta["native_type"]) ? $meta["native_type"] : null,
+                "table" => isset($meta["table"]) && $meta["table"] !== "" ? $meta["table"] : null,
+            ];
+        }
+        $rows = [];
+        $rowCount = 0;
+        while (($row = $stmt->fetch(PDO::FETCH_NUM)) !== false) {
+            if ($input["max_rows"] === null || $rowCount < $input["max_rows"]) {
+                $rows[] = $row;
+            }
+            $rowCount++;
+        }
+        $output["statements"][] = ["columns" => $columns, "rows" => $rows, "row_count" => $rowCount];
+    } while ($stmt->nextRowset());
+    $stmt->closeCursor();
+    $output["warnings"] = $pdo->query("SHOW WARNINGS")->fetchAll(PDO::FETCH_ASSOC);
+    if ($input["read_only"]) {
+        $pdo->exec("ROLLBACK");
+    }
+} catch (PDOException $e) {
+    $output["error"] = [
+        "message" => $e->getMessage(),
+        "sqlstate" => $e->getCode(),
+        "code" => isset($e->errorInfo[1]) ? $e->errorInfo[1] : null,
+    ];
+}
+echo json_encode($output, JSON_INVALID_UTF8_SUBSTITUTE | JSON_PARTIAL_OUTPUT_ON_ERROR);
+`;
+
+/**
+ * Long command output is cut to its first and last lines in tool results; the
+ * full output stays in the command log.
+ */
+const OUTPUT_HEAD_LINES = 50;
+const OUTPUT_TAIL_LINES = 150;
+
+/**
+ * Minimum delay between two progress notifications of one command, and the
+ * most output one notification carries.
+ */
+const PROGRESS_INTERVAL_MS = 1000;
+const PROGRESS_MESSAGE_MAX_CHARS = 8000;
+
+/**
+ * Default timeouts in seconds per tool, overridable with the timeout argument.
+ */
+const DEFAULT_TOOL_TIMEOUT = 600;
+const TOOL_TIMEOUTS = {
+  warden_list_environments: 60,
+  warden_start_project: 1200,
+  warden_stop_project: 300,
+  warden_start_svc: 600,
+  warden_stop_svc: 300,
+  warden_db_query: 300,
+  warden_db_dump: 3600,
+  warden_db_import: 7200,
+  warden_db_snapshot_list: 60,
+  warden_db_snapshot_restore: 7200,
+  warden_db_anonymize: 1800,
+  warden_redis_info: 300,
+  warden_redis_keys: 300,
+  warden_redis_entry: 120,
+  warden_redis_flush: 120,
+  warden_search: 300,
+  warden_magento_cli: 1800,
+  warden_magento_config: 300,
+  warden_magento_cache: 300,
+  warden_magento_indexer: 3600,
+  warden_magento_cron: 1800,
+  warden_magento_modules: 300,
+  warden_magento_deploy_mode: 3600,
+  warden_xdebug: 600,
+  warden_xdebug_run: 3600,
+  warden_xdebug_files: 300,
+  warden_run_unit_tests: 1800,
+  warden_run_integration_tests: 7200,
+  warden_run_static_tests: 3600,
+  warden_code_analysis: 1800,
+  warden_composer: 1800,
+  warden_framework_cli: 1800,
+  warden_init_project: 300,
+};
+
+/**
+ * Default timeout of warden_init_project with install: true (seconds).
+ * Composer create-project and setup:install alone often take 15 minutes.
+ */
+const INIT_INSTALL_TIMEOUT = 5400;
+
+/**
+ * How long the install waits for db and the search engine to report healthy
+ * after warden env up (seconds).
+ */
+const INSTALL_HEALTH_TIMEOUT = 300;
+
+/**
+ * Tools that only read the server's own state; they take neither a timeout
+ * nor the background flag.
+ */
+const STATE_ONLY_TOOLS = [
+  "warden_command_log",
+  "warden_job_status",
+  "warden_job_output",
+  "warden_job_cancel",
+];
+
+/**
+ * Magento log files are read from their end; older content is skipped.
+ */
+const MAGENTO_LOG_MAX_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Container log lines read per container when warden_logs filters them with
+ * grep; the matches are searched in these newest lines.
+ */
+const CONTAINER_LOG_SCAN_LINES = 5000;
+
+/**
+ * Monolog levels, least severe first.
+ */
+const MONOLOG_LEVELS = [
+  "DEBUG",
+  "INFO",
+  "NOTICE",
+  "WARNING",
+  "ERROR",
+  "CRITICAL",
+  "ALERT",
+  "EMERGENCY",
+];
+
+/**
+ * Compose services that Warden adds when a .env flag is set. php-fpm is part
+ * of every environment type except "local".
+ */
+const WARDEN_SERVICE_FLAGS = [
+  { service: "nginx", flag: "WARDEN_NGINX", enabledByDefault: true },
+  { service: "db", flag: "WARDEN_DB", enabledByDefault: true },
+  { service: "redis", flag: "WARDEN_REDIS" },
+  { service: "valkey", flag: "WARDEN_VALKEY" },
+  { service: "opensearch", flag: "WARDEN_OPENSEARCH" },
+  { service: "elasticsearch", flag: "WARDEN_ELASTICSEARCH" },
+  { service: "varnish", flag: "WARDEN_VARNISH" },
+  { service: "rabbitmq", flag: "WARDEN_RABBITMQ" },
+  { service: "blackfire", flag: "WARDEN_BLACKFIRE" },
+  { service: "selenium", flag: "WARDEN_SELENIUM" },
+];
+
+/**
+ * What differs between Warden environment types: the framework CLI run in
+ * php-fpm (and its flag to disable prompts), the database Warden creates,
+ * and warden_init_project's default versions and services.
+ */
+const ENV_TYPE_PROFILES = {
+  magento2: {
+    cli: ["php", "bin/magento"],
+    noInteraction: "--no-interaction",
+    database: "magento",
+    versions: {},
+    services: { redis: true, opensearch: true, varnish: true, rabbitmq: true },
+  },
+  magento1: {
+    cli: ["n98-magerun"],
+    noInteraction: "--no-interaction",
+    database: "magento",
+    versions: { php_version: "8.1" },
+    services: {
+      redis: true,
+      opensearch: false,
+      varnish: false,
+      rabbitmq: false,
+    },
+  },
+  laravel: {
+    cli: ["php", "artisan"],
+    noInteraction: "--no-interaction",
+    database: "laravel",
+    versions: {},
+    services: {
+      redis: true,
+      opensearch: false,
+      varnish: false,
+      rabbitmq: false,
+    },
+  },
+  symfony: {
+    cli: ["php", "bin/console"],
+    noInteraction: "--no-interaction",
+    database: "symfony",
+    versions: {},
+    services: {
+      redis: true,
+      opensearch: false,
+      varnish: false,
+      rabbitmq: false,
+    },
+  },
+  shopware: {
+    cli: ["php", "bin/console"],
+    noInteraction: "--no-interaction",
+    database: "shopware",
+    versions: { php_version: "8.2", mysql_version: "10.11" },
+    services: {
+      redis: true,
+      opensearch: false,
+      varnish: false,
+      rabbitmq: false,
+    },
+  },
+  wordpress: {
+    cli: ["wp"],
+    database: "wordpress",
+    versions: { php_version: "8.2" },
+    services: {
+      redis: false,
+      opensearch: false,
+      varnish: false,
+      rabbitmq: false,
+    },
+  },
+};
+
+/**
+ * Tools that only apply to some environment types. Projects of another type
+ * are refused.
+ */
+const TOOL_ENV_TYPES = {
+  warden_magento_cli: ["magento2"],
+  warden_magento_config: ["magento2"],
+  warden_magento_cache: ["magento2"],
+  warden_magento_indexer: ["magento2"],
+  warden_magento_cron: ["magento2"],
+  warden_magento_modules: ["magento2"],
+  warden_magento_deploy_mode: ["magento2"],
+  warden_run_integration_tests: ["magento2"],
+  warden_run_static_tests: ["magento2"],
+  warden_db_anonymize: ["magento2"],
+};
+
+/**
+ * Service versions used by warden_init_project when no magento_version is
+ * given.
+ */
+const INIT_PROJECT_DEFAULTS = {
+  php_version: "8.3",
+  mysql_version: "10.6",
+  composer_version: "2",
+  opensearch_version: "2.12",
+  redis_version: "7.2",
+};
+
+/**
+ * Supported service versions per Magento 2.4.x release, following Adobe's
+ * system requirements. Patch releases (2.4.7-p3) use the requirements of
+ * their release; the first version in each list is the one init uses.
+ */
+const MAGENTO_VERSION_MATRIX = {
+  "2.4.8": {
+    php: ["8.4", "8.3"],
+    mariadb: ["11.4"],
+    mysql: ["8.4"],
+    opensearch: ["2.19"],
+    redis: ["7.2"],
+    rabbitmq: ["4.0", "3.13"],
+    composer: ["2"],
+  },
+  "2.4.7": {
+    php: ["8.3", "8.2"],
+    mariadb: ["10.6"],
+    mysql: ["8.0"],
+    opensearch: ["2.12", "2.19"],
+    redis: ["7.2"],
+    rabbitmq: ["3.13", "3.12"],
+    composer: ["2"],
+  },
+  "2.4.6": {
+    php: ["8.2", "8.1"],
+    mariadb: ["10.6"],
+    mysql: ["8.0"],
+    opensearch: ["2.5", "2.12"],
+    redis: ["7.0", "7.2"],
+    rabbitmq: ["3.9", "3.12", "3.13"],
+    composer: ["2.2", "2"],
+  },
+  "2.4.5": {
+    php: ["8.1"],
+    mariadb: ["10.4"],
+    mysql: ["8.0"],
+    opensearch: ["1.2", "1.3"],
+    redis: ["6.2"],
+    rabbitmq: ["3.9"],
+    composer: ["2.2"],
+  },
+  "2.4.4": {
+    php: ["8.1", "7.4"],
+    mariadb: ["10.4"],
+    mysql: ["8.0"],
+    opensearch: ["1.2"],
+    redis: ["6.2"],
+    rabbitmq: ["3.9"],
+    composer: ["2.2"],
+  },
+};
+
+/**
+ * Magento cache types enabled in a generated env.php.
+ */
+const MAGENTO_CACHE_TYPES = [
+  "config",
+  "layout",
+  "block_html",
+  "collections",
+  "reflection",
+  "db_ddl",
+  "compiled_config",
+  "eav",
+  "customer_notification",
+  "config_integration",
+  "config_integration_api",
+  "graphql_query_resolver_result",
+  "full_page",
+  "config_webservice",
+  "translate",
+];
+
+/**
+ * Known Warden .env settings: accepted values (a list or a pattern) and the
+ * compose services that have to be recreated when they change. Versions
+ * follow the images Warden publishes; force: true accepts other values.
+ */
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+const TOGGLE_VALUES = ["0", "1"];
+const PHP_SERVICES = ["php-fpm", "php-debug", "php-blackfire"];
+const ENV_SETTINGS = {
+  WARDEN_ENV_TYPE: {
+    values: [
+      "magento2",
+      "magento1",
+      "laravel",
+      "symfony",
+      "shopware",
+      "wordpress",
+      "drupal",
+      "akeneo",
+      "local",
+    ],
+  },
+  PHP_VERSION: {
+    values: ["7.4", "8.0", "8.1", "8.2", "8.3", "8.4"],
+    services: PHP_SERVICES,
+  },
+  PHP_XDEBUG_3: { values: TOGGLE_VALUES, services: ["php-debug"] },
+  COMPOSER_VERSION: { values: ["1", "2", "2.2"], services: PHP_SERVICES },
+  NODE_VERSION: { pattern: /^\d+$/, services: PHP_SERVICES },
+  MYSQL_DISTRIBUTION: { values: ["mariadb", "mysql"], services: ["db"] },
+  MYSQL_DISTRIBUTION_VERSION: {
+    valuesBy: {
+      key: "MYSQL_DISTRIBUTION",
+      mariadb: ["10.3", "10.4", "10.6", "10.11", "11.4"],
+      mysql: ["5.7", "8.0", "8.4"],
+    },
+    services: ["db"],
+  },
+  OPENSEARCH_VERSION: { pattern: VERSION_PATTERN, services: ["opensearch"] },
+  ELASTICSEARCH_VERSION: {
+    pattern: VERSION_PATTERN,
+    services: ["elasticsearch"],
+  },
+  REDIS_VERSION: { pattern: VERSION_PATTERN, services: ["redis"] },
+  VALKEY_VERSION: { pattern: VERSION_PATTERN, services: ["valkey"] },
+  VARNISH_VERSION: { pattern: VERSION_PATTERN, services: ["varnish"] },
+  RABBITMQ_VERSION: { pattern: VERSION_PATTERN, services: ["rabbitmq"] },
+  WARDEN_WEB_ROOT: { pattern: /^\/\S*$/, services: ["nginx"] },
+  WARDEN_ENV_NAME: { pattern: /^[a-z0-9][a-z0-9._-]*$/ },
+  WARDEN_TEST_DB: { values: TOGGLE_VALUES, services: ["tmp-mysql"] },
+  WARDEN_SPLIT_SALES: { values: TOGGLE_VALUES, services: ["sales-db"] },
+  WARDEN_SPLIT_CHECKOUT: { values: TOGGLE_VALUES, services: ["checkout-db"] },
+  WARDEN_ALLURE: { values: TOGGLE_VALUES, services: ["allure"] },
+  WARDEN_SELENIUM_DEBUG: { values: TOGGLE_VALUES, services: ["selenium"] },
+};
+
+/**
+ * Tools that do not operate on a project. Every other tool accepts project
+ * (a path or a Warden environment name) or project_path.
+ */
+const PROJECTLESS_TOOLS = [
+  "warden_list_environments",
+  "warden_init_project",
+  ...STATE_ONLY_TOOLS,
+];
+
+/**
+ * Project tools that also work without a project (and no default project),
+ * e.g. by covering every running environment.
+ */
+const OPTIONAL_PROJECT_TOOLS = ["warden_env_status"];
+
+/**
+ * Tools that can run as a background job with background: true.
+ */
+const BACKGROUND_TOOLS = [
+  "warden_start_project",
+  "warden_start_svc",
+  "warden_db_dump",
+  "warden_db_import",
+  "warden_db_snapshot_restore",
+  "warden_db_anonymize",
+  "warden_php_script",
+  "warden_xdebug_run",
+  "warden_magento_cli",
+  "warden_magento_indexer",
+  "warden_magento_cron",
+  "warden_magento_deploy_mode",
+  "warden_framework_cli",
+  "warden_run_unit_tests",
+  "warden_run_integration_tests",
+  "warden_run_static_tests",
+  "warden_code_analysis",
+  "warden_composer",
+  "warden_init_project",
+];
+
+/**
+ * Stops the processes of one command inside a container: every process whose
+ * environment carries the run tag given as $1 gets SIGTERM, then SIGKILL.
+ */
+const CONTAINER_KILL_SCRIPT = `for signal in TERM KILL; do
+  for proc in /proc/[0-9]*; do
+    if tr '\\0' '\\n' < "$proc/environ" 2>/dev/null | grep -qx "$1"; then
+      kill -s "$signal" "\${proc#/proc/}" 2>/dev/null
+    fi
+  done
+  sleep 2
+done`;
+
+/**
+ * Document root of the Warden php-fpm container, where the project is mounted.
+ */
+const CONTAINER_WEB_ROOT = "/var/www/html";
+
+/**
+ * Prints the "system" sections of app/etc/config.php and app/etc/env.php as
+ * JSON. Values defined there lock the configuration path for its scope.
+ */
+const APP_ETC_SYSTEM_CONFIG_PHP = `
+$result = [];
+foreach (["config.php", "env.php"] as $file) {
+    $data = is_file("app/etc/" . $file) ? include "app/etc/" . $file : [];
+    $result[$file] = isset($data["system"]) ? $data["system"] : new stdClass();
+}
+echo json_encode($result);
+`;
+
+/**
+ * Prints Magento's cache types as JSON: label, tags, whether the type is
+ * enabled and whether it has been invalidated (the "Invalidated" state in the
+ * admin's Cache Management). Needs the application bootstrap, since the
+ * invalidated list lives in the cache storage.
+ */
+const MAGENTO_CACHE_TYPES_PHP = `
+require "app/bootstrap.php";
+$objectManager = \\Magento\\Framework\\App\\Bootstrap::create(BP, $_SERVER)->getObjectManager();
+$typeList = $objectManager->get(\\Magento\\Framework\\App\\Cache\\TypeListInterface::class);
+$invalidated = array_keys($typeList->getInvalidated());
+$types = [];
+foreach ($typeList->getTypes() as $id => $type) {
+    $types[] = [
+        "id" => $id,
+        "label" => (string) $type->getCacheType(),
+        "description" => (string) $type->getDescription(),
+        "tags" => (string) $type->getTags(),
+        "enabled" => (bool) $type->getStatus(),
+        "invalidated" => in_array($id, $invalidated, true),
+    ];
+}
+echo "\\n" . json_encode($types);
+`;
+
+/**
+ * Prints Magento's indexers as JSON: id, title and the mview view that
+ * updates the indexer by schedule. The view ID is not always the indexer ID
+ * (design_config_grid uses design_config_dummy).
+ */
+const MAGENTO_INDEXERS_PHP = `
+require "app/bootstrap.php";
+$objectManager = \\Magento\\Framework\\App\\Bootstrap::create(BP, $_SERVER)->getObjectManager();
+$indexers = [];
+foreach ($objectManager->get(\\Magento\\Framework\\Indexer\\ConfigInterface::class)->getIndexers() as $id => $indexer) {
+    $indexers[] = [
+        "id" => $id,
+        "title" => isset($indexer["title"]) ? (string) $indexer["title"] : $id,
+        "view_id" => isset($indexer["view_id"]) ? $indexer["view_id"] : null,
+    ];
+}
+usort($indexers, function ($a, $b) {
+    return strcmp($a["id"], $b["id"]);
+});
+echo "\\n" . json_encode($indexers);
+`;
+
+/**
+ * Prints the modules registered with Magento's ComponentRegistrar as JSON:
+ * path, setup_version from etc/module.xml and the composer package that
+ * provides the module, next to the "modules" section of app/etc/config.php.
+ * Loads the autoloader and registrations only, so it works without a
+ * database.
+ */
+const MAGENTO_MODULES_PHP = `
+require "app/bootstrap.php";
+$config = is_file("app/etc/config.php") ? include "app/etc/config.php" : [];
+$installed = is_file("vendor/composer/installed.json") ? json_decode(file_get_contents("vendor/composer/installed.json"), true) : [];
+$installed = isset($installed["packages"]) ? $installed["packages"] : $installed;
+$packages = [];
+foreach ($installed as $package) {
+    $path = realpath("vendor/composer/" . (isset($package["install-path"]) ? $package["install-path"] : "../" . $package["name"]));
+    if ($path !== false) {
+        $packages[$path] = $package;
+    }
+}
+$registrar = new \\Magento\\Framework\\Component\\ComponentRegistrar();
+$modules = [];
+foreach ($registrar->getPaths(\\Magento\\Framework\\Component\\ComponentRegistrar::MODULE) as $name => $path) {
+    $xml = is_file($path . "/etc/module.xml") ? simplexml_load_file($path . "/etc/module.xml") : false;
+    $composer = is_file($path . "/composer.json") ? json_decode(file_get_contents($path . "/composer.json"), true) : [];
+    $package = isset($packages[realpath($path)]) ? $packages[realpath($path)] : null;
+    $modules[$name] = [
+        "path" => strpos($path, BP . "/") === 0 ? substr($path, strlen(BP) + 1) : $path,
+        "setup_version" => $xml !== false && isset($xml->module["setup_version"]) ? (string) $xml->module["setup_version"] : null,
+        "package" => $package ? $package["name"] : (isset($composer["name"]) ? $composer["name"] : null),
+        "version" => $package ? $package["version"] : (isset($composer["version"]) ? $composer["version"] : null),
+    ];
+}
+echo "\\n" . json_encode([
+    "config" => isset($config["modules"]) ? $config["modules"] : new stdClass(),
+    "modules" => $modules ?: new stdClass(),
+]);
+`;
+
+/**
+ * Prints what setup:di:compile and setup:static-content:deploy left in the
+ * php-fpm container as JSON: whether generated code and metadata exist, the
+ * deployed static content version and the deployed themes and locales
+ * (pub/static/<area>/<Vendor>/<theme>/<locale>). Read inside the container
+ * because Warden's file sync on macOS leaves these directories out.
+ */
+const MAGENTO_DEPLOY_STATE_PHP = `
+$directories = function ($path) {
+    return is_dir($path) ? array_values(array_filter(scandir($path), function ($name) use ($path) {
+        return $name[0] !== "." && is_dir($path . "/" . $name);
+    })) : [];
+};
+$themes = [];
+foreach (["frontend", "adminhtml"] as $area) {
+    foreach ($directories("pub/static/" . $area) as $vendor) {
+        foreach ($directories("pub/static/" . $area . "/" . $vendor) as $theme) {
+            $locales = $directories("pub/static/" . $area . "/" . $vendor . "/" . $theme);
+            if ($locales) {
+                $themes[] = ["area" => $area, "theme" => $vendor . "/" . $theme, "locales" => $locales];
+            }
+        }
+    }
+}
+echo json_encode([
+    "generated" => [
+        "code" => count($directories("generated/code")) > 0,
+        "metadata" => is_file("generated/metadata/global.php"),
+    ],
+    "static_content" => [
+        "deployed_version" => is_file("pub/static/deployed_version.txt") ? trim(file_get_contents("pub/static/deployed_version.txt")) : null,
+        "themes" => $themes,
+    ],
+]);
+`;
+
+/**
+ * Where warden_xdebug_run and warden_xdebug's set_mode have Xdebug write
+ * profiles and traces inside the php-debug container, and the ini file
+ * set_mode adds to PHP's scan directory.
+ */
+const XDEBUG_OUTPUT_DIR = "/tmp/xdebug";
+const XDEBUG_OVERRIDE_INI = "zz-warden-mcp-xdebug.ini";
+const XDEBUG_MODES = [
+  "off",
+  "develop",
+  "debug",
+  "profile",
+  "trace",
+  "coverage",
+];
+
+/**
+ * Prints the Xdebug settings in effect as JSON. The XDEBUG_MODE environment
+ * variable, when set, overrides xdebug.mode from the ini files.
+ */
+const XDEBUG_STATUS_PHP = `
+$ini = function ($name) {
+    $value = ini_get($name);
+    return $value === false ? null : $value;
+};
+$scanDir = explode(PATH_SEPARATOR, (string) PHP_CONFIG_FILE_SCAN_DIR)[0];
+echo json_encode([
+    "php_version" => PHP_VERSION,
+    "xdebug_version" => phpversion("xdebug") ?: null,
+    "mode" => function_exists("xdebug_info") ? implode(",", xdebug_info("mode")) : $ini("xdebug.mode"),
+    "mode_from_environment" => getenv("XDEBUG_MODE") === false ? null : getenv("XDEBUG_MODE"),
+    "start_with_request" => $ini("xdebug.start_with_request"),
+    "client_host" => $ini("xdebug.client_host"),
+    "client_port" => $ini("xdebug.client_port"),
+    "idekey" => $ini("xdebug.idekey"),
+    "output_dir" => $ini("xdebug.output_dir"),
+    "ini_scan_dir" => $scanDir ?: null,
+    "override_ini" => $scanDir && is_file($scanDir . "/${XDEBUG_OVERRIDE_INI}") ? $scanDir . "/${XDEBUG_OVERRIDE_INI}" : null,
+]);
+`;
+
+/**
+ * Lists the Xdebug profiles and traces in the directories given as a JSON
+ * array in $argv[1] and their subdirectories, newest first.
+ */
+const XDEBUG_FILES_PHP = `
+$files = [];
+foreach (json_decode($argv[1], true) as $dir) {
+    $paths = array_merge(glob($dir . "/*") ?: [], glob($dir . "/*/*") ?: []);
+    foreach ($paths as $path) {
+        $name = basename($path);
+        if (!is_file($path) || !preg_match("/^(cachegrind\\.out|trace\\.)|\\.xt(\\.gz)?$/", $name)) {
+            continue;
+        }
+        $files[$path] = [
+            "path" => $path,
+            "type" => strpos($name, "cachegrind.out") === 0 ? "profile" : "trace",
+            "size" => filesize($path),
+            "modified" => date("c", filemtime($path)),
+        ];
+    }
+}
+usort($files, function ($a, $b) {
+    return strcmp($b["modified"], $a["modified"]);
+});
+echo json_encode(array_values($files));
+`;
+
+/**
+ * Aggregates a cachegrind profile written by Xdebug ($argv[1], gzip or plain)
+ * per function: calls, self and inclusive cost. Cost lines after "calls="
+ * are the inclusive cost of a callee and only count towards the caller's
+ * inclusive cost. Prints the $argv[2] hottest functions by self and by
+ * inclusive time as JSON.
+ */
+const XDEBUG_CACHEGRIND_SUMMARY_PHP = `
+$path = $argv[1];
+$top = max(1, (int) $argv[2]);
+$handle = @fopen((substr($path, -3) === ".gz" ? "compress.zlib://" : "") . $path, "r");
+if ($handle === false) {
+    fwrite(STDERR, "Unable to open " . $path . "\\n");
+    exit(1);
+}
+$names = ["fl" => [], "fn" => []];
+$resolve = function ($type, $value) use (&$names) {
+    if (preg_match("/^\\\\((\\\\d+)\\\\)(?: (.*))?$/", $value, $match)) {
+        if (isset($match[2])) {
+            $names[$type][$match[1]] = $match[2];
+        }
+        return isset($names[$type][$match[1]]) ? $names[$type][$match[1]] : $value;
+    }
+    return $value;
+};
+$header = ["cmd" => null, "events" => null, "summary" => null];
+$functions = [];
+$file = null;
+$current = null;
+$inCall = false;
+while (($line = fgets($handle)) !== false) {
+    $line = rtrim($line, "\\r\\n");
+    if ($line === "") {
+        continue;
+    }
+    if (ctype_digit($line[0]) || $line[0] === "+" || $line[0] === "-") {
+        $costs = preg_split("/\\\\s+/", $line);
+        if ($current !== null) {
+            $time = isset($costs[1]) ? (int) $costs[1] : 0;
+            $functions[$current]["inclusive"] += $time;
+            if (!$inCall) {
+                $functions[$current]["self"] += $time;
+                $functions[$current]["self_memory"] += isset($costs[2]) ? (int) $costs[2] : 0;
+            }
+        }
+        $inCall = false;
+        continue;
+    }
+    if (!preg_match("/^(fl|fi|fe|fn|cfl|cfi|cfn|calls)=(.*)$/", $line, $match)) {
+        if (preg_match("/^(\\w+):\\s*(.*)$/", $line, $match) && array_key_exists($match[1], $header)) {
+            $header[$match[1]] = $match[2];
+        }
+        continue;
+    }
+    list(, $key, $value) = $match;
+    if ($key === "fl") {
+        $file = $resolve("fl", $value);
+    } elseif ($key === "fn") {
+        $current = $resolve("fn", $value);
+        if (!isset($functions[$current])) {
+            $functions[$current] = ["function" => $current, "file" => $file, "calls" => 0, "self" => 0, "inclusive" => 0, "self_memory" => 0];
+        }
+        $functions[$current]["calls"]++;
+    } elseif ($key === "cfl" || $key === "cfi" || $key === "fi" || $key === "fe") {
+        $resolve("fl", $value);
+    } elseif ($key === "cfn") {
+        $resolve("fn", $value);
+    } elseif ($key === "calls") {
+        $inCall = true;
+    }
+}
+fclose($handle);
+$rank = function ($column) use ($functions, $top) {
+    usort($functions, function ($a, $b) use ($column) {
+        return $b[$column] <=> $a[$column];
+    });
+    return array_slice($functions, 0, $top);
+};
+echo json_encode([
+    "cmd" => $header["cmd"],
+    "events" => $header["events"],
+    "summary" => $header["summary"],
+    "function_count" => count($functions),
+    "by_self" => $rank("self"),
+    "by_inclusive" => $rank("inclusive"),
+]);
+`;
+
+/**
+ * Redis databases warden_init_project configures for Magento's cache, full
+ * page cache and sessions; used when app/etc/env.php does not say.
+ */
+const REDIS_MAGENTO_DATABASES = { cache: 0, page_cache: 1, session: 2 };
+
+/**
+ * Prints the Redis settings of Magento's default and page_cache cache
+ * frontends and of the session storage in app/etc/env.php as JSON.
+ */
+const MAGENTO_REDIS_CONFIG_PHP = `
+$env = is_file("app/etc/env.php") ? include "app/etc/env.php" : [];
+$frontends = isset($env["cache"]["frontend"]) ? $env["cache"]["frontend"] : [];
+$result = [];
+foreach (["default" => "cache", "page_cache" => "page_cache"] as $frontend => $role) {
+    if (isset($frontends[$frontend])) {
+        $config = $frontends[$frontend];
+        $result[$role] = [
+            "backend" => isset($config["backend"]) ? $config["backend"] : null,
+            "options" => isset($config["backend_options"]) ? $config["backend_options"] : new stdClass(),
+            "id_prefix" => isset($config["id_prefix"]) ? $config["id_prefix"] : null,
+        ];
+    }
+}
+if (isset($env["session"]["save"])) {
+    $result["session"] = [
+        "backend" => $env["session"]["save"],
+        "options" => isset($env["session"]["redis"]) ? $env["session"]["redis"] : new stdClass(),
+        "id_prefix" => null,
+    ];
+}
+echo json_encode($result ?: new stdClass());
+`;
+
+/**
+ * Lua scripts run with EVAL in the Redis container. REDIS_SCAN_LUA collects
+ * up to ARGV[2] keys matching ARGV[1], or the entries of the Magento cache
+ * tag set ARGV[4], with type, TTL, memory and, for Magento cache entries,
+ * tags and modification time; it stops after about ARGV[3] scanned keys.
+ * REDIS_SAMPLE_LUA sums the memory of up to ARGV[1] keys.
+ * REDIS_DELETE_LUA deletes KEYS[1] and removes a Magento cache entry from
+ * its tag sets.
+ */
+const REDIS_SCAN_LUA = `
+local pattern, limit, budget, tagSet = ARGV[1], tonumber(ARGV[2]), tonumber(ARGV[3]), ARGV[4]
+local cursor, keys, scanned = "0", {}, 0
+repeat
+  local page
+  if tagSet ~= "" then
+    page = redis.call("SSCAN", tagSet, cursor, "COUNT", 500)
+  else
+    page = redis.call("SCAN", cursor, "MATCH", pattern, "COUNT", 500)
+  end
+  cursor = page[1]
+  scanned = scanned + 500
+  for _, name in ipairs(page[2]) do
+    local key = name
+    if tagSet ~= "" then
+      key = "zc:k:" .. name
+    end
+    if #keys < limit then
+      local entry = {key, redis.call("TYPE", key)["ok"], redis.call("TTL", key), redis.call("MEMORY", "USAGE", key) or 0}
+      if string.sub(key, 1, 5) == "zc:k:" and entry[2] == "hash" then
+        local meta = redis.call("HMGET", key, "t", "m")
+        entry[5] = meta[1] or ""
+        entry[6] = meta[2] or ""
+      end
+      keys[#keys + 1] = entry
+    end
+  end
+until cursor == "0" or #keys >= limit or scanned >= budget
+return cjson.encode({keys = keys, cursor = cursor})
+`;
+const REDIS_SAMPLE_LUA = `
+local sample, cursor, count, bytes = tonumber(ARGV[1]), "0", 0, 0
+repeat
+  local page = redis.call("SCAN", cursor, "COUNT", 500)
+  cursor = page[1]
+  for _, key in ipairs(page[2]) do
+    if count < sample then
+      bytes = bytes + (redis.call("MEMORY", "USAGE", key) or 0)
+      count = count + 1
+    end
+  end
+until cursor == "0" or count >= sample
+return {count, bytes}
+`;
+const REDIS_DELETE_LUA = `
+local key, untagged = KEYS[1], 0
+if string.sub(key, 1, 5) == "zc:k:" and redis.call("TYPE", key)["ok"] == "hash" then
+  local tags = redis.call("HGET", key, "t")
+  if tags then
+    for tag in string.gmatch(tags, "[^,]+") do
+      untagged = untagged + redis.call("SREM", "zc:ti:" .. tag, string.sub(key, 6))
+    end
+  end
+end
+return {redis.call("DEL", key), untagged}
+`;
+
+/**
+ * warden_search compares document IDs only up to this many products per
+ * store; above it, only the counts are compared.
+ */
+const SEARCH_COMPARE_MAX_IDS = 50000;
+const SEARCH_SCROLL_SIZE = 5000;
+
+/**
+ * MySQL native column types (as reported by PDO) that map to JSON numbers.
+ */
+const INTEGER_COLUMN_TYPES = [
+  "TINY",
+  "SHORT",
+  "INT24",
+  "LONG",
+  "LONGLONG",
+  "YEAR",
+];
+const FLOAT_COLUMN_TYPES = ["FLOAT", "DOUBLE"];
+
+/**
+ * Leading keywords used to classify SQL statements for the warden_db_query
+ * write guard. Anything not listed is treated as a write. "ddl" also covers
+ * administrative statements (privileges, server state, maintenance).
+ */
+const SQL_READ_KEYWORDS = [
+  "SELECT",
+  "SHOW",
+  "DESCRIBE",
+  "DESC",
+  "EXPLAIN",
+  "HELP",
+  "USE",
+  "WITH",
+  "VALUES",
+  "TABLE",
+  "CHECK",
+  "CHECKSUM",
+  "DO",
+];
+const SQL_DDL_KEYWORDS = [
+  "CREATE",
+  "ALTER",
+  "DROP",
+  "TRUNCATE",
+  "RENAME",
+  "GRANT",
+  "REVOKE",
+  "FLUSH",
+  "KILL",
+  "RESET",
+  "PURGE",
+  "OPTIMIZE",
+  "REPAIR",
+  "INSTALL",
+  "UNINSTALL",
+  "SHUTDOWN",
+];
+const SQL_WRITE_VERBS = ["INSERT", "UPDATE", "DELETE", "REPLACE"];
+const SQL_ADMIN_SET_TARGETS = [
+  "GLOBAL",
+  "PERSIST",
+  "PERSIST_ONLY",
+  "PASSWORD",
+  "ROLE",
+  "DEFAULT",
+];
+
+/**
+ * Default anonymization profile for warden_db_anonymize. Projects extend it
+ * with .warden/anonymize.json.
+ */
+const DEFAULT_ANONYMIZATION_PROFILE = new URL(
+  "./profiles/anonymize.magento2.json",
+  import.meta.url,
+);
+
+/**
+ * Column strategies usable in anonymization profiles. Each returns a SQL
+ * expression for the row identified by the quoted key column; values are
+ * bound as positional parameters.
+ */
+const ANONYMIZATION_STRATEGIES = {
+  email: (key, vars) => ({
+    sql: `CONCAT('user', ${key}, '@', ?)`,
+    params: [vars.email_domain],
+  }),
+  firstname: (key) => ({ sql: `CONCAT('Firstname', ${key})`, params: [] }),
+  lastname: (key) => ({ sql: `CONCAT('Lastname', ${key})`, params: [] }),
+  fullname: (key) => ({
+    sql: `CONCAT('Firstname', ${key}, ' Lastname', ${key})`,
+    params: [],
+  }),
+  nickname: (key) => ({ sql: `CONCAT('Customer ', ${key})`, params: [] }),
+  company: (key) => ({ sql: `CONCAT('Company ', ${key})`, params: [] }),
+  street: (key) => ({ sql: `CONCAT(${key}, ' Main Street')`, params: [] }),
+  city: () => ({ sql: "'Springfield'", params: [] }),
+  postcode: () => ({ sql: "'12345'", params: [] }),
+  address: (key) => ({
+    sql: `CONCAT(${key}, ' Main Street, Springfield, 12345')`,
+    params: [],
+  }),
+  telephone: (key) => ({
+    sql: `CONCAT('555', LPAD(${key} MOD 10000000, 7, '0'))`,
+    params: [],
+  }),
+  ip: () => ({ sql: "'127.0.0.1'", params: [] }),
+  password: (key, vars) => ({
+    sql: "?",
+    params: [vars.password_hash],
+  }),
+  empty: () => ({ sql: "''", params: [] }),
+  null: () => ({ sql: "NULL", params: [] }),
+};
 
 class WardenMagentoServer {
   constructor() {
@@ -24,9 +1051,40 @@ class WardenMagentoServer {
       },
     );
 
+    this.config = {
+      stateDir:
+        process.env.WARDEN_MCP_STATE_DIR || join(homedir(), ".warden-mcp"),
+      allowDbWrite: this.readBooleanSetting("WARDEN_MCP_ALLOW_DB_WRITE", false),
+      dbReadOnlyTransactions: this.readBooleanSetting(
+        "WARDEN_MCP_DB_READ_ONLY_TRANSACTIONS",
+        true,
+      ),
+      logRetention: Number(process.env.WARDEN_MCP_LOG_RETENTION) || 200,
+      defaultProject: process.env.WARDEN_MCP_DEFAULT_PROJECT || "",
+    };
+
+    this.dbClientBinaries = new Map();
+    // Per tool call state (the client's progress token) for code paths that
+    // do not receive the request
+    this.requestContext = new AsyncLocalStorage();
+    // Background jobs started by this server process, by job ID
+    this.jobs = new Map();
+    // Running child processes, killed on shutdown since they run in process
+    // groups of their own
+    this.children = new Map();
+    this.instanceId = randomBytes(6).toString("hex");
+
     this.setupToolHandlers();
   }
 
+  readBooleanSetting(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value === "") {
+      return defaultValue;
+    }
+    return ["1", "true", "yes", "on"].includes(value.toLowerCase());
+  }
+
   setupToolHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
@@ -41,6 +1099,142 @@ class WardenMagentoServer {
               required: [],
             },
           },
+          {
+            name: "warden_env_status",
+            description:
+              "Show the status of a Warden environment: URL, environment type and, per compose service, state, health, image/version and ports. Flags services enabled in .env that are not running. Without project (and no default project), reports every running environment",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description:
+                    "Path to the project directory (default: WARDEN_MCP_DEFAULT_PROJECT, otherwise all running environments)",
+                },
+              },
+            },
+          },
+          {
+            name: "warden_logs",
+            description:
+              "Read logs: container logs per compose service (warden env logs), Magento var/log files, or Magento error reports (var/report). Magento logs and reports are parsed into entries with timestamp, level, message, exception and stack trace",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                source: {
+                  type: "string",
+                  enum: ["container", "magento", "report"],
+                  description:
+                    "container: docker logs of compose services; magento: a file in var/log; report: error reports in var/report",
+                },
+                service: {
+                  type: "string",
+                  description:
+                    "container only: compose service, e.g. php-fpm, nginx, db (default: all services)",
+                },
+                file: {
+                  type: "string",
+                  description:
+                    "magento only: log file in var/log, e.g. system.log, exception.log, debug.log (default: exception.log)",
+                  default: "exception.log",
+                },
+                report_id: {
+                  type: "string",
+                  description:
+                    "report only: read a single report, e.g. the ID shown on the error page",
+                },
+                since: {
+                  type: "string",
+                  description:
+                    "Only entries newer than this: a duration such as 30m, 2h, 1d, or a timestamp",
+                },
+                tail: {
+                  type: "integer",
+                  description:
+                    "Return at most this many of the newest lines (container) or entries (magento, report) (default: 100 lines, 20 entries)",
+                },
+                grep: {
+                  type: "string",
+                  description:
+                    "Only lines or entries matching this regular expression (case-insensitive); container logs are searched in the newest 5000 lines of each container",
+                },
+                level: {
+                  type: "string",
+                  description:
+                    "magento only: minimum level, e.g. ERROR returns ERROR, CRITICAL, ALERT and EMERGENCY entries",
+                },
+              },
+              required: ["project_path", "source"],
+            },
+          },
+          {
+            name: "warden_env_config_get",
+            description:
+              "Read the project's Warden .env settings (returns structured JSON with the values and, for known settings, the accepted values)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                keys: {
+                  type: "array",
+                  description: "Only return these settings (default: all)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_env_config_set",
+            description:
+              "Update settings in the project's Warden .env in place, keeping comments and ordering. Known settings (PHP_VERSION, MYSQL_DISTRIBUTION_VERSION, WARDEN_* toggles, service versions) are validated. Returns a diff and can recreate the affected services",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                values: {
+                  type: "object",
+                  description:
+                    'Settings to change, e.g. {"PHP_VERSION": "8.3", "WARDEN_RABBITMQ": "1"}. null removes a setting',
+                  additionalProperties: {
+                    type: ["string", "number", "boolean", "null"],
+                  },
+                },
+                dry_run: {
+                  type: "boolean",
+                  description:
+                    "Only validate and show the diff, without writing .env (default: false)",
+                  default: false,
+                },
+                restart: {
+                  type: "boolean",
+                  description:
+                    "Bring the affected services up again afterwards (warden env up <services>), so that they pick up the change; services switched off are removed (default: false)",
+                  default: false,
+                },
+                force: {
+                  type: "boolean",
+                  description:
+                    "Accept values outside the known supported values (default: false)",
+                  default: false,
+                },
+              },
+              required: ["project_path", "values"],
+            },
+          },
           {
             name: "warden_start_project",
             description: "Start a Warden project environment",
@@ -99,7 +1293,8 @@ class WardenMagentoServer {
           },
           {
             name: "warden_db_query",
-            description: "Run a SQL query in the Warden database",
+            description:
+              "Run a SQL query in the Warden database (returns structured JSON with columns, typed rows, affected rows and warnings)",
             inputSchema: {
               type: "object",
               properties: {
@@ -109,20 +1304,45 @@ class WardenMagentoServer {
                 },
                 query: {
                   type: "string",
-                  description: "SQL query to execute",
+                  description:
+                    "SQL query to execute. Use ? (or :name) placeholders together with params instead of inlining values",
+                },
+                params: {
+                  type: ["array", "object"],
+                  description:
+                    "Values bound to the query placeholders: an array for ? placeholders or an object for :name placeholders",
+                  default: [],
                 },
                 database: {
                   type: "string",
-                  description: "Database name (optional, defaults to magento)",
-                  default: "magento",
+                  description:
+                    "Database name (optional, defaults to the environment type's database, e.g. magento or laravel)",
+                },
+                max_rows: {
+                  type: "integer",
+                  description:
+                    "Maximum number of rows returned per result set, 0 for no limit (default: 1000)",
+                  default: 1000,
+                },
+                allow_write: {
+                  type: "boolean",
+                  description:
+                    "Confirm that the query may modify data or schema. Write and DDL statements are refused without it unless the server allows writes",
+                  default: false,
+                },
+                read_only_transaction: {
+                  type: "boolean",
+                  description:
+                    "Run read-only queries inside a READ ONLY transaction (defaults to the server setting)",
                 },
               },
               required: ["project_path", "query"],
             },
           },
           {
-            name: "warden_php_script",
-            description: "Run a PHP script inside the php-fpm container",
+            name: "warden_db_dump",
+            description:
+              "Export the Warden database with mysqldump to a file on the host, or save it as a named snapshot (restore point) of the project",
             inputSchema: {
               type: "object",
               properties: {
@@ -130,54 +1350,56 @@ class WardenMagentoServer {
                   type: "string",
                   description: "Path to the project directory",
                 },
-                script_path: {
+                database: {
                   type: "string",
                   description:
-                    "Path to the PHP script relative to project root",
+                    "Database name (optional, defaults to the environment type's database, e.g. magento or laravel)",
                 },
-                args: {
-                  type: "array",
-                  description: "Additional arguments to pass to the script",
-                  items: {
-                    type: "string",
-                  },
-                  default: [],
+                output_path: {
+                  type: "string",
+                  description:
+                    "File to write the dump to, relative to the project directory. Required unless snapshot is given",
                 },
-              },
-              required: ["project_path", "script_path"],
-            },
-          },
-          {
-            name: "warden_magento_cli",
-            description: "Run bin/magento command inside the php-fpm container",
-            inputSchema: {
-              type: "object",
-              properties: {
-                project_path: {
+                snapshot: {
                   type: "string",
-                  description: "Path to the project directory",
+                  description:
+                    "Save the dump as a named snapshot of this project instead of writing it to output_path (an existing snapshot with that name is replaced)",
                 },
-                command: {
+                description: {
                   type: "string",
+                  description: "Optional note stored with the snapshot",
+                },
+                gzip: {
+                  type: "boolean",
                   description:
-                    "Magento CLI command (without 'bin/magento' prefix)",
+                    "Compress the dump with gzip (default: true for snapshots and .gz output paths)",
                 },
-                args: {
+                exclude_tables: {
                   type: "array",
-                  description: "Additional arguments for the command",
+                  description:
+                    "Tables to leave out completely. Supports * and ? wildcards (e.g. 'sales_*')",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                exclude_data: {
+                  type: "array",
+                  description:
+                    "Tables to dump without rows (structure only). Supports * and ? wildcards (e.g. '*_log', 'report_*')",
                   items: {
                     type: "string",
                   },
                   default: [],
                 },
               },
-              required: ["project_path", "command"],
+              required: ["project_path"],
             },
           },
           {
-            name: "warden_run_unit_tests",
+            name: "warden_db_import",
             description:
-              "Run unit tests using PHPUnit in the php-fpm container",
+              "Import a SQL dump (plain or gzip compressed) from the host into the Warden database",
             inputSchema: {
               type: "object",
               properties: {
@@ -185,33 +1407,51 @@ class WardenMagentoServer {
                   type: "string",
                   description: "Path to the project directory",
                 },
-                config_file: {
+                file: {
                   type: "string",
                   description:
-                    "PHPUnit configuration file (auto-detects phpunit.xml.dist or phpunit.xml)",
-                  default: "",
+                    "Dump file to import, relative to the project directory",
                 },
-                test_path: {
+                database: {
                   type: "string",
                   description:
-                    "Optional path to specific test file or directory",
-                  default: "",
+                    "Database name (optional, defaults to the environment type's database, e.g. magento or laravel)",
                 },
-                extra_args: {
-                  type: "array",
-                  description: "Additional PHPUnit arguments",
-                  items: {
-                    type: "string",
-                  },
-                  default: [],
+                recreate_database: {
+                  type: "boolean",
+                  description:
+                    "Drop and recreate the database before importing (default: false)",
+                  default: false,
+                },
+                allow_write: {
+                  type: "boolean",
+                  description:
+                    "Confirm that the import may overwrite existing data. Required unless the server allows writes",
+                  default: false,
+                },
+              },
+              required: ["project_path", "file"],
+            },
+          },
+          {
+            name: "warden_db_snapshot_list",
+            description:
+              "List the database snapshots saved for a project (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
                 },
               },
               required: ["project_path"],
             },
           },
           {
-            name: "warden_composer",
-            description: "Run Composer commands inside the php-fpm container",
+            name: "warden_db_snapshot_restore",
+            description:
+              "Roll the Warden database back to a named snapshot. The database is dropped and recreated before the snapshot is imported",
             inputSchema: {
               type: "object",
               properties: {
@@ -219,778 +1459,9991 @@ class WardenMagentoServer {
                   type: "string",
                   description: "Path to the project directory",
                 },
-                command: {
+                snapshot: {
+                  type: "string",
+                  description: "Name of the snapshot to restore",
+                },
+                database: {
                   type: "string",
                   description:
-                    "Composer command to execute (e.g., 'install', 'update', 'require symfony/console', 'require-commerce')",
+                    "Database to restore into (defaults to the database the snapshot was taken from)",
+                },
+                allow_write: {
+                  type: "boolean",
+                  description:
+                    "Confirm that the current database contents may be replaced. Required unless the server allows writes",
+                  default: false,
                 },
               },
-              required: ["project_path", "command"],
+              required: ["project_path", "snapshot"],
             },
           },
           {
-            name: "warden_init_project",
+            name: "warden_db_anonymize",
             description:
-              "Initialize a new Warden project with Magento 2 environment",
+              "Anonymize customer, order and admin PII of an imported production dump and reset core_config_data values (base URLs, payment credentials, SMTP) to local-safe values, using a JSON profile the project can extend",
             inputSchema: {
               type: "object",
               properties: {
                 project_path: {
                   type: "string",
-                  description: "Path where the project should be initialized",
+                  description: "Path to the project directory",
                 },
-                project_name: {
+                database: {
                   type: "string",
-                  description: "Name for the Warden environment",
+                  description:
+                    "Database name (optional, defaults to the environment type's database, e.g. magento or laravel)",
                 },
-                environment_type: {
+                profile_path: {
                   type: "string",
-                  description: "Environment type (default: magento2)",
-                  default: "magento2",
+                  description:
+                    "Project profile extending the default rules, relative to the project directory (default: .warden/anonymize.json when it exists)",
                 },
-                php_version: {
+                base_url: {
                   type: "string",
-                  description: "PHP version (default: 8.3)",
-                  default: "8.3",
+                  description:
+                    "Base URL written to core_config_data (default: https://<TRAEFIK_SUBDOMAIN>.<TRAEFIK_DOMAIN>/ from .env)",
                 },
-                mysql_distribution: {
-                  type: "string",
-                  description: "MySQL distribution (default: mariadb)",
-                  default: "mariadb",
+                dry_run: {
+                  type: "boolean",
+                  description:
+                    "Only return the statements that would run (default: false)",
+                  default: false,
                 },
-                mysql_version: {
+                allow_write: {
+                  type: "boolean",
+                  description:
+                    "Confirm that the database may be modified. Required unless the server allows writes",
+                  default: false,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_redis_info",
+            description:
+              "Report Redis (or Valkey) version, memory, hit rate and per-database key counts with estimated memory, labelled with the Magento cache, page_cache and session databases from app/etc/env.php. Returns structured JSON",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
                   type: "string",
-                  description: "MySQL version (default: 10.6)",
-                  default: "10.6",
+                  description: "Path to the project directory",
                 },
-                node_version: {
+                sample: {
+                  type: "integer",
+                  description:
+                    "Keys per database whose memory is measured to estimate the database's size; 0 skips the estimate (default: 1000)",
+                  default: 1000,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_redis_keys",
+            description:
+              "Scan the keys of one Redis database by pattern, or list the Magento cache entries carrying a cache tag, with type, TTL and memory. Magento cache entries also show their cache ID, tags and modification time",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
                   type: "string",
-                  description: "Node.js version (default: 20)",
-                  default: "20",
+                  description: "Path to the project directory",
                 },
-                composer_version: {
+                database: {
+                  type: ["integer", "string"],
+                  description:
+                    "Database number, or cache, page_cache or session for Magento (default: cache for Magento, otherwise 0)",
+                },
+                pattern: {
                   type: "string",
-                  description: "Composer version (default: 2)",
-                  default: "2",
+                  description:
+                    "Redis glob pattern, e.g. zc:k:* for Magento cache entries or sess_* (default: *)",
+                  default: "*",
                 },
-                opensearch_version: {
+                tag: {
                   type: "string",
-                  description: "OpenSearch version (default: 2.12)",
-                  default: "2.12",
+                  description:
+                    "Magento cache tag instead of a pattern, e.g. cat_p_42 or FPC",
                 },
-                redis_version: {
+                limit: {
+                  type: "integer",
+                  description: "Maximum keys to return (default: 100)",
+                  default: 100,
+                },
+                max_scan: {
+                  type: "integer",
+                  description:
+                    "Stop after scanning about this many keys (default: 100000)",
+                  default: 100000,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_redis_entry",
+            description:
+              "Fetch or delete one Redis key, addressed by key or by Magento cache ID. Magento cache entries are shown with their tags and decompressed data; deleting one also removes it from its tag sets",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
                   type: "string",
-                  description: "Redis version (default: 7.2)",
-                  default: "7.2",
+                  description: "Path to the project directory",
                 },
-                enable_redis: {
-                  type: "boolean",
-                  description: "Enable Redis (default: true)",
-                  default: true,
+                action: {
+                  type: "string",
+                  description: "get or delete (default: get)",
+                  enum: ["get", "delete"],
+                  default: "get",
                 },
-                enable_opensearch: {
-                  type: "boolean",
-                  description: "Enable OpenSearch (default: true)",
-                  default: true,
+                database: {
+                  type: ["integer", "string"],
+                  description:
+                    "Database number, or cache, page_cache or session for Magento (default: cache for Magento, otherwise 0)",
                 },
-                enable_varnish: {
-                  type: "boolean",
-                  description: "Enable Varnish (default: true)",
-                  default: true,
+                key: {
+                  type: "string",
+                  description: "Redis key (or use cache_id)",
                 },
-                enable_rabbitmq: {
-                  type: "boolean",
-                  description: "Enable RabbitMQ (default: true)",
-                  default: true,
+                cache_id: {
+                  type: "string",
+                  description:
+                    "Magento cache ID without prefix, e.g. SYSTEM_DEFAULT (or use key)",
                 },
-                enable_xdebug: {
-                  type: "boolean",
-                  description: "Enable Xdebug (default: true)",
-                  default: true,
+                max_bytes: {
+                  type: "integer",
+                  description:
+                    "Maximum characters of each value to return (default: 20000)",
+                  default: 20000,
                 },
               },
-              required: ["project_path", "project_name"],
+              required: ["project_path"],
             },
           },
-        ],
-      };
-    });
-
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      switch (request.params.name) {
-        case "warden_list_environments":
-          return await this.listEnvironments();
-        case "warden_start_project":
-          return await this.startProject(request.params.arguments);
-        case "warden_stop_project":
-          return await this.stopProject(request.params.arguments);
-        case "warden_start_svc":
-          return await this.startSvc(request.params.arguments);
-        case "warden_stop_svc":
-          return await this.stopSvc(request.params.arguments);
-        case "warden_db_query":
-          return await this.runDbQuery(request.params.arguments);
-        case "warden_php_script":
-          return await this.runPhpScript(request.params.arguments);
-        case "warden_magento_cli":
-          return await this.runMagentoCli(request.params.arguments);
-        case "warden_run_unit_tests":
-          return await this.runUnitTests(request.params.arguments);
-        case "warden_composer":
-          return await this.runComposer(request.params.arguments);
-        case "warden_init_project":
-          return await this.initProject(request.params.arguments);
-        default:
-          throw new Error(`Unknown tool: ${request.params.name}`);
-      }
-    });
-  }
-
-  async listEnvironments() {
-    try {
-      const result = await this.executeCommand(
-        "warden",
-        ["status"],
-        process.cwd(),
-      );
-
-      if (result.code === 0) {
-        const environments = this.parseEnvironmentList(result.stdout);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  success: true,
-                  command: "warden status",
-                  exit_code: result.code,
-                  environments: environments.map((env) => ({
-                    name: env.name,
-                    path: env.path,
-                  })),
-                  raw_output: result.stdout,
+          {
+            name: "warden_redis_flush",
+            description:
+              "Flush one Redis database (FLUSHDB), e.g. only Magento's page cache, leaving the other databases untouched",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
                 },
-                null,
-                2,
-              ),
-            },
-          ],
-          isError: false,
-        };
-      } else {
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify(
-                {
-                  success: false,
-                  command: "warden status",
-                  exit_code: result.code,
-                  environments: [],
-                  error: result.stderr || "Unknown error",
-                  raw_output: result.stdout,
+                database: {
+                  type: ["integer", "string"],
+                  description:
+                    "Database number, or cache, page_cache or session for Magento",
                 },
-                null,
-                2,
-              ),
+              },
+              required: ["project_path", "database"],
             },
-          ],
-          isError: true,
-        };
-      }
-    } catch (error) {
-      return {
-        content: [
+          },
           {
-            type: "text",
-            text: JSON.stringify(
-              {
-                success: false,
-                command: "warden status",
-                exit_code: -1,
-                environments: [],
-                error: error.message,
-                raw_output: error.stdout || "",
-                raw_errors: error.stderr || "",
+            name: "warden_search",
+            description:
+              "Inspect the project's OpenSearch (or Elasticsearch) service: list indices with document counts and health, show an index mapping, run a search DSL query, look up a Magento product by SKU, or compare indexed products against the database",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  enum: ["indices", "mapping", "query", "product", "compare"],
+                  description:
+                    "indices lists indices, mapping shows the fields of an index, query runs a search, product checks one SKU and compare checks whole stores; product and compare need a magento2 project (default: indices)",
+                  default: "indices",
+                },
+                index: {
+                  type: "string",
+                  description:
+                    "Index or alias for mapping and query (default for Magento: the product index of the store)",
+                },
+                store: {
+                  type: ["integer", "string"],
+                  description:
+                    "Magento store ID or code (default: every active store for product and compare, the first one for mapping and query)",
+                },
+                query: {
+                  type: "object",
+                  description:
+                    'Search DSL body for query, e.g. {"query": {"match": {"name": "shirt"}}}',
+                },
+                size: {
+                  type: "integer",
+                  description:
+                    "Number of hits to return for query unless the body sets size (default: 10)",
+                  default: 10,
+                },
+                sku: {
+                  type: "string",
+                  description: "Product SKU for product",
+                },
+                field: {
+                  type: "string",
+                  description:
+                    "Only return mapping fields whose name contains this text",
+                },
+                include_all: {
+                  type: "boolean",
+                  description:
+                    "List every index for indices instead of only those with Magento's index prefix (default: false)",
+                  default: false,
+                },
+                limit: {
+                  type: "integer",
+                  description:
+                    "Maximum missing and stale product IDs to list per store for compare (default: 20)",
+                  default: 20,
+                },
               },
-              null,
-              2,
-            ),
+              required: ["project_path"],
+            },
           },
-        ],
+          {
+            name: "warden_php_script",
+            description: "Run a PHP script inside the php-fpm container",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                script_path: {
+                  type: "string",
+                  description:
+                    "Path to the PHP script relative to project root",
+                },
+                args: {
+                  type: "array",
+                  description: "Additional arguments to pass to the script",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+              },
+              required: ["project_path", "script_path"],
+            },
+          },
+          {
+            name: "warden_xdebug",
+            description:
+              "Report or change Xdebug in the php-debug container: enable or disable php-debug (PHP_XDEBUG_3), or set the Xdebug mode (debug, profile, trace, coverage) used for web requests routed to it",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  description:
+                    "status, enable, disable, set_mode or reset (undo set_mode) (default: status)",
+                  enum: ["status", "enable", "disable", "set_mode", "reset"],
+                  default: "status",
+                },
+                mode: {
+                  type: "string",
+                  description:
+                    "For set_mode: Xdebug mode, or several separated by commas, e.g. debug or debug,develop (off, develop, debug, profile, trace, coverage)",
+                },
+                start_with_request: {
+                  type: "string",
+                  description:
+                    "For set_mode: trigger (only requests with an XDEBUG_SESSION/XDEBUG_TRIGGER cookie or parameter) or yes (every request) (default: trigger)",
+                  enum: ["trigger", "yes"],
+                  default: "trigger",
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_xdebug_run",
+            description:
+              "Run a PHP script or a framework CLI command (e.g. bin/magento) in the php-debug container with Xdebug started for the whole run. In profile mode the hottest functions of the profile are summarized",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                script_path: {
+                  type: "string",
+                  description:
+                    "PHP script relative to the project root (or use command)",
+                },
+                command: {
+                  type: ["string", "array"],
+                  description:
+                    "Framework CLI command, e.g. 'indexer:reindex catalog_product_price' for bin/magento (or use script_path)",
+                  items: {
+                    type: "string",
+                  },
+                },
+                args: {
+                  type: "array",
+                  description: "Additional arguments for the script or command",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                mode: {
+                  type: "string",
+                  description:
+                    "Xdebug mode for the run (default: profile). debug connects to the IDE",
+                  enum: ["profile", "trace", "debug", "coverage"],
+                  default: "profile",
+                },
+                top: {
+                  type: "integer",
+                  description:
+                    "Number of hottest functions to report from the profile (default: 20)",
+                  default: 20,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_xdebug_files",
+            description:
+              "List Xdebug profiles and traces in the php-debug container, copy them to var/xdebug in the project, or summarize the hottest functions of a cachegrind profile",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  description: "list, collect or summarize (default: list)",
+                  enum: ["list", "collect", "summarize"],
+                  default: "list",
+                },
+                file: {
+                  type: "string",
+                  description:
+                    "For summarize: container path of a cachegrind file, as listed",
+                },
+                files: {
+                  type: "array",
+                  description:
+                    "For collect: container paths to copy (default: all listed files)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                top: {
+                  type: "integer",
+                  description:
+                    "For summarize: number of hottest functions to report (default: 20)",
+                  default: 20,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_framework_cli",
+            description:
+              "Run the framework CLI of the project's environment type in the php-fpm container: bin/magento (magento2), n98-magerun (magento1), artisan (laravel), bin/console (symfony, shopware) or wp (wordpress)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                command: {
+                  type: ["string", "array"],
+                  items: {
+                    type: "string",
+                  },
+                  description:
+                    "Command to run, e.g. 'cache:clear', 'migrate' or 'plugin list', as a string split like shell words or as an array of arguments",
+                },
+                args: {
+                  type: "array",
+                  description:
+                    "Further arguments, e.g. ['list'] for 'wp plugin list'",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+              },
+              required: ["project_path", "command"],
+            },
+          },
+          {
+            name: "warden_magento_cli",
+            description: "Run bin/magento command inside the php-fpm container",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                command: {
+                  type: ["string", "array"],
+                  items: {
+                    type: "string",
+                  },
+                  description:
+                    "Magento CLI command (without 'bin/magento' prefix), as a string split like shell words (e.g. 'cache:clean config') or as an array of arguments",
+                },
+                args: {
+                  type: "array",
+                  description: "Additional arguments for the command",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+              },
+              required: ["project_path", "command"],
+            },
+          },
+          {
+            name: "warden_magento_config",
+            description:
+              "List, get or set Magento configuration (core_config_data) across the default, websites and stores scopes. Reports where the effective value comes from, including app/etc/env.php and config.php locks (returns structured JSON)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  enum: ["list", "get", "set"],
+                  description:
+                    "list: all values below a path prefix, get: effective value of a path for a scope, set: change a value through bin/magento config:set",
+                  default: "get",
+                },
+                path: {
+                  type: "string",
+                  description:
+                    "Configuration path (e.g. web/secure/base_url). For list, a path prefix (e.g. web/ or payment/checkmo)",
+                },
+                value: {
+                  type: "string",
+                  description: "New value (set only)",
+                },
+                scope: {
+                  type: "string",
+                  enum: ["default", "websites", "stores"],
+                  description:
+                    "Configuration scope (default: default). For list, limits the result to one scope",
+                },
+                scope_code: {
+                  type: "string",
+                  description:
+                    "Website or store code (or numeric ID) for the websites and stores scopes",
+                },
+                lock: {
+                  type: "string",
+                  enum: ["env", "config"],
+                  description:
+                    "Set only: write the value to app/etc/env.php or app/etc/config.php instead of the database",
+                },
+                flush_cache: {
+                  type: "boolean",
+                  description:
+                    "Set only: clean the config cache afterwards (default: false)",
+                  default: false,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_magento_cache",
+            description:
+              "List Magento cache types with their enabled and invalidated status, or clean, flush, enable or disable selected types. Returns structured JSON",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  description:
+                    "list, clean (remove the types' entries), flush (purge their storage), enable or disable (default: list)",
+                  enum: ["list", "clean", "flush", "enable", "disable"],
+                  default: "list",
+                },
+                types: {
+                  type: "array",
+                  description:
+                    "Cache type IDs, e.g. ['config', 'full_page'] (default: all types; for clean, the invalidated ones when there are any)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_magento_indexer",
+            description:
+              "Report each Magento indexer's status, mode (Update on Save or by Schedule), mview state and changelog backlog, or reindex or switch the mode of selected indexers. Returns structured JSON",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  description: "status, reindex or set_mode (default: status)",
+                  enum: ["status", "reindex", "set_mode"],
+                  default: "status",
+                },
+                indexers: {
+                  type: "array",
+                  description:
+                    "Indexer IDs, e.g. ['catalog_product_price'] (default: all; for reindex, the ones that need it when there are any)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                mode: {
+                  type: "string",
+                  description: "For set_mode: realtime or schedule",
+                  enum: ["realtime", "schedule"],
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_magento_cron",
+            description:
+              "Inspect Magento's cron_schedule (counts per status, failed and missed jobs with their messages, overdue pending jobs, running jobs) or run one cron group. Returns structured JSON",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                action: {
+                  type: "string",
+                  description: "status or run (default: status)",
+                  enum: ["status", "run"],
+                  default: "status",
+                },
+                group: {
+                  type: "string",
+                  description:
+                    "For run: cron group to run, e.g. default or index",
+                },
+                job_code: {
+                  type: "string",
+                  description: "For status: only this job code",
+                },
+                since: {
+                  type: "string",
+                  description:
+                    "For status: only jobs scheduled after this, as a duration such as 30m, 2h, 1d or a timestamp (default: 1d)",
+                },
+                limit: {
+                  type: "integer",
+                  description:
+                    "For status: maximum failed and missed jobs to return (default: 20)",
+                  default: 20,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_magento_modules",
+            description:
+              "List Magento modules with their enabled state from app/etc/config.php, composer package and version, module.xml setup_version and the schema/data versions in setup_module, and flag the modules that need setup:upgrade. Returns structured JSON",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                filter: {
+                  type: "string",
+                  description:
+                    "Only modules whose name or package contains this text (case-insensitive), e.g. Magento_Catalog or vendor/",
+                },
+                status: {
+                  type: "string",
+                  description:
+                    "Only enabled modules, disabled modules or those needing setup:upgrade (default: all)",
+                  enum: ["all", "enabled", "disabled", "needs_upgrade"],
+                  default: "all",
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_magento_deploy_mode",
+            description:
+              "Report the Magento deploy mode, generated code and deployed static content, or switch the mode (developer, production, default) and run setup:di:compile and setup:static-content:deploy for chosen locales and themes. Each phase is summarized in structured JSON",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                mode: {
+                  type: "string",
+                  description:
+                    "Deploy mode to switch to (default: report the current mode only)",
+                  enum: ["developer", "production", "default"],
+                },
+                compile: {
+                  type: "boolean",
+                  description:
+                    "Run setup:di:compile (default: true when switching to production, otherwise false)",
+                },
+                static_content: {
+                  type: "boolean",
+                  description:
+                    "Run setup:static-content:deploy (default: true when switching to production, otherwise false)",
+                },
+                locales: {
+                  type: "array",
+                  description:
+                    "Locales to deploy static content for, e.g. ['en_US', 'de_DE'] (default: Magento's choice, the locales in use)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                themes: {
+                  type: "array",
+                  description:
+                    "Themes to deploy, e.g. ['Magento/luma', 'Magento/backend'] (default: all)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                areas: {
+                  type: "array",
+                  description: "Areas to deploy (default: all)",
+                  items: {
+                    type: "string",
+                    enum: ["frontend", "adminhtml"],
+                  },
+                  default: [],
+                },
+                jobs: {
+                  type: "integer",
+                  description:
+                    "Parallel jobs for static content deployment (default: Magento's default)",
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_run_unit_tests",
+            description:
+              "Run unit tests using PHPUnit in the php-fpm container (returns structured JSON parsed from the JUnit log: summary, failures with file/line, suites)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                config_file: {
+                  type: "string",
+                  description:
+                    "PHPUnit configuration file (auto-detects phpunit.xml.dist or phpunit.xml)",
+                  default: "",
+                },
+                test_path: {
+                  type: "string",
+                  description:
+                    "Optional path to specific test file or directory",
+                  default: "",
+                },
+                filter: {
+                  type: "string",
+                  description:
+                    "Only run tests matching this PHPUnit --filter pattern (pass rerun_filter from a previous run to rerun only the failed tests)",
+                  default: "",
+                },
+                extra_args: {
+                  type: "array",
+                  description: "Additional PHPUnit arguments",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                include_passed: {
+                  type: "boolean",
+                  description:
+                    "List every test case per suite, not only failures (default: false)",
+                  default: false,
+                },
+                coverage: {
+                  type: "boolean",
+                  description:
+                    "Collect line coverage with PCOV or Xdebug for this run and return per-file and per-class coverage (default: false)",
+                  default: false,
+                },
+                coverage_paths: {
+                  type: "array",
+                  description:
+                    "Source directories or files to report coverage for, relative to the project root (default: the module containing test_path, otherwise app/code)",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                coverage_diff: {
+                  type: "boolean",
+                  description:
+                    "Also report uncovered lines among the lines changed in the git working tree (default: false)",
+                  default: false,
+                },
+                coverage_min: {
+                  type: "number",
+                  description:
+                    "Optional line coverage floor in percent; files and the total below it are flagged",
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_run_integration_tests",
+            description:
+              "Run Magento integration tests (dev/tests/integration) in the php-fpm container against the Warden db service. Generates etc/install-config-mysql.php when missing (returns the same structured JSON as warden_run_unit_tests)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                test_path: {
+                  type: "string",
+                  description:
+                    "Optional test file or directory relative to the project root (e.g. app/code/Vendor/Module/Test/Integration)",
+                  default: "",
+                },
+                testsuite: {
+                  type: "string",
+                  description: "Optional PHPUnit --testsuite name",
+                  default: "",
+                },
+                filter: {
+                  type: "string",
+                  description: "Only run tests matching this --filter pattern",
+                  default: "",
+                },
+                db_name: {
+                  type: "string",
+                  description:
+                    "Database used by the integration test framework (default: magento_integration_tests)",
+                  default: "magento_integration_tests",
+                },
+                regenerate_config: {
+                  type: "boolean",
+                  description:
+                    "Rewrite etc/install-config-mysql.php even when it exists (default: false)",
+                  default: false,
+                },
+                extra_args: {
+                  type: "array",
+                  description: "Additional PHPUnit arguments",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                include_passed: {
+                  type: "boolean",
+                  description:
+                    "List every test case per suite, not only failures (default: false)",
+                  default: false,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_run_static_tests",
+            description:
+              "Run Magento static tests (dev/tests/static) in the php-fpm container (returns the same structured JSON as warden_run_unit_tests)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                testsuite: {
+                  type: "string",
+                  description:
+                    "Optional PHPUnit --testsuite name from dev/tests/static/phpunit.xml(.dist)",
+                  default: "",
+                },
+                test_path: {
+                  type: "string",
+                  description:
+                    "Optional test file or directory relative to the project root (e.g. dev/tests/static/testsuite/Magento/Test/Php)",
+                  default: "",
+                },
+                filter: {
+                  type: "string",
+                  description: "Only run tests matching this --filter pattern",
+                  default: "",
+                },
+                extra_args: {
+                  type: "array",
+                  description: "Additional PHPUnit arguments",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+                include_passed: {
+                  type: "boolean",
+                  description:
+                    "List every test case per suite, not only failures (default: false)",
+                  default: false,
+                },
+              },
+              required: ["project_path"],
+            },
+          },
+          {
+            name: "warden_code_analysis",
+            description:
+              "Run PHP_CodeSniffer (Magento coding standard) or PHPStan in the php-fpm container (returns structured JSON findings with file, line, rule and message)",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                tool: {
+                  type: "string",
+                  enum: ["phpcs", "phpstan"],
+                  description: "Analyzer to run",
+                },
+                paths: {
+                  type: "array",
+                  description:
+                    "Files or directories relative to the project root (default: app/code)",
+                  items: {
+                    type: "string",
+                  },
+                  default: ["app/code"],
+                },
+                standard: {
+                  type: "string",
+                  description:
+                    "phpcs only: coding standard (default: Magento2)",
+                  default: "Magento2",
+                },
+                severity: {
+                  type: "integer",
+                  description:
+                    "phpcs only: minimum severity of reported violations (default: phpcs default)",
+                },
+                level: {
+                  type: "string",
+                  description:
+                    "phpstan only: rule level 0-9 or max (default: from the phpstan configuration)",
+                },
+                config_file: {
+                  type: "string",
+                  description:
+                    "phpstan only: configuration file (default: phpstan.neon or phpstan.neon.dist when present)",
+                },
+                extra_args: {
+                  type: "array",
+                  description: "Additional analyzer arguments",
+                  items: {
+                    type: "string",
+                  },
+                  default: [],
+                },
+              },
+              required: ["project_path", "tool"],
+            },
+          },
+          {
+            name: "warden_composer",
+            description: "Run Composer commands inside the php-fpm container",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path to the project directory",
+                },
+                command: {
+                  type: ["string", "array"],
+                  items: {
+                    type: "string",
+                  },
+                  description:
+                    "Composer command to execute, as a string split like shell words (e.g., 'install', 'require symfony/console', 'require \"vendor/package:^1.0 || ^2.0\"') or as an array of arguments",
+                },
+              },
+              required: ["project_path", "command"],
+            },
+          },
+          {
+            name: "warden_init_project",
+            description:
+              "Initialize a new Warden project with Magento 2 environment",
+            inputSchema: {
+              type: "object",
+              properties: {
+                project_path: {
+                  type: "string",
+                  description: "Path where the project should be initialized",
+                },
+                project_name: {
+                  type: "string",
+                  description: "Name for the Warden environment",
+                },
+                environment_type: {
+                  type: "string",
+                  description:
+                    "Environment type: magento2, magento1, laravel, symfony, shopware, wordpress or another Warden type. Sets the default versions, services and database (default: magento2)",
+                  default: "magento2",
+                },
+                magento_version: {
+                  type: "string",
+                  description: `Magento release the project targets, e.g. 2.4.7 or 2.4.7-p3. Service versions that are not given are set to the ones Adobe supports for it, and explicit versions are checked against them (known releases: ${Object.keys(MAGENTO_VERSION_MATRIX).join(", ")})`,
+                },
+                strict_versions: {
+                  type: "boolean",
+                  description:
+                    "Reject service versions that magento_version does not support instead of warning (default: false)",
+                  default: false,
+                },
+                php_version: {
+                  type: "string",
+                  description:
+                    "PHP version (default: 8.3, or the recommended version for magento_version)",
+                },
+                mysql_distribution: {
+                  type: "string",
+                  description: "MySQL distribution (default: mariadb)",
+                  default: "mariadb",
+                },
+                mysql_version: {
+                  type: "string",
+                  description:
+                    "MySQL version (default: 10.6, or the recommended version for magento_version)",
+                },
+                node_version: {
+                  type: "string",
+                  description: "Node.js version (default: 20)",
+                  default: "20",
+                },
+                composer_version: {
+                  type: "string",
+                  description:
+                    "Composer version (default: 2, or the recommended version for magento_version)",
+                },
+                opensearch_version: {
+                  type: "string",
+                  description:
+                    "OpenSearch version (default: 2.12, or the recommended version for magento_version)",
+                },
+                elasticsearch_version: {
+                  type: "string",
+                  description:
+                    "Elasticsearch version when enable_elasticsearch is set (default: 7.17)",
+                },
+                redis_version: {
+                  type: "string",
+                  description:
+                    "Redis version (default: 7.2, or the recommended version for magento_version)",
+                },
+                rabbitmq_version: {
+                  type: "string",
+                  description:
+                    "RabbitMQ version (default: Warden's default, or the recommended version for magento_version)",
+                },
+                enable_redis: {
+                  type: "boolean",
+                  description:
+                    "Enable Redis (default: true for magento2, magento1, laravel, symfony and shopware, else false)",
+                },
+                enable_opensearch: {
+                  type: "boolean",
+                  description:
+                    "Enable OpenSearch (default: true for magento2 unless enable_elasticsearch is set, else false)",
+                },
+                enable_elasticsearch: {
+                  type: "boolean",
+                  description:
+                    "Enable Elasticsearch instead of OpenSearch (default: false)",
+                },
+                enable_varnish: {
+                  type: "boolean",
+                  description:
+                    "Enable Varnish (default: true for magento2, else false)",
+                },
+                enable_rabbitmq: {
+                  type: "boolean",
+                  description:
+                    "Enable RabbitMQ (default: true for magento2, else false)",
+                },
+                enable_xdebug: {
+                  type: "boolean",
+                  description: "Enable Xdebug (default: true)",
+                  default: true,
+                },
+                existing: {
+                  type: "boolean",
+                  description:
+                    "Set up Warden for an existing Magento checkout in project_path (composer.json, app/etc/config.php) instead of an empty directory. The Magento version, PHP version, search engine and services are inferred from composer.lock, composer.json, app/etc/config.php and an existing app/etc/env.php; explicit arguments take precedence. Writes an app/etc/env.php pointing at the Warden services (default: false)",
+                  default: false,
+                },
+                install: {
+                  type: "boolean",
+                  description: `Also install Magento: start services and the environment, wait for db and search to be healthy, composer create-project, setup:install, create an admin user and set developer mode. Each stage is reported with its status (default: false). Needs repo.magento.com credentials in the host's ~/.composer/auth.json. The default timeout is then ${INIT_INSTALL_TIMEOUT} seconds`,
+                  default: false,
+                },
+                edition: {
+                  type: "string",
+                  description:
+                    "Magento edition to install: community or enterprise (default: community, or the edition of an existing repository)",
+                  enum: ["community", "enterprise"],
+                },
+                admin_user: {
+                  type: "string",
+                  description: "Admin username to create (default: admin)",
+                  default: "admin",
+                },
+                admin_password: {
+                  type: "string",
+                  description:
+                    "Admin password (default: generated and returned in the result)",
+                },
+                admin_email: {
+                  type: "string",
+                  description: "Admin email (default: admin@example.com)",
+                  default: "admin@example.com",
+                },
+                sample_data: {
+                  type: "boolean",
+                  description: "Install Magento sample data (default: false)",
+                  default: false,
+                },
+              },
+              required: ["project_path", "project_name"],
+            },
+          },
+          {
+            name: "warden_command_log",
+            description:
+              "Read the full output of a previous long-running command by its log_id (tool results only show the head and tail of long output). Without log_id, lists the most recent command logs",
+            inputSchema: {
+              type: "object",
+              properties: {
+                log_id: {
+                  type: "string",
+                  description: "Log ID reported by the command's tool result",
+                },
+                offset: {
+                  type: "integer",
+                  description:
+                    "First line to return, 0-based; negative values count from the end (default: 0)",
+                  default: 0,
+                },
+                limit: {
+                  type: "integer",
+                  description:
+                    "Maximum number of lines to return (default: 500)",
+                  default: 500,
+                },
+                search: {
+                  type: "string",
+                  description:
+                    "Only return lines matching this regular expression (case-insensitive), with their line numbers",
+                },
+              },
+            },
+          },
+          {
+            name: "warden_job_status",
+            description:
+              "Show the status of a background job (running, succeeded, failed, cancelled, timed_out or interrupted), its exit code and, once finished, its result. Without job_id, lists the most recent jobs",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned when the job was started",
+                },
+              },
+            },
+          },
+          {
+            name: "warden_job_output",
+            description:
+              "Read the output of a background job, while it runs or after it finished. Pass next_offset from the previous call as offset to read only new output",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned when the job was started",
+                },
+                offset: {
+                  type: "integer",
+                  description:
+                    "First line to return, 0-based; negative values count from the end (default: 0)",
+                  default: 0,
+                },
+                limit: {
+                  type: "integer",
+                  description:
+                    "Maximum number of lines to return (default: 500)",
+                  default: 500,
+                },
+              },
+              required: ["job_id"],
+            },
+          },
+          {
+            name: "warden_job_cancel",
+            description:
+              "Cancel a running background job, stopping its commands on the host and inside the containers",
+            inputSchema: {
+              type: "object",
+              properties: {
+                job_id: {
+                  type: "string",
+                  description: "Job ID returned when the job was started",
+                },
+              },
+              required: ["job_id"],
+            },
+          },
+        ].map((tool) =>
+          this.addCommandParameters(
+            this.addProjectParameter(this.addEnvTypeNote(tool)),
+          ),
+        ),
+      };
+    });
+
+    this.server.setRequestHandler(CallToolRequestSchema, (request, extra) =>
+      this.runToolCall(request, extra),
+    );
+  }
+
+  addEnvTypeNote(tool) {
+    const types = TOOL_ENV_TYPES[tool.name];
+    return types
+      ? {
+          ...tool,
+          description: `${tool.description}. Only for ${types.join(", ")} projects`,
+        }
+      : tool;
+  }
+
+  /**
+   * Project tools take project (path or environment name) as an alternative
+   * to project_path; neither is required when a default project is set.
+   */
+  addProjectParameter(tool) {
+    if (PROJECTLESS_TOOLS.includes(tool.name)) {
+      return tool;
+    }
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          project: {
+            type: "string",
+            description:
+              "Warden environment name or path to the project (or any directory inside it). Defaults to WARDEN_MCP_DEFAULT_PROJECT",
+          },
+          ...tool.inputSchema.properties,
+          project_path: {
+            ...tool.inputSchema.properties.project_path,
+            description: "Path to the project directory (same as project)",
+          },
+        },
+        required: (tool.inputSchema.required || []).filter(
+          (name) => name !== "project_path",
+        ),
+      },
+    };
+  }
+
+  /**
+   * Every tool that spawns commands accepts a per-call timeout in seconds,
+   * and the long-running ones can be started as background jobs.
+   */
+  addCommandParameters(tool) {
+    if (STATE_ONLY_TOOLS.includes(tool.name)) {
+      return tool;
+    }
+    const defaultTimeout = TOOL_TIMEOUTS[tool.name] ?? DEFAULT_TOOL_TIMEOUT;
+    const properties = {
+      ...tool.inputSchema.properties,
+      timeout: {
+        type: "integer",
+        description: `Seconds after which running commands are stopped and the partial output is returned; 0 disables the timeout (default: ${defaultTimeout})`,
+        default: defaultTimeout,
+      },
+    };
+    if (BACKGROUND_TOOLS.includes(tool.name)) {
+      properties.background = {
+        type: "boolean",
+        description:
+          "Start as a background job and return its job_id right away; follow it with warden_job_status and warden_job_output (default: false)",
+        default: false,
+      };
+    }
+    return {
+      ...tool,
+      inputSchema: { ...tool.inputSchema, properties },
+    };
+  }
+
+  /**
+   * Run a tool call with its progress token and an abort signal in the
+   * request context. The signal fires when the call times out or the client
+   * cancels the request; executeCommand then stops the running command.
+   */
+  async runToolCall(originalRequest, extra) {
+    const request = await this.resolveProjectArgument(originalRequest);
+    const { name, arguments: args = {} } = request.params;
+    this.assertToolApplies(name, args);
+
+    if (args.background && BACKGROUND_TOOLS.includes(name)) {
+      return this.startJob(request);
+    }
+
+    const controller = this.createToolAbortController(name, args);
+    const onCancel = () =>
+      controller.abort(
+        this.createAbortReason("cancelled", "Command cancelled by the client"),
+      );
+    extra?.signal?.addEventListener("abort", onCancel, { once: true });
+
+    try {
+      return await this.requestContext.run(
+        {
+          progressToken: request.params._meta?.progressToken,
+          signal: controller.signal,
+        },
+        () => this.callTool(request),
+      );
+    } finally {
+      controller.dispose();
+      extra?.signal?.removeEventListener("abort", onCancel);
+    }
+  }
+
+  /**
+   * Refuse tools that do not apply to the project's environment type.
+   */
+  assertToolApplies(name, args) {
+    const types = TOOL_ENV_TYPES[name];
+    if (!types || !args.project_path) {
+      return;
+    }
+    const type = this.getProjectType(args.project_path);
+    if (type && !types.includes(type)) {
+      throw new Error(
+        `${name} only applies to ${types.join(", ")} projects, and this is a ${type} project${ENV_TYPE_PROFILES[type]?.cli ? "; use warden_framework_cli for its CLI" : ""}`,
+      );
+    }
+  }
+
+  /**
+   * An AbortController that aborts once the tool's timeout elapses. Call
+   * dispose() when the tool call is done.
+   */
+  createToolAbortController(name, args) {
+    const timeout =
+      args.timeout ??
+      (name === "warden_init_project" && args.install
+        ? INIT_INSTALL_TIMEOUT
+        : (TOOL_TIMEOUTS[name] ?? DEFAULT_TOOL_TIMEOUT));
+    const controller = new AbortController();
+    const timer =
+      timeout > 0
+        ? setTimeout(
+            () =>
+              controller.abort(
+                this.createAbortReason(
+                  "timeout",
+                  `Command timed out after ${timeout} seconds`,
+                ),
+              ),
+            timeout * 1000,
+          )
+        : null;
+    controller.dispose = () => clearTimeout(timer);
+    return controller;
+  }
+
+  createAbortReason(kind, message) {
+    const reason = new Error(message);
+    reason.aborted = kind;
+    return reason;
+  }
+
+  async callTool(request) {
+    switch (request.params.name) {
+      case "warden_list_environments":
+        return await this.listEnvironments();
+      case "warden_env_status":
+        return await this.getEnvStatus(request.params.arguments);
+      case "warden_logs":
+        return await this.readLogs(request.params.arguments);
+      case "warden_env_config_get":
+        return await this.getEnvConfig(request.params.arguments);
+      case "warden_env_config_set":
+        return await this.setEnvConfig(request.params.arguments);
+      case "warden_start_project":
+        return await this.startProject(request.params.arguments);
+      case "warden_stop_project":
+        return await this.stopProject(request.params.arguments);
+      case "warden_start_svc":
+        return await this.startSvc(request.params.arguments);
+      case "warden_stop_svc":
+        return await this.stopSvc(request.params.arguments);
+      case "warden_db_query":
+        return await this.runDbQuery(request.params.arguments);
+      case "warden_db_dump":
+        return await this.dumpDatabase(request.params.arguments);
+      case "warden_db_import":
+        return await this.importDatabase(request.params.arguments);
+      case "warden_db_snapshot_list":
+        return await this.listDbSnapshots(request.params.arguments);
+      case "warden_db_snapshot_restore":
+        return await this.restoreDbSnapshot(request.params.arguments);
+      case "warden_db_anonymize":
+        return await this.anonymizeDatabase(request.params.arguments);
+      case "warden_redis_info":
+        return await this.getRedisInfo(request.params.arguments);
+      case "warden_redis_keys":
+        return await this.scanRedisKeys(request.params.arguments);
+      case "warden_redis_entry":
+        return await this.manageRedisEntry(request.params.arguments);
+      case "warden_redis_flush":
+        return await this.flushRedisDatabase(request.params.arguments);
+      case "warden_search":
+        return await this.querySearchEngine(request.params.arguments);
+      case "warden_php_script":
+        return await this.runPhpScript(request.params.arguments);
+      case "warden_xdebug":
+        return await this.manageXdebug(request.params.arguments);
+      case "warden_xdebug_run":
+        return await this.runWithXdebug(request.params.arguments);
+      case "warden_xdebug_files":
+        return await this.manageXdebugFiles(request.params.arguments);
+      case "warden_framework_cli":
+        return await this.runFrameworkCli(request.params.arguments);
+      case "warden_magento_cli":
+        return await this.runMagentoCli(request.params.arguments);
+      case "warden_magento_config":
+        return await this.manageMagentoConfig(request.params.arguments);
+      case "warden_magento_cache":
+        return await this.manageMagentoCache(request.params.arguments);
+      case "warden_magento_indexer":
+        return await this.manageMagentoIndexers(request.params.arguments);
+      case "warden_magento_cron":
+        return await this.manageMagentoCron(request.params.arguments);
+      case "warden_magento_modules":
+        return await this.listMagentoModules(request.params.arguments);
+      case "warden_magento_deploy_mode":
+        return await this.manageDeployMode(request.params.arguments);
+      case "warden_run_unit_tests":
+        return await this.runUnitTests(request.params.arguments);
+      case "warden_run_integration_tests":
+        return await this.runIntegrationTests(request.params.arguments);
+      case "warden_run_static_tests":
+        return await this.runStaticTests(request.params.arguments);
+      case "warden_code_analysis":
+        return await this.runCodeAnalysis(request.params.arguments);
+      case "warden_composer":
+        return await this.runComposer(request.params.arguments);
+      case "warden_init_project":
+        return await this.initProject(request.params.arguments);
+      case "warden_command_log":
+        return await this.readCommandLog(request.params.arguments);
+      case "warden_job_status":
+        return await this.getJobStatus(request.params.arguments);
+      case "warden_job_output":
+        return await this.readJobOutput(request.params.arguments);
+      case "warden_job_cancel":
+        return await this.cancelJob(request.params.arguments);
+      default:
+        throw new Error(`Unknown tool: ${request.params.name}`);
+    }
+  }
+
+  async listEnvironments() {
+    try {
+      const result = await this.executeCommand(
+        "warden",
+        ["status"],
+        process.cwd(),
+      );
+
+      if (result.code === 0) {
+        const environments = this.parseEnvironmentList(result.stdout);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  command: "warden status",
+                  exit_code: result.code,
+                  environments: environments.map((env) => ({
+                    name: env.name,
+                    type: env.type,
+                    path: env.path,
+                    url: env.url,
+                  })),
+                  raw_output: result.stdout,
+                },
+                null,
+                2,
+              ),
+            },
+          ],
+          isError: false,
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: false,
+                  command: "warden status",
+                  exit_code: result.code,
+                  environments: [],
+                  error: result.stderr || "Unknown error",
+                  raw_output: result.stdout,
+                },
+                null,
+                2,
+              ),
+            },
+          ],
+          isError: true,
+        };
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: false,
+                command: "warden status",
+                exit_code: -1,
+                environments: [],
+                error: error.message,
+                raw_output: error.stdout || "",
+                raw_errors: error.stderr || "",
+              },
+              null,
+              2,
+            ),
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  parseEnvironmentList(output) {
+    const environments = [];
+    const lines = output.split("\n");
+
+    let currentProject = null;
+    let currentType = null;
+    let currentPath = null;
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      // Skip empty lines and headers
+      if (
+        !trimmed ||
+        trimmed.includes("No running environments found") ||
+        trimmed.includes("Found the following")
+      ) {
+        continue;
+      }
+
+      // Remove ANSI color codes for parsing
+      const cleanLine = trimmed.replace(/\x1b\[[0-9;]*m/g, "");
+
+      // Look for project name pattern: "    projectname a magento2 project"
+      const projectMatch = cleanLine.match(
+        /^\s*([\w.-]+)\s+a\s+([\w-]+)\s+project$/,
+      );
+      if (projectMatch) {
+        currentProject = projectMatch[1];
+        currentType = projectMatch[2];
+        continue;
+      }
+
+      // Look for project directory pattern: "       Project Directory: /path/to/project"
+      const directoryMatch = cleanLine.match(/^\s*Project Directory:\s*(.+)$/);
+      if (directoryMatch && currentProject) {
+        currentPath = directoryMatch[1];
+
+        // Add the environment when we have both name and path
+        environments.push({
+          name: currentProject,
+          type: currentType,
+          path: currentPath,
+          url: null,
+          raw: line,
+        });
+
+        // Reset for next project
+        currentProject = null;
+        currentType = null;
+        currentPath = null;
+        continue;
+      }
+
+      // The URL line follows the directory of the same project
+      const urlMatch = cleanLine.match(/^\s*Project URL:\s*(.+)$/);
+      if (urlMatch && environments.length > 0) {
+        environments[environments.length - 1].url = urlMatch[1];
+        continue;
+      }
+    }
+
+    return environments;
+  }
+
+  /**
+   * Helper function to get environment list for internal use by other tools
+   * Returns a simplified array of {name, type, path, url} objects
+   */
+  async getEnvironmentList() {
+    try {
+      const result = await this.executeCommand(
+        "warden",
+        ["status"],
+        process.cwd(),
+      );
+
+      if (result.code === 0) {
+        const environments = this.parseEnvironmentList(result.stdout);
+        return environments.map((env) => ({
+          name: env.name,
+          type: env.type,
+          path: env.path,
+          url: env.url,
+        }));
+      } else {
+        return [];
+      }
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async getEnvStatus(args = {}) {
+    const { project_path } = args;
+    const running = await this.getEnvironmentList();
+
+    const projectPaths = project_path
+      ? [project_path]
+      : running.map((environment) => environment.path);
+
+    const environments = [];
+    for (const absoluteProjectPath of projectPaths) {
+      environments.push(
+        await this.getProjectStatus(absoluteProjectPath, running),
+      );
+    }
+
+    return this.createJsonResponse({
+      environments,
+      ...(environments.length === 0
+        ? { message: "No running Warden environments found" }
+        : {}),
+    });
+  }
+
+  async getProjectStatus(absoluteProjectPath, running) {
+    const env = this.readProjectEnv(absoluteProjectPath);
+    const name = env.WARDEN_ENV_NAME || basename(absoluteProjectPath);
+    const listed = running.find(
+      (environment) =>
+        environment.path === absoluteProjectPath || environment.name === name,
+    );
+    const status = {
+      name,
+      type: env.WARDEN_ENV_TYPE || listed?.type || null,
+      path: absoluteProjectPath,
+      url: listed?.url || this.getProjectBaseUrl(absoluteProjectPath),
+    };
+
+    let services;
+    try {
+      services = await this.getComposeServices(absoluteProjectPath);
+    } catch (error) {
+      return { ...status, running: false, error: error.message };
+    }
+
+    const byName = new Map(
+      services.map((service) => [service.service, service]),
+    );
+    const notRunning = this.getExpectedServices(env)
+      .filter(({ service }) => byName.get(service)?.state !== "running")
+      .map(({ service, flag }) => ({
+        service,
+        enabled_by: flag,
+        state: byName.get(service)?.state || "missing",
+      }));
+    const unhealthy = services
+      .filter((service) => service.health === "unhealthy")
+      .map((service) => service.service);
+
+    return {
+      ...status,
+      running: services.some((service) => service.state === "running"),
+      healthy: notRunning.length === 0 && unhealthy.length === 0,
+      not_running: notRunning,
+      unhealthy,
+      services,
+    };
+  }
+
+  /**
+   * Services the project's .env asks for.
+   */
+  getExpectedServices(env) {
+    const isEnabled = (value, enabledByDefault) =>
+      value === undefined || value === ""
+        ? Boolean(enabledByDefault)
+        : ["1", "true"].includes(value.toLowerCase());
+
+    const expected = WARDEN_SERVICE_FLAGS.filter(({ flag, enabledByDefault }) =>
+      isEnabled(env[flag], enabledByDefault),
+    );
+    if (env.WARDEN_ENV_TYPE !== "local") {
+      expected.unshift({ service: "php-fpm", flag: "WARDEN_ENV_TYPE" });
+    }
+    return expected;
+  }
+
+  /**
+   * Containers of the project from `warden env ps`, including stopped ones.
+   * Unhealthy containers get the output of their last health check from
+   * docker inspect.
+   */
+  async getComposeServices(absoluteProjectPath) {
+    const result = await this.executeCommand(
+      "warden",
+      ["env", "ps", "--all", "--format", "json"],
+      absoluteProjectPath,
+    );
+    if (result.code !== 0) {
+      throw new Error(
+        `warden env ps failed: ${result.stderr.trim() || `exit code ${result.code}`}`,
+      );
+    }
+
+    // Docker Compose prints a JSON array (v2.0-2.20) or one object per line
+    const output = result.stdout.trim();
+    const containers = output.startsWith("[")
+      ? JSON.parse(output)
+      : output
+          .split("\n")
+          .filter((line) => line.trim().startsWith("{"))
+          .map((line) => JSON.parse(line));
+
+    const services = [];
+    for (const container of containers) {
+      const image = container.Image || "";
+      const imageName = image.split("/").pop();
+      const service = {
+        service: container.Service,
+        container: container.Name,
+        state: container.State,
+        health: container.Health || null,
+        status: container.Status,
+        image,
+        version: imageName.includes(":")
+          ? imageName.slice(imageName.indexOf(":") + 1)
+          : "latest",
+        ports: this.parseComposePorts(container.Publishers),
+      };
+
+      if (service.health === "unhealthy") {
+        service.health_check = await this.getLastHealthCheck(
+          absoluteProjectPath,
+          container.Name,
+        );
+      }
+      services.push(service);
+    }
+
+    return services.sort((a, b) => a.service.localeCompare(b.service));
+  }
+
+  parseComposePorts(publishers) {
+    const ports = new Map();
+    for (const publisher of publishers || []) {
+      const key = `${publisher.TargetPort}/${publisher.Protocol}`;
+      const port = ports.get(key) || {
+        container: publisher.TargetPort,
+        protocol: publisher.Protocol,
+        published: [],
+      };
+      if (publisher.PublishedPort) {
+        const host = publisher.URL.includes(":")
+          ? `[${publisher.URL}]`
+          : publisher.URL;
+        port.published.push(`${host}:${publisher.PublishedPort}`);
+      }
+      ports.set(key, port);
+    }
+    return [...ports.values()];
+  }
+
+  async getLastHealthCheck(cwd, containerName) {
+    const result = await this.executeCommand(
+      "docker",
+      ["inspect", "--format", "{{json .State.Health}}", containerName],
+      cwd,
+    );
+    if (result.code !== 0) {
+      return null;
+    }
+    try {
+      const health = JSON.parse(result.stdout);
+      const last = health?.Log?.[health.Log.length - 1];
+      return last
+        ? {
+            exit_code: last.ExitCode,
+            output: last.Output.trim(),
+            at: last.End,
+            failing_streak: health.FailingStreak,
+          }
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async readLogs(args) {
+    const { project_path, source, since, grep } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const pattern = grep ? this.compileSearchPattern(grep, "grep") : null;
+
+    const type = this.getProjectType(absoluteProjectPath);
+    if (["magento", "report"].includes(source) && type && type !== "magento2") {
+      throw new Error(
+        `source ${source} only applies to magento2 projects, and this is a ${type} project; use source container`,
+      );
+    }
+
+    switch (source) {
+      case "container":
+        return await this.readContainerLogs(absoluteProjectPath, {
+          service: args.service,
+          since: this.parseSince(since),
+          tail: args.tail ?? 100,
+          pattern,
+        });
+      case "magento":
+        return this.readMagentoLog(absoluteProjectPath, {
+          file: args.file || "exception.log",
+          since: this.parseSince(since),
+          tail: args.tail ?? 20,
+          pattern,
+          level: args.level,
+        });
+      case "report":
+        return this.readMagentoReports(absoluteProjectPath, {
+          reportId: args.report_id,
+          since: this.parseSince(since),
+          tail: args.tail ?? 20,
+          pattern,
+        });
+      default:
+        throw new Error("source must be container, magento or report");
+    }
+  }
+
+  async readContainerLogs(
+    absoluteProjectPath,
+    { service, since, tail, pattern },
+  ) {
+    const wardenCommand = ["env", "logs", "--no-color", "--timestamps"];
+    if (since) {
+      wardenCommand.push("--since", since.toISOString());
+    }
+    // With a pattern, the last matches may be older than the last lines, so
+    // a wider window is read and tail is applied after filtering
+    const scanLines = pattern
+      ? Math.max(tail, CONTAINER_LOG_SCAN_LINES)
+      : tail > 0
+        ? tail
+        : null;
+    if (scanLines) {
+      wardenCommand.push("--tail", String(scanLines));
+    }
+    if (service) {
+      wardenCommand.push(service);
+    }
+
+    const result = await this.executeCommand(
+      "warden",
+      wardenCommand,
+      absoluteProjectPath,
+    );
+    if (result.code !== 0) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          command: formatCommand(["warden", ...wardenCommand]),
+          exit_code: result.code,
+          error: result.stderr.trim() || "warden env logs failed",
+        },
+        true,
+      );
+    }
+
+    // Compose prefixes each line with "<container> | <timestamp> ". It writes
+    // the containers' stderr to its own stderr, so both streams are merged by
+    // time; a line without a timestamp sorts with the line before it.
+    const lines = [result.stdout, result.stderr]
+      .flatMap((output) => {
+        let time = 0;
+        return output
+          .split("\n")
+          .filter((line) => line.trim() !== "")
+          .map((line) => {
+            const match = line.match(/^(\S+)\s+\|\s(\S+)\s?(.*)$/);
+            time = (match && Date.parse(match[2])) || time;
+            return {
+              time,
+              line: match
+                ? {
+                    container: match[1],
+                    timestamp: match[2],
+                    message: match[3],
+                  }
+                : { container: null, timestamp: null, message: line },
+            };
+          });
+      })
+      .sort((a, b) => a.time - b.time)
+      .map(({ line }) => line)
+      .filter((line) => !pattern || pattern.test(line.message));
+    const returned = tail > 0 ? lines.slice(-tail) : lines;
+
+    return this.createJsonResponse({
+      success: true,
+      source: "container",
+      service: service || "(all services)",
+      command: formatCommand(["warden", ...wardenCommand]),
+      ...(pattern ? { matching_lines: lines.length } : {}),
+      returned_lines: returned.length,
+      lines: returned,
+    });
+  }
+
+  readMagentoLog(absoluteProjectPath, { file, since, tail, pattern, level }) {
+    if (!/^[\w.-]+$/.test(file)) {
+      throw new Error(`Invalid log file name: ${file}`);
+    }
+    const logPath = join(absoluteProjectPath, "var", "log", file);
+    if (!existsSync(logPath)) {
+      const available = existsSync(join(absoluteProjectPath, "var", "log"))
+        ? readdirSync(join(absoluteProjectPath, "var", "log")).filter((name) =>
+            name.endsWith(".log"),
+          )
+        : [];
+      throw new Error(
+        `var/log/${file} does not exist. Available logs: ${available.join(", ") || "(none)"}`,
+      );
+    }
+
+    const { text, skippedBytes } = this.readFileTail(
+      logPath,
+      MAGENTO_LOG_MAX_BYTES,
+    );
+    const minimumLevel = level
+      ? MONOLOG_LEVELS.indexOf(level.toUpperCase())
+      : -1;
+    if (level && minimumLevel === -1) {
+      throw new Error(
+        `Unknown level ${level}; use one of ${MONOLOG_LEVELS.join(", ")}`,
+      );
+    }
+
+    const entries = this.parseMagentoLog(text).filter(
+      (entry) =>
+        (!since || (entry.timestamp && new Date(entry.timestamp) >= since)) &&
+        MONOLOG_LEVELS.indexOf(entry.level) >= minimumLevel &&
+        (!pattern || pattern.test(entry.raw)),
+    );
+    const returned = entries.slice(-tail).map(({ raw, ...entry }) => entry);
+
+    return this.createJsonResponse({
+      success: true,
+      source: "magento",
+      file: `var/log/${file}`,
+      ...(skippedBytes > 0
+        ? {
+            note: `Only the last ${MAGENTO_LOG_MAX_BYTES} bytes were read; ${skippedBytes} older bytes were skipped`,
+          }
+        : {}),
+      matching_entries: entries.length,
+      returned_entries: returned.length,
+      entries: returned,
+    });
+  }
+
+  /**
+   * Split a Monolog file into entries. Each entry starts with
+   * "[timestamp] channel.LEVEL: message"; following lines (stack traces)
+   * belong to it.
+   */
+  parseMagentoLog(text) {
+    const entries = [];
+    for (const line of text.split("\n")) {
+      const match = line.match(
+        /^\[(\d{4}-\d{2}-\d{2}[T ][^\]]+)\] ([\w.-]+)\.([A-Z]+): (.*)$/,
+      );
+      if (match) {
+        entries.push({
+          timestamp: match[1],
+          channel: match[2],
+          level: match[3],
+          lines: [match[4]],
+        });
+      } else if (entries.length > 0) {
+        entries[entries.length - 1].lines.push(line);
+      }
+    }
+
+    return entries.map(({ lines, ...entry }) => {
+      const raw = lines.join("\n").trimEnd();
+
+      // Exceptions are logged in the JSON context:
+      // message {"exception":"[object] (Class(code: 0): text at file:line)\n[stacktrace]\n#0 ..."} []
+      let exceptionText = null;
+      const contextStart = raw.indexOf(' {"exception":');
+      if (contextStart !== -1) {
+        try {
+          // The stack trace is written with literal newlines inside the string
+          exceptionText = JSON.parse(
+            raw
+              .slice(contextStart + 1, raw.lastIndexOf("}") + 1)
+              .replace(/\n/g, "\\n"),
+          ).exception;
+        } catch {
+          exceptionText = null;
+        }
+      }
+      const exception = String(exceptionText ?? "").match(
+        /^\[object\] \(([\w\\]+)\(code: (-?\d+)\): ([\s\S]*?) at (\/\S+?):(\d+)\)/,
+      );
+      const trace = (exceptionText ?? raw)
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => /^#\d+ /.test(line))
+        .map((line) => this.stripContainerWebRoot(line));
+      const message = (
+        contextStart === -1 ? lines[0] : raw.slice(0, contextStart)
+      )
+        .replace(/( \[\])+$/, "")
+        .trim();
+
+      return {
+        ...entry,
+        message,
+        ...(exception
+          ? {
+              exception: {
+                class: exception[1],
+                code: Number(exception[2]),
+                message: exception[3],
+                file: this.toProjectRelativePath(exception[4]),
+                line: Number(exception[5]),
+              },
+            }
+          : {}),
+        ...(trace.length > 0 ? { trace } : {}),
+        raw,
+      };
+    });
+  }
+
+  stripContainerWebRoot(text) {
+    return text.split(`${CONTAINER_WEB_ROOT}/`).join("");
+  }
+
+  readMagentoReports(absoluteProjectPath, { reportId, since, tail, pattern }) {
+    const reportDirectory = join(absoluteProjectPath, "var", "report");
+
+    if (reportId) {
+      if (!/^[\w.-]+$/.test(reportId)) {
+        throw new Error(`Invalid report_id: ${reportId}`);
+      }
+      const reportPath = [
+        join(reportDirectory, reportId),
+        join(reportDirectory, "api", reportId),
+      ].find((path) => existsSync(path));
+      if (!reportPath) {
+        throw new Error(`Report not found: var/report/${reportId}`);
+      }
+      return this.createJsonResponse({
+        success: true,
+        source: "report",
+        report: this.parseMagentoReport(reportPath, reportDirectory),
+      });
+    }
+
+    const files = [];
+    const walk = (directory) => {
+      if (!existsSync(directory)) {
+        return;
+      }
+      for (const name of readdirSync(directory)) {
+        const path = join(directory, name);
+        const stats = statSync(path);
+        if (stats.isDirectory()) {
+          walk(path);
+        } else if (!since || stats.mtime >= since) {
+          files.push({ path, mtime: stats.mtime });
+        }
+      }
+    };
+    walk(reportDirectory);
+
+    const reports = files
+      .sort((a, b) => a.mtime - b.mtime)
+      .map((file) => this.parseMagentoReport(file.path, reportDirectory))
+      .filter(
+        (report) =>
+          !pattern ||
+          pattern.test(`${report.message}\n${(report.trace || []).join("\n")}`),
+      );
+    const returned = reports.slice(-tail);
+
+    return this.createJsonResponse({
+      success: true,
+      source: "report",
+      matching_reports: reports.length,
+      returned_reports: returned.length,
+      reports: returned,
+    });
+  }
+
+  /**
+   * Magento writes reports as JSON: {"0": message, "1": trace, "url": ...}.
+   */
+  parseMagentoReport(reportPath, reportDirectory) {
+    const report = {
+      report_id: basename(reportPath),
+      file: `var/report/${reportPath.slice(reportDirectory.length + 1)}`,
+      timestamp: statSync(reportPath).mtime.toISOString(),
+    };
+    const content = readFileSync(reportPath, "utf8");
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      return { ...report, message: content.trim() };
+    }
+
+    return {
+      ...report,
+      message: data[0] ?? data.message ?? null,
+      ...(data.url ? { url: data.url } : {}),
+      ...(data.script_name ? { script_name: data.script_name } : {}),
+      trace: String(data[1] ?? data.trace ?? "")
+        .split("\n")
+        .map((line) => this.stripContainerWebRoot(line.trim()))
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Case-insensitive regular expression from a user-supplied pattern, with
+   * an error that names the parameter instead of a bare SyntaxError.
+   */
+  compileSearchPattern(value, name) {
+    try {
+      return new RegExp(value, "i");
+    } catch (error) {
+      throw new Error(
+        `Invalid ${name} pattern ${value}: ${error.message.replace(/^Invalid regular expression: \/.*\/\w*: /, "")}. Escape special characters such as ( [ * + ? with a backslash to match them literally`,
+      );
+    }
+  }
+
+  /**
+   * "30m", "2h", "1d" or a timestamp -> Date; undefined when not given.
+   */
+  parseSince(since) {
+    if (!since) {
+      return undefined;
+    }
+    const duration = since.match(/^(\d+)\s*([smhd])$/);
+    if (duration) {
+      const seconds = { s: 1, m: 60, h: 3600, d: 86400 }[duration[2]];
+      return new Date(Date.now() - Number(duration[1]) * seconds * 1000);
+    }
+    const date = new Date(since);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(
+        `Invalid since value: ${since} (use a duration such as 30m, 2h, 1d or a timestamp)`,
+      );
+    }
+    return date;
+  }
+
+  /**
+   * Read at most maxBytes from the end of a file, starting at a line boundary.
+   */
+  readFileTail(path, maxBytes) {
+    const size = statSync(path).size;
+    if (size <= maxBytes) {
+      return { text: readFileSync(path, "utf8"), skippedBytes: 0 };
+    }
+
+    const buffer = Buffer.alloc(maxBytes);
+    const fd = openSync(path, "r");
+    try {
+      readSync(fd, buffer, 0, maxBytes, size - maxBytes);
+    } finally {
+      closeSync(fd);
+    }
+    const text = buffer.toString("utf8");
+    const firstNewline = text.indexOf("\n");
+    return {
+      text: text.slice(firstNewline + 1),
+      skippedBytes: size - maxBytes + firstNewline + 1,
+    };
+  }
+
+  async startProject(args) {
+    const { project_path } = args;
+    return await this.executeWardenCommand(
+      project_path,
+      ["env", "up"],
+      "Starting Warden project environment",
+    );
+  }
+
+  async stopProject(args) {
+    const { project_path } = args;
+    return await this.executeWardenCommand(
+      project_path,
+      ["env", "down"],
+      "Stopping Warden project environment",
+    );
+  }
+
+  async startSvc(args) {
+    const { project_path } = args;
+    return await this.executeWardenCommand(
+      project_path,
+      ["svc", "up"],
+      "Starting Warden system services",
+    );
+  }
+
+  async stopSvc(args) {
+    const { project_path } = args;
+    return await this.executeWardenCommand(
+      project_path,
+      ["svc", "down"],
+      "Stopping Warden system services",
+    );
+  }
+
+  async runDbQuery(args) {
+    const {
+      project_path,
+      query,
+      params = [],
+      database: requestedDatabase,
+      max_rows = 1000,
+      allow_write = false,
+      read_only_transaction = this.config.dbReadOnlyTransactions,
+    } = args;
+
+    if (!query) {
+      throw new Error("query is required");
+    }
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const database =
+      requestedDatabase || this.getDefaultDatabase(absoluteProjectPath);
+    const classification = this.classifySql(query);
+
+    if (classification.type !== "read" && !this.isDbWriteAllowed(allow_write)) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          classification,
+          error: {
+            message: `Refusing to run a ${classification.type} query. Review the statements and repeat the call with allow_write: true to confirm, or set WARDEN_MCP_ALLOW_DB_WRITE=1 on the server.`,
+          },
+        },
+        true,
+      );
+    }
+
+    try {
+      const result = await this.executeSql(absoluteProjectPath, {
+        query,
+        params,
+        database,
+        maxRows: max_rows,
+        readOnly: classification.type === "read" && read_only_transaction,
+      });
+
+      const resultSets = result.statements.filter((s) => s.columns);
+      const writes = result.statements.filter((s) => !s.columns);
+      const primary = resultSets[resultSets.length - 1] || {
+        columns: [],
+        rows: [],
+        row_count: 0,
+        returned_rows: 0,
+        truncated: false,
+      };
+
+      return this.createJsonResponse(
+        {
+          success: !result.error,
+          database,
+          classification,
+          columns: primary.columns,
+          rows: primary.rows,
+          row_count: primary.row_count,
+          returned_rows: primary.returned_rows,
+          truncated: primary.truncated,
+          affected_rows:
+            writes.length > 0
+              ? writes.reduce((sum, s) => sum + s.affected_rows, 0)
+              : null,
+          warnings: result.warnings,
+          ...(result.statements.length > 1
+            ? { statements: result.statements }
+            : {}),
+          ...(result.error ? { error: result.error } : {}),
+        },
+        !!result.error,
+      );
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          error: { message: error.message },
+          raw_output: error.stdout || "",
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  /**
+   * Execute SQL through PDO inside the php-fpm container.
+   * Returns { statements, warnings, error } where each statement is either
+   * { columns, rows, row_count, returned_rows, truncated } or { affected_rows }.
+   */
+  async executeSql(
+    absoluteProjectPath,
+    { query, params = [], database = "magento", maxRows = 0, readOnly = false },
+  ) {
+    const input = {
+      ...this.getDatabaseConnection(database),
+      query,
+      params,
+      max_rows: maxRows > 0 ? maxRows : null,
+      read_only: readOnly,
+    };
+
+    const result = await this.executeCommand(
+      "warden",
+      [
+        "env",
+        "exec",
+        "-T",
+        "php-fpm",
+        "php",
+        "-r",
+        SQL_RUNNER_PHP,
+        "--",
+        JSON.stringify(input),
+      ],
+      absoluteProjectPath,
+    );
+
+    let output;
+    try {
+      output = JSON.parse(result.stdout);
+    } catch (parseError) {
+      const error = new Error(
+        `Unable to read query result from the php-fpm container (exit code ${result.code})`,
+      );
+      error.stdout = result.stdout;
+      error.stderr = result.stderr;
+      throw error;
+    }
+
+    return {
+      statements: output.statements.map((statement) =>
+        this.normalizeStatementResult(statement),
+      ),
+      warnings: output.warnings.map((warning) => ({
+        level: warning.Level,
+        code: Number(warning.Code),
+        message: warning.Message,
+      })),
+      error: output.error,
+    };
+  }
+
+  normalizeStatementResult(statement) {
+    if (!statement.columns) {
+      return { affected_rows: statement.affected_rows };
+    }
+
+    // Duplicate column labels (e.g. a.id, b.id) would collide as object keys
+    const seen = {};
+    const columns = statement.columns.map((column) => {
+      seen[column.name] = (seen[column.name] || 0) + 1;
+      return {
+        ...column,
+        name:
+          seen[column.name] > 1
+            ? `${column.name}_${seen[column.name]}`
+            : column.name,
+      };
+    });
+
+    const rows = statement.rows.map((row) =>
+      Object.fromEntries(
+        columns.map((column, index) => [
+          column.name,
+          this.castColumnValue(row[index], column.type),
+        ]),
+      ),
+    );
+
+    return {
+      columns,
+      rows,
+      row_count: statement.row_count,
+      returned_rows: rows.length,
+      truncated: rows.length < statement.row_count,
+    };
+  }
+
+  castColumnValue(value, type) {
+    if (value === null) {
+      return null;
+    }
+
+    if (INTEGER_COLUMN_TYPES.includes(type)) {
+      const number = Number(value);
+      // Keep BIGINT values outside the safe integer range as strings
+      return Number.isSafeInteger(number) ? number : value;
+    }
+
+    if (FLOAT_COLUMN_TYPES.includes(type)) {
+      return Number(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Classify every statement of a query as read, write or ddl.
+   * The overall type is the most dangerous type found.
+   */
+  classifySql(query) {
+    const statements = this.splitSqlStatements(query).map((statement) => ({
+      sql: statement.sql,
+      ...this.classifySqlStatement(statement.normalized),
+    }));
+
+    const order = ["read", "write", "ddl"];
+    const type = statements.reduce(
+      (highest, statement) =>
+        order.indexOf(statement.type) > order.indexOf(highest)
+          ? statement.type
+          : highest,
+      "read",
+    );
+
+    return { type, statements };
+  }
+
+  /**
+   * Split SQL on top-level semicolons. Besides the original text, every
+   * statement gets a normalized form with comments removed and string
+   * literals and quoted identifiers blanked out, which is what the classifier
+   * looks at. MySQL executable comments (/*! ... *\/) are kept as code.
+   */
+  splitSqlStatements(sql) {
+    const statements = [];
+    let original = "";
+    let normalized = "";
+    let inExecutableComment = false;
+    let i = 0;
+
+    const push = () => {
+      if (normalized.trim()) {
+        statements.push({
+          sql: original.trim(),
+          normalized: normalized.trim(),
+        });
+      }
+      original = "";
+      normalized = "";
+    };
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      if (char === "'" || char === '"' || char === "`") {
+        let end = i + 1;
+        while (end < sql.length && sql[end] !== char) {
+          if (sql[end] === "\\" && char !== "`") {
+            end++;
+          }
+          end++;
+        }
+        original += sql.slice(i, end + 1);
+        normalized += char === "`" ? " _ " : " '' ";
+        i = end + 1;
+        continue;
+      }
+
+      if (
+        char === "#" ||
+        (char === "-" && next === "-" && /\s|$/.test(sql[i + 2] || ""))
+      ) {
+        const end = sql.indexOf("\n", i);
+        const stop = end === -1 ? sql.length : end;
+        original += sql.slice(i, stop);
+        normalized += " ";
+        i = stop;
+        continue;
+      }
+
+      if (char === "/" && next === "*") {
+        const executable = /^\/\*M?!\d*/.exec(sql.slice(i));
+        if (executable) {
+          original += executable[0];
+          normalized += " ";
+          inExecutableComment = true;
+          i += executable[0].length;
+          continue;
+        }
+        const end = sql.indexOf("*/", i + 2);
+        const stop = end === -1 ? sql.length : end + 2;
+        original += sql.slice(i, stop);
+        normalized += " ";
+        i = stop;
+        continue;
+      }
+
+      if (inExecutableComment && char === "*" && next === "/") {
+        original += "*/";
+        normalized += " ";
+        inExecutableComment = false;
+        i += 2;
+        continue;
+      }
+
+      if (char === ";") {
+        push();
+        i++;
+        continue;
+      }
+
+      original += char;
+      normalized += char;
+      i++;
+    }
+
+    push();
+    return statements;
+  }
+
+  classifySqlStatement(normalized) {
+    const tokens = [];
+    const openParenthesis = /\s*\(/y;
+    let depth = 0;
+    for (const { 0: token, index } of normalized.matchAll(
+      /\(|\)|[A-Za-z_][A-Za-z0-9_$]*/g,
+    )) {
+      if (token === "(") {
+        depth++;
+      } else if (token === ")") {
+        depth = Math.max(0, depth - 1);
+      } else {
+        openParenthesis.lastIndex = index + token.length;
+        tokens.push({
+          word: token.toUpperCase(),
+          depth,
+          call: openParenthesis.test(normalized),
+        });
+      }
+    }
+
+    if (tokens.length === 0) {
+      return { type: "read", keyword: "" };
+    }
+
+    const keyword = tokens[0].word;
+    const topLevel = tokens
+      .filter((token) => token.depth === tokens[0].depth)
+      .map((token) => token.word);
+    // Verbs that are followed by "(" are the string functions REPLACE() and
+    // INSERT(), not statements
+    const topLevelVerbs = tokens
+      .filter((token) => token.depth === tokens[0].depth && !token.call)
+      .map((token) => token.word);
+    const words = tokens.map((token) => token.word);
+
+    if (keyword === "SET") {
+      // Every assignment of the list counts: SET @a = 1, GLOBAL x = 1 changes
+      // server state just like SET GLOBAL x = 1
+      const assignments = [""];
+      let nesting = 0;
+      for (const char of normalized.replace(/^\s*SET\b/i, "")) {
+        if (char === "(") {
+          nesting++;
+        } else if (char === ")") {
+          nesting = Math.max(0, nesting - 1);
+        } else if (char === "," && nesting === 0) {
+          assignments.push("");
+          continue;
+        }
+        assignments[assignments.length - 1] += char;
+      }
+      const admin =
+        SQL_ADMIN_SET_TARGETS.includes(topLevel[1]) ||
+        assignments.some((assignment) =>
+          /^(GLOBAL|PERSIST|PERSIST_ONLY)\b|^@@(GLOBAL|PERSIST|PERSIST_ONLY)\./i.test(
+            assignment.trim(),
+          ),
+        );
+      return { type: admin ? "ddl" : "read", keyword };
+    }
+
+    // EXPLAIN ANALYZE runs the statement to measure it, so it is classified
+    // like the statement itself
+    if (["EXPLAIN", "DESCRIBE", "DESC"].includes(keyword)) {
+      const analyzed = normalized.match(
+        /^\s*\w+\s+(?:FORMAT\s*=\s*\w+\s+)?ANALYZE\b(?:\s+FORMAT\s*=\s*\w+)?([\s\S]*)$/i,
+      );
+      if (analyzed) {
+        return { ...this.classifySqlStatement(analyzed[1]), keyword };
+      }
+    }
+
+    if (keyword === "ANALYZE") {
+      return { type: topLevel[1] === "TABLE" ? "read" : "write", keyword };
+    }
+
+    if (SQL_DDL_KEYWORDS.includes(keyword)) {
+      return { type: "ddl", keyword };
+    }
+
+    if (SQL_READ_KEYWORDS.includes(keyword)) {
+      const writesFile = words.some(
+        (word, index) =>
+          word === "INTO" && ["OUTFILE", "DUMPFILE"].includes(words[index + 1]),
+      );
+      // WITH ... UPDATE/DELETE/INSERT is a write; ignore SELECT ... FOR UPDATE
+      const hasWriteVerb = topLevelVerbs.some(
+        (word, index) =>
+          SQL_WRITE_VERBS.includes(word) && topLevelVerbs[index - 1] !== "FOR",
+      );
+      if (writesFile || (keyword === "WITH" && hasWriteVerb)) {
+        return { type: "write", keyword };
+      }
+      return { type: "read", keyword };
+    }
+
+    const result = { type: "write", keyword };
+    if (["UPDATE", "DELETE"].includes(keyword) && !topLevel.includes("WHERE")) {
+      result.warning = "No WHERE clause: every row of the table is affected";
+    }
+    return result;
+  }
+
+  /**
+   * The database Warden creates for the project's environment type, unless
+   * .env sets MYSQL_DATABASE.
+   */
+  getDefaultDatabase(absoluteProjectPath) {
+    const env = this.readProjectEnv(absoluteProjectPath);
+    return (
+      env.MYSQL_DATABASE ||
+      ENV_TYPE_PROFILES[env.WARDEN_ENV_TYPE]?.database ||
+      "magento"
+    );
+  }
+
+  getProjectType(absoluteProjectPath) {
+    return this.readProjectEnv(absoluteProjectPath).WARDEN_ENV_TYPE || null;
+  }
+
+  getDatabaseConnection(database) {
+    return {
+      host: "db",
+      user: "root",
+      password: "magento",
+      database,
+    };
+  }
+
+  isDbWriteAllowed(allow_write) {
+    return allow_write === true || this.config.allowDbWrite;
+  }
+
+  async dumpDatabase(args) {
+    const {
+      project_path,
+      database: requestedDatabase,
+      output_path,
+      snapshot,
+      description = "",
+      gzip,
+      exclude_tables = [],
+      exclude_data = [],
+    } = args;
+
+    if (!output_path && !snapshot) {
+      throw new Error("output_path or snapshot is required");
+    }
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const database =
+      requestedDatabase || this.getDefaultDatabase(absoluteProjectPath);
+    const compress = gzip ?? (!!snapshot || output_path.endsWith(".gz"));
+
+    let file;
+    if (snapshot) {
+      this.validateSnapshotName(snapshot);
+      file = join(
+        this.getSnapshotDirectory(absoluteProjectPath),
+        `${snapshot}.sql${compress ? ".gz" : ""}`,
+      );
+    } else {
+      file = resolve(absoluteProjectPath, output_path);
+    }
+
+    try {
+      let excluded = [];
+      let structureOnly = [];
+      if (exclude_tables.length > 0 || exclude_data.length > 0) {
+        const tables = await this.listDatabaseTables(
+          absoluteProjectPath,
+          database,
+        );
+        excluded = tables.filter((table) =>
+          this.matchesTablePattern(table, exclude_tables),
+        );
+        structureOnly = tables.filter(
+          (table) =>
+            !excluded.includes(table) &&
+            this.matchesTablePattern(table, exclude_data),
+        );
+      }
+
+      const startedAt = Date.now();
+      const result = await this.writeDatabaseDump(absoluteProjectPath, {
+        database,
+        file,
+        compress,
+        excluded,
+        structureOnly,
+      });
+
+      if (result.code !== 0) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            database,
+            file,
+            exit_code: result.code,
+            error: result.stderr || "mysqldump failed",
+          },
+          true,
+        );
+      }
+
+      const dump = {
+        database,
+        file,
+        compressed: compress,
+        size_bytes: statSync(file).size,
+        duration_ms: Date.now() - startedAt,
+        excluded_tables: excluded,
+        structure_only_tables: structureOnly,
+      };
+
+      if (snapshot) {
+        this.saveSnapshotRecord(absoluteProjectPath, {
+          name: snapshot,
+          description,
+          database,
+          file: basename(file),
+          compressed: compress,
+          size_bytes: dump.size_bytes,
+          excluded_tables: excluded,
+          structure_only_tables: structureOnly,
+          created_at: new Date().toISOString(),
+        });
+      }
+
+      return this.createJsonResponse({
+        success: true,
+        ...(snapshot ? { snapshot } : {}),
+        ...dump,
+      });
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          file,
+          error: error.message,
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  /**
+   * Stream mysqldump output from the db container into a file on the host.
+   * Tables in structureOnly are appended in a second --no-data pass. The dump
+   * is written to a .partial file first so a failed run never replaces an
+   * existing dump or snapshot.
+   */
+  async writeDatabaseDump(
+    absoluteProjectPath,
+    { database, file, compress, excluded = [], structureOnly = [] },
+  ) {
+    const { user, password } = this.getDatabaseConnection(database);
+    const dumpBinary = await this.getDbClientBinary(
+      absoluteProjectPath,
+      "dump",
+    );
+    const dbExec = ["env", "exec", "-T", "db", dumpBinary, "-u", user];
+    const partialFile = `${file}.partial`;
+
+    mkdirSync(dirname(file), { recursive: true });
+
+    const sink = new PassThrough();
+    const written = pipeline(
+      sink,
+      ...(compress ? [createGzip()] : []),
+      createWriteStream(partialFile),
+    );
+    // Failures surface when awaited below; avoid an unhandled rejection meanwhile
+    written.catch(() => {});
+
+    let result;
+    try {
+      result = await this.executeCommand(
+        "warden",
+        [
+          ...dbExec,
+          `-p${password}`,
+          "--single-transaction",
+          "--quick",
+          "--routines",
+          "--triggers",
+          "--no-tablespaces",
+          ...[...excluded, ...structureOnly].map(
+            (table) => `--ignore-table=${database}.${table}`,
+          ),
+          database,
+        ],
+        absoluteProjectPath,
+        { output: sink },
+      );
+
+      if (result.code === 0 && structureOnly.length > 0) {
+        result = await this.executeCommand(
+          "warden",
+          [
+            ...dbExec,
+            `-p${password}`,
+            "--no-data",
+            "--no-tablespaces",
+            database,
+            ...structureOnly,
+          ],
+          absoluteProjectPath,
+          { output: sink },
+        );
+      }
+    } finally {
+      sink.end();
+      try {
+        await written;
+      } catch (error) {
+        result = result || { code: -1, stdout: "", stderr: "" };
+        if (result.code === 0) {
+          throw error;
+        }
+      }
+    }
+
+    if (result.code === 0) {
+      renameSync(partialFile, file);
+    } else if (existsSync(partialFile)) {
+      unlinkSync(partialFile);
+    }
+
+    return result;
+  }
+
+  async importDatabase(args) {
+    const {
+      project_path,
+      file,
+      database: requestedDatabase,
+      recreate_database = false,
+      allow_write = false,
+    } = args;
+
+    if (!file) {
+      throw new Error("file is required");
+    }
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const database =
+      requestedDatabase || this.getDefaultDatabase(absoluteProjectPath);
+    const absoluteFile = resolve(absoluteProjectPath, file);
+
+    if (!existsSync(absoluteFile)) {
+      throw new Error(`Dump file does not exist: ${absoluteFile}`);
+    }
+
+    if (!this.isDbWriteAllowed(allow_write)) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          file: absoluteFile,
+          error:
+            "Importing a dump overwrites data. Repeat the call with allow_write: true to confirm, or set WARDEN_MCP_ALLOW_DB_WRITE=1 on the server.",
+        },
+        true,
+      );
+    }
+
+    return await this.runDatabaseImport(absoluteProjectPath, {
+      database,
+      file: absoluteFile,
+      recreate: recreate_database,
+    });
+  }
+
+  async runDatabaseImport(absoluteProjectPath, { database, file, recreate }) {
+    const startedAt = Date.now();
+    const compressed = this.isGzipFile(file);
+
+    try {
+      const result = await this.loadDatabaseDump(absoluteProjectPath, {
+        database,
+        file,
+        compressed,
+        recreate,
+      });
+      const isSuccess = result.code === 0;
+
+      return this.createJsonResponse(
+        {
+          success: isSuccess,
+          database,
+          file,
+          compressed,
+          recreated_database: recreate,
+          exit_code: result.code,
+          duration_ms: Date.now() - startedAt,
+          ...(isSuccess ? {} : { error: result.stderr || "Import failed" }),
+        },
+        !isSuccess,
+      );
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          file,
+          error: error.message,
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  async loadDatabaseDump(
+    absoluteProjectPath,
+    { database, file, compressed, recreate = false },
+  ) {
+    const { user, password } = this.getDatabaseConnection(database);
+    const clientBinary = await this.getDbClientBinary(
+      absoluteProjectPath,
+      "client",
+    );
+    const client = [
+      "env",
+      "exec",
+      "-T",
+      "db",
+      clientBinary,
+      "-u",
+      user,
+      `-p${password}`,
+    ];
+
+    if (recreate) {
+      const identifier = this.quoteSqlIdentifier(database);
+      const result = await this.executeCommand(
+        "warden",
+        [
+          ...client,
+          "-e",
+          `DROP DATABASE IF EXISTS ${identifier}; CREATE DATABASE ${identifier}`,
+        ],
+        absoluteProjectPath,
+      );
+      if (result.code !== 0) {
+        return result;
+      }
+    }
+
+    return await this.executeCommand(
+      "warden",
+      [...client, database],
+      absoluteProjectPath,
+      {
+        input: [
+          createReadStream(file),
+          ...(compressed ? [createGunzip()] : []),
+        ],
+      },
+    );
+  }
+
+  async listDbSnapshots(args) {
+    const { project_path } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const directory = this.getSnapshotDirectory(absoluteProjectPath);
+
+    return this.createJsonResponse({
+      success: true,
+      project: this.getProjectKey(absoluteProjectPath),
+      directory,
+      snapshots: this.readSnapshotIndex(directory).map((snapshot) => ({
+        ...snapshot,
+        available: existsSync(join(directory, snapshot.file)),
+      })),
+    });
+  }
+
+  async restoreDbSnapshot(args) {
+    const { project_path, snapshot, database, allow_write = false } = args;
+
+    if (!snapshot) {
+      throw new Error("snapshot is required");
+    }
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const directory = this.getSnapshotDirectory(absoluteProjectPath);
+    const snapshots = this.readSnapshotIndex(directory);
+    const record = snapshots.find((entry) => entry.name === snapshot);
+
+    if (!record || !existsSync(join(directory, record.file))) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          snapshot,
+          error: `Snapshot not found: ${snapshot}`,
+          available_snapshots: snapshots.map((entry) => entry.name),
+        },
+        true,
+      );
+    }
+
+    const targetDatabase = database || record.database;
+
+    if (!this.isDbWriteAllowed(allow_write)) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          snapshot,
+          database: targetDatabase,
+          error: `Restoring drops and recreates the ${targetDatabase} database. Repeat the call with allow_write: true to confirm, or set WARDEN_MCP_ALLOW_DB_WRITE=1 on the server.`,
+        },
+        true,
+      );
+    }
+
+    return await this.runDatabaseImport(absoluteProjectPath, {
+      database: targetDatabase,
+      file: join(directory, record.file),
+      recreate: true,
+    });
+  }
+
+  async listDatabaseTables(absoluteProjectPath, database) {
+    const result = await this.executeSql(absoluteProjectPath, {
+      query:
+        "SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME",
+      params: [database],
+      database,
+      readOnly: true,
+    });
+
+    if (result.error) {
+      throw new Error(`Unable to list tables: ${result.error.message}`);
+    }
+
+    return result.statements[0].rows.map((row) => row.name);
+  }
+
+  matchesTablePattern(table, patterns) {
+    return patterns.some((pattern) => {
+      const regex = new RegExp(
+        `^${pattern
+          .split("")
+          .map((char) =>
+            char === "*"
+              ? ".*"
+              : char === "?"
+                ? "."
+                : char.replace(/[.+^${}()|[\]\\]/g, "\\$&"),
+          )
+          .join("")}$`,
+      );
+      return regex.test(table);
+    });
+  }
+
+  quoteSqlIdentifier(name) {
+    return `\`${name.replace(/`/g, "``")}\``;
+  }
+
+  isGzipFile(file) {
+    const descriptor = openSync(file, "r");
+    try {
+      const header = Buffer.alloc(2);
+      const bytesRead = readSync(descriptor, header, 0, 2, 0);
+      return bytesRead === 2 && header[0] === 0x1f && header[1] === 0x8b;
+    } finally {
+      closeSync(descriptor);
+    }
+  }
+
+  /**
+   * Find the mysql/mysqldump binary of the db container. MariaDB 11 images
+   * only ship the mariadb/mariadb-dump names.
+   */
+  async getDbClientBinary(absoluteProjectPath, kind) {
+    const key = `${absoluteProjectPath}:${kind}`;
+    if (this.dbClientBinaries.has(key)) {
+      return this.dbClientBinaries.get(key);
+    }
+
+    const candidates =
+      kind === "dump" ? ["mysqldump", "mariadb-dump"] : ["mysql", "mariadb"];
+
+    for (const binary of candidates) {
+      const result = await this.executeCommand(
+        "warden",
+        ["env", "exec", "-T", "db", binary, "--version"],
+        absoluteProjectPath,
+      );
+      if (result.code === 0) {
+        this.dbClientBinaries.set(key, binary);
+        return binary;
+      }
+    }
+
+    throw new Error(
+      `Neither ${candidates.join(" nor ")} is available in the db container`,
+    );
+  }
+
+  /**
+   * Read KEY=value pairs from the project's Warden .env file.
+   */
+  readProjectEnv(absoluteProjectPath) {
+    const envFilePath = join(absoluteProjectPath, ".env");
+    const values = {};
+
+    if (!existsSync(envFilePath)) {
+      return values;
+    }
+
+    for (const line of readFileSync(envFilePath, "utf8").split("\n")) {
+      const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+      if (match) {
+        values[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+      }
+    }
+
+    return values;
+  }
+
+  async getEnvConfig(args) {
+    const { project_path, keys = [] } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const envFilePath = join(absoluteProjectPath, ".env");
+
+    if (!existsSync(envFilePath)) {
+      throw new Error(`No Warden .env file in ${absoluteProjectPath}`);
+    }
+
+    const values = this.readProjectEnv(absoluteProjectPath);
+    const selected =
+      keys.length > 0
+        ? Object.fromEntries(keys.map((key) => [key, values[key] ?? null]))
+        : values;
+
+    const known = {};
+    for (const key of Object.keys(selected)) {
+      const setting = this.getEnvSetting(key, values);
+      if (setting) {
+        known[key] = {
+          ...(setting.values ? { accepted_values: setting.values } : {}),
+          ...(setting.pattern ? { pattern: String(setting.pattern) } : {}),
+          ...(setting.services ? { services: setting.services } : {}),
+        };
+      }
+    }
+
+    return this.createJsonResponse({
+      project_path: absoluteProjectPath,
+      file: ".env",
+      values: selected,
+      known_settings: known,
+    });
+  }
+
+  async setEnvConfig(args) {
+    const {
+      project_path,
+      values = {},
+      dry_run = false,
+      restart = false,
+      force = false,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const envFilePath = join(absoluteProjectPath, ".env");
+
+    if (!existsSync(envFilePath)) {
+      throw new Error(`No Warden .env file in ${absoluteProjectPath}`);
+    }
+    if (Object.keys(values).length === 0) {
+      throw new Error("values must contain at least one setting");
+    }
+
+    const updates = Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [
+        key,
+        typeof value === "boolean"
+          ? value
+            ? "1"
+            : "0"
+          : value === null
+            ? null
+            : String(value),
+      ]),
+    );
+
+    const current = this.readProjectEnv(absoluteProjectPath);
+    const errors = this.validateEnvChanges(
+      updates,
+      { ...current, ...updates },
+      force,
+    );
+    if (errors.length > 0) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          error: "Invalid settings; nothing was changed",
+          errors,
+        },
+        true,
+      );
+    }
+
+    const original = readFileSync(envFilePath, "utf8");
+    const { content, changes, diff } = this.applyEnvChanges(original, updates);
+    const services = [
+      ...new Set(
+        changes.flatMap(
+          (change) =>
+            this.getEnvSetting(change.key, { ...current, ...updates })
+              ?.services || [],
+        ),
+      ),
+    ];
+    const warnings = [];
+    if (
+      changes.some((change) =>
+        ["MYSQL_DISTRIBUTION", "MYSQL_DISTRIBUTION_VERSION"].includes(
+          change.key,
+        ),
+      )
+    ) {
+      warnings.push(
+        "The db service keeps its data volume; a different database distribution or a downgrade may not start on it. Dump the database first (warden_db_dump).",
+      );
+    }
+
+    const payload = {
+      success: true,
+      project_path: absoluteProjectPath,
+      dry_run,
+      changes,
+      diff: diff || "(no changes)",
+      affected_services: services,
+      ...(warnings.length > 0 ? { warnings } : {}),
+    };
+
+    if (dry_run || changes.length === 0) {
+      return this.createJsonResponse(payload);
+    }
+
+    writeFileSync(envFilePath, content);
+
+    if (!restart) {
+      return this.createJsonResponse({
+        ...payload,
+        next_step:
+          services.length > 0
+            ? "Run warden_start_project (warden env up) or call again with restart: true to recreate the affected services"
+            : undefined,
+      });
+    }
+
+    // A plain restart would keep the old image and environment, so only the
+    // affected services are brought up again; compose recreates them where
+    // their configuration changed and leaves every other container alone.
+    // Services that were switched off are removed as orphans.
+    const toggled = { on: new Set(), off: new Set() };
+    for (const change of changes) {
+      const setting = this.getEnvSetting(change.key, {
+        ...current,
+        ...updates,
+      });
+      if (setting?.values === TOGGLE_VALUES) {
+        for (const service of setting.services || []) {
+          toggled[change.to === "1" ? "on" : "off"].add(service);
+        }
+      }
+    }
+    let containers;
+    try {
+      containers = new Set(
+        (await this.getComposeServices(absoluteProjectPath)).map(
+          ({ service }) => service,
+        ),
+      );
+    } catch (error) {
+      return this.createJsonResponse(
+        { ...payload, restart: { error: error.message } },
+        true,
+      );
+    }
+    if (containers.size === 0) {
+      return this.createJsonResponse({
+        ...payload,
+        restart: {
+          skipped:
+            "The environment is not running; warden_start_project starts it with the new settings",
+        },
+      });
+    }
+    const restarted = services.filter(
+      (service) =>
+        !toggled.off.has(service) &&
+        (containers.has(service) || toggled.on.has(service)),
+    );
+    const wardenCommand =
+      restarted.length > 0
+        ? ["env", "up", "--remove-orphans", ...restarted]
+        : ["env", "up", "--remove-orphans", "--no-recreate"];
+    try {
+      const result = await this.executeLoggedCommand(
+        "warden",
+        wardenCommand,
+        absoluteProjectPath,
+      );
+      return this.createJsonResponse(
+        {
+          ...payload,
+          restart: {
+            command: formatCommand(["warden", ...wardenCommand]),
+            exit_code: result.code,
+            log_id: result.logId,
+            output: this.truncateOutput(
+              `${result.stdout}${result.stderr}`.trim(),
+              result.logId,
+            ),
+          },
+        },
+        result.code !== 0,
+      );
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          ...payload,
+          restart: {
+            command: formatCommand(["warden", ...wardenCommand]),
+            ...(error.aborted ? { aborted: error.aborted } : {}),
+            error: error.message,
+            output: `${error.stdout || ""}${error.stderr || ""}`.trim(),
+          },
+        },
+        true,
+      );
+    }
+  }
+
+  /**
+   * Settings definition for a .env key. Service flags (WARDEN_REDIS, ...)
+   * are toggles for their service.
+   */
+  getEnvSetting(key, values) {
+    if (ENV_SETTINGS[key]) {
+      const setting = ENV_SETTINGS[key];
+      if (setting.valuesBy) {
+        const { key: dependsOn, ...byValue } = setting.valuesBy;
+        return { ...setting, values: byValue[values[dependsOn]] };
+      }
+      return setting;
+    }
+    const flag = WARDEN_SERVICE_FLAGS.find((item) => item.flag === key);
+    return flag ? { values: TOGGLE_VALUES, services: [flag.service] } : null;
+  }
+
+  validateEnvChanges(updates, values, force) {
+    const errors = [];
+    for (const [key, value] of Object.entries(updates)) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+        errors.push({ key, message: "Invalid setting name" });
+        continue;
+      }
+      if (value === null) {
+        if (["WARDEN_ENV_NAME", "WARDEN_ENV_TYPE"].includes(key)) {
+          errors.push({ key, message: `${key} cannot be removed` });
+        }
+        continue;
+      }
+      if (/[\r\n]/.test(value)) {
+        errors.push({ key, value, message: "Values cannot contain newlines" });
+        continue;
+      }
+
+      const setting = this.getEnvSetting(key, values);
+      if (!setting || force) {
+        continue;
+      }
+      if (setting.values && !setting.values.includes(value)) {
+        errors.push({
+          key,
+          value,
+          message: `Unsupported value; accepted: ${setting.values.join(", ")} (pass force: true to use it anyway)`,
+        });
+      } else if (setting.pattern && !setting.pattern.test(value)) {
+        errors.push({
+          key,
+          value,
+          message: `Value does not match ${setting.pattern} (pass force: true to use it anyway)`,
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Apply KEY -> value changes to .env content line by line: existing lines
+   * are replaced in place, new keys are appended and null removes a key.
+   * Comments, blank lines and ordering are kept.
+   */
+  applyEnvChanges(content, updates) {
+    const lines = content.split("\n");
+    const changes = [];
+    const diff = [];
+    const pending = new Map(Object.entries(updates));
+    const formatLine = (key, value) =>
+      `${key}=${/[\s#"'$\\]/.test(value) ? JSON.stringify(value) : value}`;
+
+    const result = [];
+    lines.forEach((line, index) => {
+      const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+      if (!match || !pending.has(match[1])) {
+        result.push(line);
+        return;
+      }
+
+      const key = match[1];
+      const from = match[2].replace(/^(["'])(.*)\1$/, "$2");
+      const to = pending.get(key);
+      pending.delete(key);
+
+      if (to === null) {
+        changes.push({ key, from, to: null });
+        diff.push(`@@ line ${index + 1} @@`, `-${line}`);
+        return;
+      }
+      if (to === from) {
+        result.push(line);
+        return;
+      }
+      const replacement = formatLine(key, to);
+      changes.push({ key, from, to });
+      diff.push(`@@ line ${index + 1} @@`, `-${line}`, `+${replacement}`);
+      result.push(replacement);
+    });
+
+    // New keys go before the trailing newline
+    const trailingNewline = result[result.length - 1] === "";
+    if (trailingNewline) {
+      result.pop();
+    }
+    for (const [key, to] of pending) {
+      if (to === null) {
+        continue;
+      }
+      const line = formatLine(key, to);
+      changes.push({ key, from: null, to });
+      diff.push(`@@ line ${result.length + 1} (new) @@`, `+${line}`);
+      result.push(line);
+    }
+    if (trailingNewline) {
+      result.push("");
+    }
+
+    return { content: result.join("\n"), changes, diff: diff.join("\n") };
+  }
+
+  /**
+   * Replace project / project_path in the arguments of a project tool with
+   * the resolved project root, so tools only deal with absolute paths.
+   */
+  async resolveProjectArgument(request) {
+    const { name, arguments: args = {} } = request.params;
+    if (PROJECTLESS_TOOLS.includes(name)) {
+      return request;
+    }
+
+    const { project, ...toolArgs } = args;
+    if (
+      OPTIONAL_PROJECT_TOOLS.includes(name) &&
+      !project &&
+      !args.project_path &&
+      !this.config.defaultProject
+    ) {
+      return { ...request, params: { ...request.params, arguments: toolArgs } };
+    }
+    return {
+      ...request,
+      params: {
+        ...request.params,
+        arguments: {
+          ...toolArgs,
+          project_path: await this.resolveProject(project || args.project_path),
+        },
+      },
+    };
+  }
+
+  /**
+   * Resolve a project given as a path or a Warden environment name. Paths
+   * may point anywhere inside the project; the closest directory whose .env
+   * defines WARDEN_ENV_NAME is used. Names are looked up among the projects
+   * this server has seen before and the running environments.
+   */
+  async resolveProject(project) {
+    const value = project || this.config.defaultProject;
+    if (!value) {
+      throw new Error(
+        "No project given: pass project (a path or Warden environment name) or project_path, or set WARDEN_MCP_DEFAULT_PROJECT",
+      );
+    }
+
+    const isPath = /^[.~]|[\\/]/.test(value);
+    if (!isPath) {
+      const environmentPath = await this.findEnvironmentPath(value);
+      if (environmentPath) {
+        return environmentPath;
+      }
+      if (!existsSync(resolve(value))) {
+        const known = await this.listKnownEnvironments();
+        throw new Error(
+          `Unknown Warden environment "${value}". ${
+            known.length > 0
+              ? `Known environments:\n${known
+                  .map(
+                    (environment) =>
+                      `- ${environment.name}: ${environment.path}${environment.running ? "" : " (not running)"}`,
+                  )
+                  .join("\n")}`
+              : "No environments are running and none have been used with this server yet; pass the project path instead."
+          }`,
+        );
+      }
+    }
+
+    const absolutePath = resolve(value.replace(/^~(?=$|\/)/, homedir()));
+    if (!existsSync(absolutePath)) {
+      throw new Error(`Project directory does not exist: ${absolutePath}`);
+    }
+
+    const projectRoot = this.findProjectRoot(absolutePath) || absolutePath;
+    this.rememberProject(projectRoot);
+    return projectRoot;
+  }
+
+  /**
+   * Walk up from a path to the closest directory with a Warden .env file.
+   */
+  findProjectRoot(path) {
+    let directory = statSync(path).isDirectory() ? path : dirname(path);
+    while (true) {
+      if (this.readProjectEnv(directory).WARDEN_ENV_NAME) {
+        return directory;
+      }
+      const parent = dirname(directory);
+      if (parent === directory) {
+        return null;
+      }
+      directory = parent;
+    }
+  }
+
+  async findEnvironmentPath(name) {
+    const remembered = this.readProjectRegistry()[name];
+    if (
+      remembered &&
+      this.readProjectEnv(remembered).WARDEN_ENV_NAME === name
+    ) {
+      return remembered;
+    }
+
+    const running = (await this.getEnvironmentList()).find(
+      (environment) => environment.name === name,
+    );
+    if (running) {
+      this.rememberProject(running.path);
+      return running.path;
+    }
+    return null;
+  }
+
+  async listKnownEnvironments() {
+    const known = new Map();
+    for (const [name, path] of Object.entries(this.readProjectRegistry())) {
+      known.set(name, { name, path, running: false });
+    }
+    for (const environment of await this.getEnvironmentList()) {
+      known.set(environment.name, { ...environment, running: true });
+    }
+    return [...known.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getProjectRegistryPath() {
+    return join(this.config.stateDir, "projects.json");
+  }
+
+  readProjectRegistry() {
+    const path = this.getProjectRegistryPath();
+    return existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : {};
+  }
+
+  /**
+   * Remember environment name -> path, so that stopped environments can be
+   * addressed by name too.
+   */
+  rememberProject(projectRoot) {
+    const name = this.readProjectEnv(projectRoot).WARDEN_ENV_NAME;
+    if (!name) {
+      return;
+    }
+    const registry = this.readProjectRegistry();
+    if (registry[name] === projectRoot) {
+      return;
+    }
+    registry[name] = projectRoot;
+    mkdirSync(this.config.stateDir, { recursive: true });
+    writeFileSync(
+      this.getProjectRegistryPath(),
+      JSON.stringify(registry, null, 2),
+    );
+  }
+
+  getProjectKey(absoluteProjectPath) {
+    return (
+      this.readProjectEnv(absoluteProjectPath).WARDEN_ENV_NAME ||
+      basename(absoluteProjectPath)
+    );
+  }
+
+  getSnapshotDirectory(absoluteProjectPath) {
+    return join(
+      this.config.stateDir,
+      "snapshots",
+      this.getProjectKey(absoluteProjectPath),
+    );
+  }
+
+  validateSnapshotName(name) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+      throw new Error(
+        `Invalid snapshot name: ${name} (use letters, digits, '.', '_' and '-')`,
+      );
+    }
+  }
+
+  readSnapshotIndex(directory) {
+    const indexPath = join(directory, "snapshots.json");
+    if (!existsSync(indexPath)) {
+      return [];
+    }
+    return JSON.parse(readFileSync(indexPath, "utf8"));
+  }
+
+  saveSnapshotRecord(absoluteProjectPath, record) {
+    const directory = this.getSnapshotDirectory(absoluteProjectPath);
+    const snapshots = this.readSnapshotIndex(directory).filter(
+      (entry) => entry.name !== record.name,
+    );
+    snapshots.push(record);
+    mkdirSync(directory, { recursive: true });
+    writeFileSync(
+      join(directory, "snapshots.json"),
+      JSON.stringify(snapshots, null, 2),
+    );
+  }
+
+  async anonymizeDatabase(args) {
+    const {
+      project_path,
+      database: requestedDatabase,
+      profile_path,
+      base_url,
+      dry_run = false,
+      allow_write = false,
+    } = args;
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const database =
+      requestedDatabase || this.getDefaultDatabase(absoluteProjectPath);
+
+    if (!dry_run && !this.isDbWriteAllowed(allow_write)) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          error:
+            "Anonymization rewrites customer, order and configuration data. Run with dry_run: true to review the statements, then repeat the call with allow_write: true to confirm, or set WARDEN_MCP_ALLOW_DB_WRITE=1 on the server.",
+        },
+        true,
+      );
+    }
+
+    try {
+      const { profile, sources } = this.loadAnonymizationProfile(
+        absoluteProjectPath,
+        profile_path,
+      );
+      const variables = {
+        base_url: this.getProjectBaseUrl(absoluteProjectPath),
+        ...profile.variables,
+        ...(base_url ? { base_url } : {}),
+      };
+      variables.password_hash = this.createMagentoPasswordHash(
+        variables.password,
+      );
+
+      const columnResult = await this.executeSql(absoluteProjectPath, {
+        query:
+          "SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ?",
+        params: [database],
+        database,
+        readOnly: true,
+      });
+      if (columnResult.error) {
+        throw new Error(
+          `Unable to read table columns: ${columnResult.error.message}`,
+        );
+      }
+      const existingColumns = {};
+      for (const row of columnResult.statements[0].rows) {
+        (existingColumns[row.table_name] ||= []).push(row.column_name);
+      }
+
+      const plan = this.buildAnonymizationPlan(
+        profile,
+        variables,
+        existingColumns,
+      );
+
+      if (!dry_run) {
+        for (const step of plan.steps) {
+          const result = await this.executeSql(absoluteProjectPath, {
+            query: step.sql,
+            params: step.params,
+            database,
+          });
+          if (result.error) {
+            step.error = result.error.message;
+          } else {
+            step.affected_rows = result.statements[0].affected_rows;
+          }
+        }
+      }
+
+      const failed = plan.steps.filter((step) => step.error);
+      const report = (steps) =>
+        steps.map(({ params, sql, ...step }) =>
+          dry_run ? { ...step, sql } : step,
+        );
+
+      return this.createJsonResponse(
+        {
+          success: failed.length === 0,
+          database,
+          dry_run,
+          profile_sources: sources,
+          base_url: variables.base_url,
+          password: variables.password,
+          tables: report(
+            plan.steps.filter((step) => step.table !== "core_config_data"),
+          ),
+          config: report(
+            plan.steps.filter((step) => step.table === "core_config_data"),
+          ),
+          skipped_tables: plan.skippedTables,
+        },
+        failed.length > 0,
+      );
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          database,
+          error: error.message,
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  /**
+   * Merge the default profile with the project profile. Project tables merge
+   * column by column (a table set to false is dropped), config rules replace
+   * default rules for the same path and variables override defaults.
+   */
+  loadAnonymizationProfile(absoluteProjectPath, profilePath) {
+    const profile = JSON.parse(
+      readFileSync(DEFAULT_ANONYMIZATION_PROFILE, "utf8"),
+    );
+    const sources = ["default"];
+
+    const projectProfilePath = profilePath
+      ? resolve(absoluteProjectPath, profilePath)
+      : join(absoluteProjectPath, ".warden", "anonymize.json");
+
+    if (profilePath && !existsSync(projectProfilePath)) {
+      throw new Error(
+        `Anonymization profile does not exist: ${projectProfilePath}`,
+      );
+    }
+
+    if (existsSync(projectProfilePath)) {
+      const overrides = JSON.parse(readFileSync(projectProfilePath, "utf8"));
+      sources.push(projectProfilePath);
+
+      Object.assign(profile.variables, overrides.variables || {});
+
+      for (const [table, rule] of Object.entries(overrides.tables || {})) {
+        if (rule === false) {
+          delete profile.tables[table];
+        } else if (profile.tables[table] && !rule.truncate) {
+          profile.tables[table] = {
+            ...profile.tables[table],
+            ...rule,
+            columns: {
+              ...profile.tables[table].columns,
+              ...(rule.columns || {}),
+            },
+          };
+        } else {
+          profile.tables[table] = rule;
+        }
+      }
+
+      const overriddenPaths = (overrides.config || []).map((rule) => rule.path);
+      profile.config = [
+        ...profile.config.filter(
+          (rule) => !overriddenPaths.includes(rule.path),
+        ),
+        ...(overrides.config || []),
+      ];
+    }
+
+    return { profile, sources };
+  }
+
+  buildAnonymizationPlan(profile, variables, existingColumns) {
+    const steps = [];
+    const skippedTables = [];
+
+    for (const [table, rule] of Object.entries(profile.tables)) {
+      if (!existingColumns[table]) {
+        skippedTables.push(table);
+        continue;
+      }
+
+      const quotedTable = this.quoteSqlIdentifier(table);
+
+      if (rule.truncate) {
+        steps.push({
+          table,
+          action: "delete",
+          sql: `DELETE FROM ${quotedTable}`,
+          params: [],
+        });
+        continue;
+      }
+
+      const key = this.quoteSqlIdentifier(rule.key || "entity_id");
+      const assignments = [];
+      const params = [];
+      const columns = [];
+
+      for (const [column, columnRule] of Object.entries(rule.columns || {})) {
+        if (!existingColumns[table].includes(column)) {
+          continue;
+        }
+        const quotedColumn = this.quoteSqlIdentifier(column);
+        const expression = this.buildAnonymizedValue(
+          columnRule,
+          key,
+          variables,
+        );
+        // Keep empty values empty instead of inventing data for them
+        assignments.push(
+          expression.sql === "NULL"
+            ? `${quotedColumn} = NULL`
+            : `${quotedColumn} = IF(${quotedColumn} IS NULL, NULL, ${expression.sql})`,
+        );
+        params.push(...expression.params);
+        columns.push(column);
+      }
+
+      if (assignments.length === 0) {
+        skippedTables.push(table);
+        continue;
+      }
+
+      steps.push({
+        table,
+        action: "update",
+        columns,
+        sql: `UPDATE ${quotedTable} SET ${assignments.join(", ")}${rule.where ? ` WHERE ${rule.where}` : ""}`,
+        params,
+      });
+    }
+
+    if (existingColumns.core_config_data) {
+      for (const rule of profile.config) {
+        const comparison = rule.path.includes("%") ? "LIKE" : "=";
+        if (rule.action === "delete") {
+          steps.push({
+            table: "core_config_data",
+            path: rule.path,
+            action: "delete",
+            sql: `DELETE FROM core_config_data WHERE path ${comparison} ?`,
+            params: [rule.path],
+          });
+        } else {
+          const value = this.renderTemplate(rule.value, variables);
+          steps.push({
+            table: "core_config_data",
+            path: rule.path,
+            action: "update",
+            value,
+            sql: `UPDATE core_config_data SET value = ? WHERE path ${comparison} ?`,
+            params: [value, rule.path],
+          });
+        }
+      }
+    } else {
+      skippedTables.push("core_config_data");
+    }
+
+    return { steps, skippedTables };
+  }
+
+  /**
+   * A column rule is a strategy name, { "value": literal } or
+   * { "sql": expression } where {{key}} is replaced by the key column.
+   */
+  buildAnonymizedValue(rule, key, variables) {
+    if (typeof rule === "string") {
+      const strategy = ANONYMIZATION_STRATEGIES[rule];
+      if (!strategy) {
+        throw new Error(
+          `Unknown anonymization strategy: ${rule} (available: ${Object.keys(ANONYMIZATION_STRATEGIES).join(", ")})`,
+        );
+      }
+      return strategy(key, variables);
+    }
+
+    if (rule && "value" in rule) {
+      return rule.value === null
+        ? { sql: "NULL", params: [] }
+        : { sql: "?", params: [this.renderTemplate(rule.value, variables)] };
+    }
+
+    if (rule && typeof rule.sql === "string") {
+      return { sql: rule.sql.replaceAll("{{key}}", key), params: [] };
+    }
+
+    throw new Error(`Invalid anonymization rule: ${JSON.stringify(rule)}`);
+  }
+
+  renderTemplate(value, variables) {
+    if (typeof value !== "string") {
+      return value;
+    }
+    return value.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+      name in variables ? String(variables[name]) : match,
+    );
+  }
+
+  /**
+   * Magento's SHA-256 password hash format: sha256(salt + password):salt:1
+   */
+  createMagentoPasswordHash(password) {
+    const salt = randomBytes(16).toString("hex");
+    const hash = createHash("sha256")
+      .update(salt + password)
+      .digest("hex");
+    return `${hash}:${salt}:1`;
+  }
+
+  getProjectBaseUrl(absoluteProjectPath) {
+    const env = this.readProjectEnv(absoluteProjectPath);
+    const domain =
+      env.TRAEFIK_DOMAIN ||
+      `${env.WARDEN_ENV_NAME || basename(absoluteProjectPath)}.test`;
+    const host = env.TRAEFIK_SUBDOMAIN
+      ? `${env.TRAEFIK_SUBDOMAIN}.${domain}`
+      : domain;
+    return `https://${host}/`;
+  }
+
+  /**
+   * The Redis-compatible service of the project and its CLI; Valkey takes
+   * the place of Redis when WARDEN_VALKEY is set.
+   */
+  getRedisService(absoluteProjectPath) {
+    const enabled = new Set(
+      this.getExpectedServices(this.readProjectEnv(absoluteProjectPath)).map(
+        ({ service }) => service,
+      ),
+    );
+    if (enabled.has("valkey")) {
+      return { service: "valkey", cli: "valkey-cli" };
+    }
+    if (enabled.has("redis")) {
+      return { service: "redis", cli: "redis-cli" };
+    }
+    throw new Error(
+      "Redis is not enabled for this project; set WARDEN_REDIS=1 with warden_env_config_set and restart the environment",
+    );
+  }
+
+  async runRedisCli(absoluteProjectPath, database, cliArgs, quoted = false) {
+    const { service, cli } = this.getRedisService(absoluteProjectPath);
+    const result = await this.executeCommand(
+      "warden",
+      [
+        "env",
+        "exec",
+        "-T",
+        service,
+        cli,
+        ...(database !== undefined ? ["-n", String(database)] : []),
+        ...(quoted ? ["--no-raw"] : []),
+        ...cliArgs,
+      ],
+      absoluteProjectPath,
+    );
+    // Error replies do not always change the exit code
+    const output = result.stdout.trim();
+    if (
+      result.code !== 0 ||
+      /^(\(error\) )?(ERR|WRONGTYPE|NOSCRIPT|NOAUTH|NOPERM)\b/.test(output)
+    ) {
+      throw new Error(
+        `${cli} ${cliArgs[0]} failed: ${output || result.stderr.trim() || `exit code ${result.code}`}`,
+      );
+    }
+    return output;
+  }
+
+  /**
+   * Redis databases of Magento's cache, page cache and sessions, from
+   * app/etc/env.php or Warden's defaults. Cache entries are stored under
+   * "zc:k:" plus the frontend's id_prefix, which Magento derives from the
+   * app/etc path when env.php does not set one.
+   */
+  async getMagentoRedisDatabases(absoluteProjectPath) {
+    if (this.getProjectType(absoluteProjectPath) !== "magento2") {
+      return {};
+    }
+    const defaultPrefix = `${createHash("md5")
+      .update(`${CONTAINER_WEB_ROOT}/app/etc/`)
+      .digest("hex")
+      .slice(0, 3)}_`;
+
+    let config = {};
+    try {
+      config = await this.runContainerPhpJson(
+        absoluteProjectPath,
+        "php-fpm",
+        MAGENTO_REDIS_CONFIG_PHP,
+        { description: "read the Redis configuration" },
+      );
+    } catch (error) {
+      if (error.aborted) {
+        throw error;
+      }
+      // php-fpm is down or env.php is broken; fall back to the defaults
+    }
+
+    if (Object.keys(config).length === 0) {
+      return Object.fromEntries(
+        Object.entries(REDIS_MAGENTO_DATABASES).map(([role, database]) => [
+          role,
+          {
+            database,
+            id_prefix: role === "session" ? null : defaultPrefix,
+            source: "warden defaults",
+          },
+        ]),
+      );
+    }
+
+    const roles = {};
+    for (const [role, settings] of Object.entries(config)) {
+      if (!/redis/i.test(settings.backend || "")) {
+        continue;
+      }
+      const options = settings.options || {};
+      roles[role] = {
+        database: Number(options.database ?? 0),
+        host: options.server || options.host || null,
+        id_prefix:
+          role === "session" ? null : settings.id_prefix || defaultPrefix,
+        source: "app/etc/env.php",
+      };
+    }
+    return roles;
+  }
+
+  resolveRedisDatabase(value, roles) {
+    if (/^\d+$/.test(String(value))) {
+      return Number(value);
+    }
+    if (roles[value]) {
+      return roles[value].database;
+    }
+    const names = Object.keys(roles);
+    throw new Error(
+      `Unknown database: ${value} (use a number${names.length > 0 ? ` or ${names.join(", ")}` : ""})`,
+    );
+  }
+
+  /**
+   * Split redis-cli --no-raw output of a flat reply into values: Buffers
+   * for strings (redis-cli escapes every non-printable byte, so binary data
+   * survives), numbers for integers and null for nil.
+   */
+  parseRedisReply(output) {
+    const values = [];
+    for (const line of output.split("\n")) {
+      const text = line.replace(/^\s*\d+\) /, "").trim();
+      if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+        const body = text.slice(1, -1);
+        const bytes = [];
+        for (let index = 0; index < body.length; index++) {
+          if (body[index] !== "\\") {
+            bytes.push(body.charCodeAt(index));
+            continue;
+          }
+          const next = body[++index];
+          if (next === "x") {
+            bytes.push(parseInt(body.slice(index + 1, index + 3), 16));
+            index += 2;
+          } else {
+            const escapes = { n: 10, r: 13, t: 9, a: 7, b: 8 };
+            bytes.push(escapes[next] ?? next.charCodeAt(0));
+          }
+        }
+        values.push(Buffer.from(bytes));
+      } else if (text === "(nil)") {
+        values.push(null);
+      } else if (text.startsWith("(integer) ")) {
+        values.push(Number(text.slice(10)));
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Readable form of a stored value. Magento's Redis cache and session
+   * libraries prefix compressed data with the algorithm; gzip is decoded.
+   */
+  decodeRedisValue(buffer, maxBytes) {
+    if (buffer === null || typeof buffer === "number") {
+      return { value: buffer };
+    }
+    let data = buffer;
+    let compression = null;
+    const prefix = buffer
+      .subarray(0, 4)
+      .toString("latin1")
+      .match(/^:?(gz|sn|l4|lz|zs):/);
+    if (prefix) {
+      compression = prefix[1];
+      if (compression !== "gz") {
+        return {
+          compression,
+          bytes: buffer.length,
+          note: "Only gzip-compressed data is decoded",
+        };
+      }
+      try {
+        data = inflateSync(buffer.subarray(prefix[0].length));
+      } catch (error) {
+        return { compression, bytes: buffer.length, note: error.message };
+      }
+    }
+
+    let text;
+    try {
+      text = new TextDecoder("utf-8", { fatal: true }).decode(data);
+    } catch {
+      return {
+        ...(compression ? { compression } : {}),
+        bytes: data.length,
+        encoding: "base64",
+        value: data.subarray(0, maxBytes).toString("base64"),
+        truncated: data.length > maxBytes,
+      };
+    }
+    return {
+      ...(compression ? { compression } : {}),
+      bytes: data.length,
+      value: text.slice(0, maxBytes),
+      truncated: text.length > maxBytes,
+    };
+  }
+
+  async getRedisInfo(args) {
+    const { project_path, sample = 1000 } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    try {
+      const { service } = this.getRedisService(absoluteProjectPath);
+      const info = {};
+      for (const line of (
+        await this.runRedisCli(absoluteProjectPath, undefined, ["INFO"])
+      ).split("\n")) {
+        const separator = line.indexOf(":");
+        if (!line.startsWith("#") && separator > 0) {
+          info[line.slice(0, separator)] = line.slice(separator + 1).trim();
+        }
+      }
+      const roles = await this.getMagentoRedisDatabases(absoluteProjectPath);
+
+      // Keyspace lines look like db0:keys=12,expires=3,avg_ttl=1000
+      const keyspace = new Map();
+      for (const [name, value] of Object.entries(info)) {
+        const match = name.match(/^db(\d+)$/);
+        if (match) {
+          keyspace.set(
+            Number(match[1]),
+            Object.fromEntries(value.split(",").map((pair) => pair.split("="))),
+          );
+        }
+      }
+      const numbers = [
+        ...new Set([
+          ...keyspace.keys(),
+          ...Object.values(roles).map(({ database }) => database),
+        ]),
+      ].sort((a, b) => a - b);
+
+      // INFO only reports memory for the whole server; estimate each
+      // database from a sample of its keys
+      const databases = [];
+      for (const database of numbers) {
+        const stats = keyspace.get(database) || {};
+        const keys = Number(stats.keys || 0);
+        const entry = {
+          database,
+          roles: Object.keys(roles).filter(
+            (role) => roles[role].database === database,
+          ),
+          keys,
+          expires: Number(stats.expires || 0),
+          avg_ttl_ms: Number(stats.avg_ttl || 0),
+        };
+        if (keys > 0 && sample > 0) {
+          const [sampled, bytes] = (
+            await this.runRedisCli(absoluteProjectPath, database, [
+              "EVAL",
+              REDIS_SAMPLE_LUA,
+              "0",
+              String(sample),
+            ])
+          )
+            .split("\n")
+            .map(Number);
+          entry.sampled_keys = sampled;
+          entry.estimated_memory_bytes =
+            sampled > 0 ? Math.round((bytes / sampled) * keys) : 0;
+        }
+        databases.push(entry);
+      }
+
+      const hits = Number(info.keyspace_hits || 0);
+      const misses = Number(info.keyspace_misses || 0);
+      const warnings = Object.entries(roles)
+        .filter(([, role]) => role.host && role.host !== service)
+        .map(
+          ([name, role]) =>
+            `app/etc/env.php points the ${name} at ${role.host}, not the ${service} service`,
+        );
+      return this.createJsonResponse({
+        success: true,
+        service,
+        version: info.valkey_version || info.redis_version || null,
+        uptime_seconds: Number(info.uptime_in_seconds || 0),
+        memory: {
+          used_bytes: Number(info.used_memory || 0),
+          used_human: info.used_memory_human || null,
+          peak_human: info.used_memory_peak_human || null,
+          maxmemory_bytes: Number(info.maxmemory || 0),
+          maxmemory_policy: info.maxmemory_policy || null,
+          fragmentation_ratio: Number(info.mem_fragmentation_ratio || 0),
+        },
+        stats: {
+          connected_clients: Number(info.connected_clients || 0),
+          keyspace_hits: hits,
+          keyspace_misses: misses,
+          hit_rate_percent:
+            hits + misses > 0
+              ? Math.round((hits / (hits + misses)) * 1000) / 10
+              : null,
+          evicted_keys: Number(info.evicted_keys || 0),
+          expired_keys: Number(info.expired_keys || 0),
+        },
+        databases,
+        ...(Object.keys(roles).length > 0 ? { magento: roles } : {}),
+        ...(warnings.length > 0 ? { warnings } : {}),
+      });
+    } catch (error) {
+      return this.createErrorResponse(error);
+    }
+  }
+
+  async scanRedisKeys(args) {
+    const {
+      project_path,
+      database,
+      pattern = "*",
+      tag,
+      limit = 100,
+      max_scan = 100000,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    try {
+      const roles = await this.getMagentoRedisDatabases(absoluteProjectPath);
+      const number = this.resolveRedisDatabase(
+        database ?? (roles.cache ? "cache" : 0),
+        roles,
+      );
+      const prefix =
+        Object.values(roles).find(
+          (role) => role.database === number && role.id_prefix,
+        )?.id_prefix || "";
+      // Magento upper-cases cache IDs and tags before prefixing them
+      const tagSet = tag ? `zc:ti:${prefix}${tag.toUpperCase()}` : "";
+
+      const result = JSON.parse(
+        await this.runRedisCli(absoluteProjectPath, number, [
+          "EVAL",
+          REDIS_SCAN_LUA,
+          "0",
+          pattern,
+          String(Math.max(1, Number(limit) || 100)),
+          String(Math.max(1, Number(max_scan) || 100000)),
+          tagSet,
+        ]),
+      );
+      const unprefix = (value) =>
+        prefix && value.startsWith(prefix) ? value.slice(prefix.length) : value;
+      // cjson encodes an empty list as {}
+      const keys = (Array.isArray(result.keys) ? result.keys : [])
+        .map(([key, type, ttl, bytes, tags, modified]) => ({
+          key,
+          type,
+          ttl_seconds: ttl,
+          memory_bytes: bytes,
+          ...(tags !== undefined
+            ? {
+                cache_id: unprefix(key.slice("zc:k:".length)),
+                tags: tags ? tags.split(",").map(unprefix) : [],
+                modified: modified
+                  ? new Date(Number(modified) * 1000).toISOString()
+                  : null,
+              }
+            : {}),
+        }))
+        .sort((a, b) => b.memory_bytes - a.memory_bytes);
+
+      const complete = result.cursor === "0";
+      return this.createJsonResponse({
+        success: true,
+        database: number,
+        ...(tag ? { tag } : { pattern }),
+        count: keys.length,
+        complete,
+        ...(complete
+          ? {}
+          : {
+              note: `Stopped after ${keys.length >= limit ? `${limit} keys` : `scanning about ${max_scan} keys`}; narrow the pattern or raise limit/max_scan`,
+            }),
+        keys,
+      });
+    } catch (error) {
+      return this.createErrorResponse(error);
+    }
+  }
+
+  async manageRedisEntry(args) {
+    const {
+      project_path,
+      action = "get",
+      database,
+      key,
+      cache_id,
+      max_bytes = 20000,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (!["get", "delete"].includes(action)) {
+      throw new Error(`Unknown action: ${action} (use get or delete)`);
+    }
+    if (Boolean(key) === Boolean(cache_id)) {
+      throw new Error("Pass either key or cache_id");
+    }
+
+    try {
+      const roles = await this.getMagentoRedisDatabases(absoluteProjectPath);
+      const number = this.resolveRedisDatabase(
+        database ?? (roles.cache ? "cache" : 0),
+        roles,
+      );
+      const prefix =
+        Object.values(roles).find(
+          (role) => role.database === number && role.id_prefix,
+        )?.id_prefix || "";
+      const unprefix = (value) =>
+        prefix && value.startsWith(prefix) ? value.slice(prefix.length) : value;
+      const redisKey = key || `zc:k:${prefix}${cache_id.toUpperCase()}`;
+
+      if (action === "delete") {
+        const [deleted, untagged] = (
+          await this.runRedisCli(absoluteProjectPath, number, [
+            "EVAL",
+            REDIS_DELETE_LUA,
+            "1",
+            redisKey,
+          ])
+        )
+          .split("\n")
+          .map(Number);
+        return this.createJsonResponse(
+          {
+            success: deleted === 1,
+            action,
+            database: number,
+            key: redisKey,
+            deleted: deleted === 1,
+            ...(untagged > 0 ? { removed_from_tag_sets: untagged } : {}),
+            ...(deleted === 1 ? {} : { error: "Key not found" }),
+          },
+          deleted !== 1,
+        );
+      }
+
+      const [type, ttl, bytes] = (
+        await this.runRedisCli(absoluteProjectPath, number, [
+          "EVAL",
+          "return {redis.call('TYPE', KEYS[1])['ok'], redis.call('TTL', KEYS[1]), redis.call('MEMORY', 'USAGE', KEYS[1]) or 0}",
+          "1",
+          redisKey,
+        ])
+      ).split("\n");
+      if (type === "none") {
+        return this.createJsonResponse(
+          {
+            success: false,
+            action,
+            database: number,
+            key: redisKey,
+            error: "Key not found",
+          },
+          true,
+        );
+      }
+
+      const readers = {
+        string: ["GET", redisKey],
+        hash: ["HGETALL", redisKey],
+        list: ["LRANGE", redisKey, "0", "99"],
+        set: ["SRANDMEMBER", redisKey, "100"],
+        zset: ["ZRANGE", redisKey, "0", "99", "WITHSCORES"],
+      };
+      const payload = {
+        success: true,
+        action,
+        database: number,
+        key: redisKey,
+        type,
+        ttl_seconds: Number(ttl),
+        memory_bytes: Number(bytes),
+      };
+      if (!readers[type]) {
+        payload.note = `Values of type ${type} are not shown`;
+        return this.createJsonResponse(payload);
+      }
+
+      const values = this.parseRedisReply(
+        await this.runRedisCli(
+          absoluteProjectPath,
+          number,
+          readers[type],
+          true,
+        ),
+      );
+      if (type === "string") {
+        Object.assign(payload, this.decodeRedisValue(values[0], max_bytes));
+      } else if (type === "hash") {
+        const fields = {};
+        for (let index = 0; index + 1 < values.length; index += 2) {
+          fields[values[index].toString("utf8")] = values[index + 1];
+        }
+        if (redisKey.startsWith("zc:k:") && fields.d !== undefined) {
+          // Magento cache entry: d = data, t = tags, m = modification time
+          payload.cache_id = unprefix(redisKey.slice("zc:k:".length));
+          payload.tags = fields.t
+            ? fields.t.toString("utf8").split(",").map(unprefix)
+            : [];
+          payload.modified = fields.m
+            ? new Date(Number(fields.m.toString("utf8")) * 1000).toISOString()
+            : null;
+          Object.assign(payload, this.decodeRedisValue(fields.d, max_bytes));
+        } else {
+          payload.fields = Object.fromEntries(
+            Object.entries(fields).map(([name, value]) => [
+              name,
+              this.decodeRedisValue(value, max_bytes),
+            ]),
+          );
+        }
+      } else {
+        payload.items = values.map((value) =>
+          this.decodeRedisValue(value, max_bytes),
+        );
+        if (["list", "set", "zset"].includes(type) && values.length >= 100) {
+          payload.note = "Only the first 100 items are shown";
+        }
+      }
+      return this.createJsonResponse(payload);
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  async flushRedisDatabase(args) {
+    const { project_path, database } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (database === undefined || database === null || database === "") {
+      throw new Error(
+        "database is required: a database number, or cache, page_cache or session",
+      );
+    }
+
+    try {
+      const roles = await this.getMagentoRedisDatabases(absoluteProjectPath);
+      const number = this.resolveRedisDatabase(database, roles);
+      const sharedBy = Object.keys(roles).filter(
+        (role) => roles[role].database === number,
+      );
+
+      const before = Number(
+        await this.runRedisCli(absoluteProjectPath, number, ["DBSIZE"]),
+      );
+      // FLUSHDB only empties the selected database
+      await this.runRedisCli(absoluteProjectPath, number, ["FLUSHDB"]);
+      const after = Number(
+        await this.runRedisCli(absoluteProjectPath, number, ["DBSIZE"]),
+      );
+
+      const warnings = [];
+      if (sharedBy.length > 1) {
+        warnings.push(
+          `Database ${number} is shared by ${sharedBy.join(" and ")}; all of them were flushed`,
+        );
+      }
+      if (sharedBy.includes("session")) {
+        warnings.push(
+          "Sessions were removed; customers and admin users have to sign in again",
+        );
+      }
+      return this.createJsonResponse({
+        success: true,
+        database: number,
+        roles: sharedBy,
+        keys_before: before,
+        keys_after: after,
+        ...(warnings.length > 0 ? { warnings } : {}),
+      });
+    } catch (error) {
+      return this.createErrorResponse(error);
+    }
+  }
+
+  /**
+   * OpenSearch or Elasticsearch, whichever the project enables.
+   */
+  getSearchService(absoluteProjectPath) {
+    const enabled = new Set(
+      this.getExpectedServices(this.readProjectEnv(absoluteProjectPath)).map(
+        ({ service }) => service,
+      ),
+    );
+    for (const service of ["opensearch", "elasticsearch"]) {
+      if (enabled.has(service)) {
+        return service;
+      }
+    }
+    throw new Error(
+      "No search service is enabled for this project; set WARDEN_OPENSEARCH=1 with warden_env_config_set and restart the environment",
+    );
+  }
+
+  /**
+   * Send one request to the search service from inside its container and
+   * return the parsed JSON body. HTTP errors throw with the reason the
+   * service gave and carry the status.
+   */
+  async searchRequest(absoluteProjectPath, method, path, body) {
+    const service = this.getSearchService(absoluteProjectPath);
+    const result = await this.executeCommand(
+      "warden",
+      [
+        "env",
+        "exec",
+        "-T",
+        service,
+        "curl",
+        "-sS",
+        "-X",
+        method,
+        "-H",
+        "Content-Type: application/json",
+        "-w",
+        "\n%{http_code}",
+        ...(body !== undefined ? ["--data-binary", JSON.stringify(body)] : []),
+        `http://localhost:9200${path}`,
+      ],
+      absoluteProjectPath,
+    );
+    if (result.code !== 0) {
+      throw new Error(
+        `curl in ${service} failed: ${(result.stderr || result.stdout).trim() || `exit code ${result.code}`}`,
+      );
+    }
+
+    // -w appends the status code on a line of its own
+    const separator = result.stdout.lastIndexOf("\n");
+    const status = Number(result.stdout.slice(separator + 1));
+    const text = result.stdout.slice(0, separator);
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    if (!(status >= 200 && status < 300)) {
+      const reason =
+        json?.error?.reason || json?.error?.type || String(text).slice(0, 500);
+      const error = new Error(
+        `${method} ${path} returned HTTP ${status}: ${reason}`,
+      );
+      error.status = status;
+      error.type = json?.error?.type;
+      throw error;
+    }
+    return json;
+  }
+
+  /**
+   * What Magento needs to know about its catalog search: the index prefix
+   * of the configured engine, the store views, whether out-of-stock
+   * products are shown, and whether products are staged by row_id (Adobe
+   * Commerce).
+   */
+  async getMagentoSearchSetup(absoluteProjectPath) {
+    const result = await this.executeSql(absoluteProjectPath, {
+      query: [
+        "SELECT path, value FROM core_config_data WHERE scope = 'default' AND (path = 'catalog/search/engine' OR path LIKE 'catalog/search/%index_prefix' OR path = 'cataloginventory/options/show_out_of_stock')",
+        "SELECT store_id, code, website_id, is_active FROM store WHERE store_id > 0 ORDER BY store_id",
+        "SELECT COUNT(*) AS staged FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'catalog_product_entity' AND COLUMN_NAME = 'row_id'",
+      ].join("; "),
+      database: this.getDefaultDatabase(absoluteProjectPath),
+      readOnly: true,
+    });
+    if (result.error) {
+      throw new Error(
+        `Unable to read the catalog search configuration: ${result.error.message}`,
+      );
+    }
+    const [configRows, storeRows, stagedRows] = result.statements;
+    const config = Object.fromEntries(
+      configRows.rows.map((row) => [row.path, row.value]),
+    );
+    const engine = config["catalog/search/engine"] || null;
+
+    return {
+      engine,
+      prefix:
+        config[`catalog/search/${engine}_index_prefix`] ||
+        config["catalog/search/opensearch_index_prefix"] ||
+        config["catalog/search/elasticsearch7_index_prefix"] ||
+        "magento2",
+      show_out_of_stock:
+        config["cataloginventory/options/show_out_of_stock"] === "1",
+      stores: storeRows.rows.map((row) => ({
+        store_id: Number(row.store_id),
+        code: row.code,
+        website_id: Number(row.website_id),
+        active: Number(row.is_active) === 1,
+      })),
+      staged: Number(stagedRows.rows[0]?.staged) > 0,
+    };
+  }
+
+  /**
+   * SQL pieces for "the product is in this store's search index": enabled,
+   * visible in catalog and/or search (Magento indexes visibility 2, 3 and
+   * 4), assigned to the store's website and, unless out-of-stock products
+   * are shown, in stock. Store values fall back to the default (store 0)
+   * value.
+   */
+  getSearchableProductSql(setup, storeExpression) {
+    const link = setup.staged ? "row_id" : "entity_id";
+    const attribute = (code) => {
+      const attributeId = `(SELECT a.attribute_id FROM eav_attribute a JOIN eav_entity_type t ON t.entity_type_id = a.entity_type_id WHERE t.entity_type_code = 'catalog_product' AND a.attribute_code = '${code}')`;
+      const value = (store) =>
+        `(SELECT v.value FROM catalog_product_entity_int v WHERE v.${link} = e.${link} AND v.attribute_id = ${attributeId} AND v.store_id = ${store})`;
+      return `COALESCE(${value(storeExpression)}, ${value("0")})`;
+    };
+    return {
+      status: attribute("status"),
+      visibility: attribute("visibility"),
+      inWebsite: `EXISTS (SELECT 1 FROM catalog_product_website w JOIN store ws ON ws.website_id = w.website_id WHERE w.product_id = e.entity_id AND ws.store_id = ${storeExpression})`,
+      // The stock index keeps the default stock under website 0
+      inStock: setup.show_out_of_stock
+        ? "1"
+        : `EXISTS (SELECT 1 FROM cataloginventory_stock_status ss JOIN store ss_store ON ss_store.store_id = ${storeExpression} WHERE ss.product_id = e.entity_id AND ss.website_id IN (0, ss_store.website_id) AND ss.stock_status = 1)`,
+      // Staged products have one row per version; use the current one
+      current: setup.staged
+        ? "e.created_in <= UNIX_TIMESTAMP() AND e.updated_in > UNIX_TIMESTAMP()"
+        : "1 = 1",
+    };
+  }
+
+  async querySearchEngine(args) {
+    const {
+      project_path,
+      action = "indices",
+      index,
+      store,
+      query,
+      size = 10,
+      sku,
+      field,
+      include_all = false,
+      limit = 20,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (
+      !["indices", "mapping", "query", "product", "compare"].includes(action)
+    ) {
+      throw new Error(
+        `Unknown action: ${action} (use indices, mapping, query, product or compare)`,
+      );
+    }
+    const isMagento = this.getProjectType(absoluteProjectPath) === "magento2";
+    if (["product", "compare"].includes(action) && !isMagento) {
+      throw new Error(`The ${action} action only applies to magento2 projects`);
+    }
+    if (index && !/^[\w.*,-]+$/.test(index)) {
+      throw new Error(`Invalid index name: ${index}`);
+    }
+    if (["mapping", "query"].includes(action) && !index && !isMagento) {
+      throw new Error(`index is required for ${action}`);
+    }
+    if (
+      action === "query" &&
+      (typeof query !== "object" || query === null || Array.isArray(query))
+    ) {
+      throw new Error(
+        'query must be a search DSL object, e.g. {"query": {"match": {"name": "shirt"}}}',
+      );
+    }
+    if (action === "product" && !sku) {
+      throw new Error("sku is required for product");
+    }
+
+    try {
+      const service = this.getSearchService(absoluteProjectPath);
+      const setup = isMagento
+        ? await this.getMagentoSearchSetup(absoluteProjectPath)
+        : null;
+      let stores = [];
+      if (setup) {
+        stores =
+          store === undefined || store === null || store === ""
+            ? setup.stores.filter((item) => item.active)
+            : setup.stores.filter(
+                (item) =>
+                  String(item.store_id) === String(store) ||
+                  item.code === store,
+              );
+        if (stores.length === 0) {
+          throw new Error(
+            `Unknown store: ${store} (available: ${setup.stores.map((item) => `${item.store_id} (${item.code})`).join(", ")})`,
+          );
+        }
+      }
+      // Magento searches through the alias <prefix>_product_<store ID>
+      const productIndex = (storeId) => `${setup.prefix}_product_${storeId}`;
+      const target = index || (setup ? productIndex(stores[0].store_id) : null);
+
+      if (action === "indices") {
+        const [indices, aliases, health] = [
+          await this.searchRequest(
+            absoluteProjectPath,
+            "GET",
+            "/_cat/indices?format=json&bytes=b",
+          ),
+          await this.searchRequest(
+            absoluteProjectPath,
+            "GET",
+            "/_cat/aliases?format=json",
+          ),
+          await this.searchRequest(
+            absoluteProjectPath,
+            "GET",
+            "/_cluster/health",
+          ),
+        ];
+        const aliasesByIndex = new Map();
+        for (const alias of aliases) {
+          aliasesByIndex.set(alias.index, [
+            ...(aliasesByIndex.get(alias.index) || []),
+            alias.alias,
+          ]);
+        }
+        const magentoIndex = setup
+          ? new RegExp(
+              `^${setup.prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}_(.+)_(\\d+)_v(\\d+)$`,
+            )
+          : null;
+        const rows = indices
+          .filter(
+            (row) =>
+              include_all || !setup || row.index.startsWith(`${setup.prefix}_`),
+          )
+          .map((row) => {
+            const match = magentoIndex && row.index.match(magentoIndex);
+            return {
+              index: row.index,
+              aliases: aliasesByIndex.get(row.index) || [],
+              health: row.health,
+              status: row.status,
+              docs: Number(row["docs.count"] || 0),
+              deleted_docs: Number(row["docs.deleted"] || 0),
+              size_bytes: Number(row["store.size"] || 0),
+              primary_shards: Number(row.pri || 0),
+              replicas: Number(row.rep || 0),
+              ...(match
+                ? {
+                    entity: match[1],
+                    store_id: Number(match[2]),
+                    version: Number(match[3]),
+                  }
+                : {}),
+            };
+          })
+          .sort((a, b) => a.index.localeCompare(b.index));
+
+        const warnings = [];
+        if (
+          health.status === "yellow" &&
+          health.number_of_nodes === 1 &&
+          rows.some((row) => row.replicas > 0)
+        ) {
+          warnings.push(
+            "Yellow health on a single node means replica shards cannot be assigned; searches are not affected",
+          );
+        }
+        if (setup) {
+          const missing = stores
+            .map(({ store_id }) => productIndex(store_id))
+            .filter(
+              (alias) => !rows.some((row) => row.aliases.includes(alias)),
+            );
+          if (missing.length > 0) {
+            warnings.push(
+              `No product index for ${missing.join(", ")}; reindex catalogsearch_fulltext with warden_magento_indexer`,
+            );
+          }
+        }
+        return this.createJsonResponse({
+          success: true,
+          action,
+          service,
+          cluster: {
+            name: health.cluster_name,
+            status: health.status,
+            nodes: health.number_of_nodes,
+            unassigned_shards: health.unassigned_shards,
+          },
+          ...(setup ? { engine: setup.engine, prefix: setup.prefix } : {}),
+          indices: rows,
+          ...(warnings.length > 0 ? { warnings } : {}),
+        });
+      }
+
+      if (action === "mapping") {
+        const mappings = await this.searchRequest(
+          absoluteProjectPath,
+          "GET",
+          `/${target}/_mapping`,
+        );
+        const [concrete, definition] = Object.entries(mappings)[0] || [];
+        const flatten = (properties, parent = "") =>
+          Object.entries(properties || {}).flatMap(([name, spec]) => {
+            const path = `${parent}${name}`;
+            return [
+              {
+                field: path,
+                type: spec.type || (spec.properties ? "object" : null),
+                ...(spec.analyzer ? { analyzer: spec.analyzer } : {}),
+                ...(spec.index === false ? { indexed: false } : {}),
+                ...(spec.copy_to ? { copy_to: spec.copy_to } : {}),
+              },
+              ...Object.entries(spec.fields || {}).map(([sub, subSpec]) => ({
+                field: `${path}.${sub}`,
+                type: subSpec.type,
+                ...(subSpec.analyzer ? { analyzer: subSpec.analyzer } : {}),
+              })),
+              ...flatten(spec.properties, `${path}.`),
+            ];
+          });
+        const fields = flatten(definition?.mappings?.properties);
+        const needle = field?.toLowerCase();
+        return this.createJsonResponse({
+          success: true,
+          action,
+          index: concrete,
+          ...(concrete !== target ? { requested: target } : {}),
+          field_count: fields.length,
+          dynamic_templates: (
+            definition?.mappings?.dynamic_templates || []
+          ).map((template) => Object.keys(template)[0]),
+          fields: needle
+            ? fields.filter((item) => item.field.toLowerCase().includes(needle))
+            : fields,
+        });
+      }
+
+      if (action === "query") {
+        const response = await this.searchRequest(
+          absoluteProjectPath,
+          "POST",
+          `/${target}/_search`,
+          { size, ...query },
+        );
+        return this.createJsonResponse({
+          success: true,
+          action,
+          index: target,
+          took_ms: response.took,
+          timed_out: response.timed_out,
+          total: response.hits?.total?.value ?? response.hits?.total ?? 0,
+          max_score: response.hits?.max_score ?? null,
+          hits: (response.hits?.hits || []).map((hit) => ({
+            id: hit._id,
+            index: hit._index,
+            score: hit._score,
+            ...(hit._source ? { source: hit._source } : {}),
+            ...(hit.highlight ? { highlight: hit.highlight } : {}),
+            ...(hit.sort ? { sort: hit.sort } : {}),
+          })),
+          ...(response.aggregations
+            ? { aggregations: response.aggregations }
+            : {}),
+        });
+      }
+
+      const database = this.getDefaultDatabase(absoluteProjectPath);
+      if (action === "product") {
+        const sql = this.getSearchableProductSql(setup, "s.store_id");
+        const rows = await this.executeSql(absoluteProjectPath, {
+          query: `SELECT e.entity_id, e.sku, e.type_id, s.store_id, s.code AS store_code, ${sql.status} AS status, ${sql.visibility} AS visibility, ${sql.inWebsite} AS in_website, ${sql.inStock} AS in_stock FROM catalog_product_entity e JOIN store s ON s.store_id IN (${stores.map(({ store_id }) => store_id).join(", ")}) WHERE e.sku = :sku AND ${sql.current} ORDER BY s.store_id`,
+          params: { sku },
+          database,
+          readOnly: true,
+        });
+        if (rows.error) {
+          throw new Error(
+            `Unable to look up the product: ${rows.error.message}`,
+          );
+        }
+        if (rows.statements[0].rows.length === 0) {
+          return this.createJsonResponse(
+            {
+              success: false,
+              action,
+              sku,
+              error: `No product with SKU ${sku}`,
+            },
+            true,
+          );
+        }
+
+        const results = [];
+        for (const row of rows.statements[0].rows) {
+          const alias = productIndex(row.store_id);
+          const reasons = [];
+          if (Number(row.status) !== 1) {
+            reasons.push("disabled");
+          }
+          if (![2, 3, 4].includes(Number(row.visibility))) {
+            reasons.push(
+              "not visible individually; Magento indexes it as part of its parent product",
+            );
+          }
+          if (Number(row.in_website) !== 1) {
+            reasons.push("not assigned to the store's website");
+          }
+          if (Number(row.in_stock) !== 1) {
+            reasons.push(
+              "out of stock while cataloginventory/options/show_out_of_stock is off",
+            );
+          }
+
+          let document = null;
+          let indexMissing = false;
+          try {
+            document = await this.searchRequest(
+              absoluteProjectPath,
+              "GET",
+              `/${alias}/_doc/${row.entity_id}`,
+            );
+          } catch (error) {
+            if (error.status !== 404) {
+              throw error;
+            }
+            indexMissing = error.type === "index_not_found_exception";
+          }
+          const indexed = Boolean(document?.found);
+          const expected = reasons.length === 0;
+
+          let diagnosis;
+          if (indexMissing) {
+            diagnosis = `The index ${alias} does not exist; reindex catalogsearch_fulltext`;
+          } else if (expected && indexed) {
+            diagnosis = "Indexed as expected";
+          } else if (expected) {
+            diagnosis =
+              "Missing from the index; reindex catalogsearch_fulltext and check its mode and backlog with warden_magento_indexer";
+          } else if (indexed) {
+            diagnosis = `Indexed although it is ${reasons.join(" and ")}; the document is stale`;
+          } else {
+            diagnosis = `Not indexed because it is ${reasons.join(" and ")}`;
+          }
+
+          results.push({
+            store_id: row.store_id,
+            store_code: row.store_code,
+            index: alias,
+            entity_id: row.entity_id,
+            type_id: row.type_id,
+            status: row.status,
+            visibility: row.visibility,
+            in_website: Number(row.in_website) === 1,
+            in_stock: Number(row.in_stock) === 1,
+            expected_in_index: expected,
+            indexed,
+            diagnosis,
+            ...(indexed ? { document: document._source } : {}),
+          });
+        }
+        return this.createJsonResponse({
+          success: true,
+          action,
+          sku,
+          stores: results,
+        });
+      }
+
+      // compare: searchable products in the database against the documents
+      // of each store's product index
+      const results = [];
+      for (const { store_id, code } of stores) {
+        const alias = productIndex(store_id);
+        const sql = this.getSearchableProductSql(setup, String(store_id));
+        const expected = await this.executeSql(absoluteProjectPath, {
+          query: `SELECT e.entity_id FROM catalog_product_entity e WHERE ${sql.current} AND ${sql.status} = 1 AND ${sql.visibility} IN (2, 3, 4) AND ${sql.inWebsite} AND ${sql.inStock}`,
+          database,
+          maxRows: SEARCH_COMPARE_MAX_IDS,
+          readOnly: true,
+        });
+        if (expected.error) {
+          throw new Error(
+            `Unable to count searchable products: ${expected.error.message}`,
+          );
+        }
+        const expectedCount = expected.statements[0].row_count;
+
+        const entry = {
+          store_id,
+          store_code: code,
+          index: alias,
+          database_products: expectedCount,
+        };
+        let count;
+        try {
+          count = (
+            await this.searchRequest(
+              absoluteProjectPath,
+              "GET",
+              `/${alias}/_count`,
+            )
+          ).count;
+        } catch (error) {
+          if (error.status !== 404) {
+            throw error;
+          }
+          results.push({
+            ...entry,
+            error: `The index ${alias} does not exist`,
+          });
+          continue;
+        }
+        entry.indexed_documents = count;
+        entry.difference = count - expectedCount;
+
+        if (
+          expectedCount > SEARCH_COMPARE_MAX_IDS ||
+          count > SEARCH_COMPARE_MAX_IDS
+        ) {
+          entry.note = `More than ${SEARCH_COMPARE_MAX_IDS} products; only the counts are compared`;
+          results.push(entry);
+          continue;
+        }
+
+        // Walk the index with a scroll to collect every document ID
+        const indexedIds = new Set();
+        let scrollId = null;
+        try {
+          let page = await this.searchRequest(
+            absoluteProjectPath,
+            "POST",
+            `/${alias}/_search?scroll=1m`,
+            { size: SEARCH_SCROLL_SIZE, _source: false, sort: ["_doc"] },
+          );
+          scrollId = page._scroll_id;
+          while (page.hits?.hits?.length > 0) {
+            for (const hit of page.hits.hits) {
+              indexedIds.add(String(hit._id));
+            }
+            page = await this.searchRequest(
+              absoluteProjectPath,
+              "POST",
+              "/_search/scroll",
+              { scroll: "1m", scroll_id: scrollId },
+            );
+            scrollId = page._scroll_id || scrollId;
+          }
+        } finally {
+          if (scrollId) {
+            await this.searchRequest(
+              absoluteProjectPath,
+              "DELETE",
+              "/_search/scroll",
+              { scroll_id: scrollId },
+            ).catch(() => {});
+          }
+        }
+
+        const expectedIds = new Set(
+          expected.statements[0].rows.map((row) => String(row.entity_id)),
+        );
+        const missing = [...expectedIds].filter((id) => !indexedIds.has(id));
+        const stale = [...indexedIds].filter((id) => !expectedIds.has(id));
+        let missingSample = missing.slice(0, limit).map(Number);
+        if (missingSample.length > 0) {
+          const skus = await this.executeSql(absoluteProjectPath, {
+            query: `SELECT entity_id, sku FROM catalog_product_entity WHERE entity_id IN (${missingSample.join(", ")})`,
+            database,
+            readOnly: true,
+          });
+          if (!skus.error) {
+            const byId = new Map(
+              skus.statements[0].rows.map((row) => [
+                Number(row.entity_id),
+                row.sku,
+              ]),
+            );
+            missingSample = missingSample.map((id) => ({
+              entity_id: id,
+              sku: byId.get(id) ?? null,
+            }));
+          }
+        }
+        entry.missing = { count: missing.length, sample: missingSample };
+        entry.stale = {
+          count: stale.length,
+          sample: stale.slice(0, limit),
+        };
+        results.push(entry);
+      }
+
+      return this.createJsonResponse({
+        success: true,
+        action,
+        prefix: setup.prefix,
+        show_out_of_stock: setup.show_out_of_stock,
+        stores: results,
+        note: `Products count as searchable when they are enabled, visible in catalog and/or search and assigned to the store's website${setup.show_out_of_stock ? "" : ", and in stock since cataloginventory/options/show_out_of_stock is off"}`,
+      });
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  async runPhpScript(args) {
+    const { project_path, script_path, args: scriptArgs = [] } = args;
+
+    if (!script_path) {
+      throw new Error("script_path is required");
+    }
+
+    const wardenCommand = [
+      "env",
+      "exec",
+      "-T",
+      "php-fpm",
+      "php",
+      script_path,
+      ...parseCommandArguments(scriptArgs, "args"),
+    ];
+
+    return await this.executeWardenCommand(
+      project_path,
+      wardenCommand,
+      `Running PHP script: ${script_path}`,
+    );
+  }
+
+  /**
+   * Report or change how Xdebug runs in the php-debug container. Warden's
+   * nginx sends web requests carrying the XDEBUG_SESSION cookie to php-debug
+   * and all others to php-fpm, so enabling it leaves normal requests fast.
+   */
+  async manageXdebug(args) {
+    const {
+      project_path,
+      action = "status",
+      mode,
+      start_with_request = "trigger",
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const modes = String(mode || "")
+      .split(",")
+      .map((item) => item.trim());
+
+    if (
+      !["status", "enable", "disable", "set_mode", "reset"].includes(action)
+    ) {
+      throw new Error(
+        `Unknown action: ${action} (use status, enable, disable, set_mode or reset)`,
+      );
+    }
+    if (action === "set_mode") {
+      if (!mode || modes.some((item) => !XDEBUG_MODES.includes(item))) {
+        throw new Error(
+          `mode must be one or more of ${XDEBUG_MODES.join(", ")}, separated by commas`,
+        );
+      }
+      if (!["trigger", "yes"].includes(start_with_request)) {
+        throw new Error("start_with_request must be trigger or yes");
+      }
+    }
+
+    try {
+      if (action === "enable" || action === "disable") {
+        const envFilePath = join(absoluteProjectPath, ".env");
+        if (!existsSync(envFilePath)) {
+          throw new Error(`No Warden .env file in ${absoluteProjectPath}`);
+        }
+        const { content, changes } = this.applyEnvChanges(
+          readFileSync(envFilePath, "utf8"),
+          { PHP_XDEBUG_3: action === "enable" ? "1" : "0" },
+        );
+        if (changes.length > 0) {
+          writeFileSync(envFilePath, content);
+        }
+        if (action === "disable") {
+          this.saveXdebugOverride(absoluteProjectPath, null);
+        }
+
+        // Compose creates php-debug, or removes it as an orphan
+        const wardenCommand = ["env", "up", "--remove-orphans"];
+        const result = await this.executeLoggedCommand(
+          "warden",
+          wardenCommand,
+          absoluteProjectPath,
+        );
+        const payload = {
+          success: result.code === 0,
+          action,
+          changes,
+          command: formatCommand(["warden", ...wardenCommand]),
+          exit_code: result.code,
+          log_id: result.logId,
+          ...(result.code !== 0
+            ? {
+                output: this.truncateOutput(
+                  `${result.stdout}${result.stderr}`.trim(),
+                  result.logId,
+                ),
+              }
+            : {}),
+        };
+        if (result.code !== 0 || action === "disable") {
+          return this.createJsonResponse(payload, result.code !== 0);
+        }
+        return this.createJsonResponse({
+          ...payload,
+          ...(await this.getXdebugStatus(absoluteProjectPath)),
+        });
+      }
+
+      if (action === "set_mode" || action === "reset") {
+        const before = await this.getXdebugStatus(absoluteProjectPath);
+        if (!before.running) {
+          throw new Error(
+            "php-debug is not running; enable it with action enable first",
+          );
+        }
+        const scanDir = before.xdebug.ini_scan_dir;
+        if (!scanDir) {
+          throw new Error(
+            "PHP in php-debug has no ini scan directory to add settings to",
+          );
+        }
+
+        // The file lives in the container until it is recreated
+        const script =
+          action === "set_mode"
+            ? 'mkdir -p "$3" && chmod 1777 "$3" && printf "%s\\n" "$2" > "$1/$4"'
+            : 'rm -f "$1/$4"';
+        const settings = [
+          "; Written by warden_xdebug set_mode; removed by its reset action",
+          `xdebug.mode=${modes.join(",")}`,
+          `xdebug.start_with_request=${start_with_request}`,
+          `xdebug.output_dir=${XDEBUG_OUTPUT_DIR}`,
+        ].join("\n");
+        const write = await this.executeCommand(
+          "warden",
+          [
+            "env",
+            "exec",
+            "-T",
+            "-u",
+            "root",
+            "php-debug",
+            "sh",
+            "-c",
+            script,
+            "sh",
+            scanDir,
+            settings,
+            XDEBUG_OUTPUT_DIR,
+            XDEBUG_OVERRIDE_INI,
+          ],
+          absoluteProjectPath,
+        );
+        if (write.code !== 0) {
+          throw new Error(
+            `Unable to update ${scanDir}/${XDEBUG_OVERRIDE_INI}: ${(write.stderr || write.stdout).trim()}`,
+          );
+        }
+
+        // php-fpm reads ini files at startup only
+        const restart = await this.executeLoggedCommand(
+          "warden",
+          ["env", "restart", "php-debug"],
+          absoluteProjectPath,
+        );
+        if (restart.code !== 0) {
+          throw new Error(
+            `warden env restart php-debug failed (log ${restart.logId}): ${(restart.stderr || restart.stdout).trim()}`,
+          );
+        }
+
+        this.saveXdebugOverride(
+          absoluteProjectPath,
+          action === "set_mode"
+            ? {
+                mode: modes.join(","),
+                start_with_request,
+                set_at: new Date().toISOString(),
+              }
+            : null,
+        );
+
+        const { warnings: statusWarnings = [], ...after } =
+          await this.getXdebugStatus(absoluteProjectPath);
+        const warnings = [...statusWarnings];
+        if (action === "set_mode" && after.xdebug?.mode_from_environment) {
+          warnings.push(
+            `XDEBUG_MODE=${after.xdebug.mode_from_environment} is set in the container environment and takes precedence over xdebug.mode`,
+          );
+        }
+        return this.createJsonResponse({
+          success: true,
+          action,
+          ...after,
+          ...(warnings.length > 0 ? { warnings } : {}),
+        });
+      }
+
+      return this.createJsonResponse({
+        success: true,
+        action,
+        ...(await this.getXdebugStatus(absoluteProjectPath)),
+      });
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  async getXdebugStatus(absoluteProjectPath) {
+    const env = this.readProjectEnv(absoluteProjectPath);
+    const container = (await this.getComposeServices(absoluteProjectPath)).find(
+      (service) => service.service === "php-debug",
+    );
+    const status = {
+      enabled: env.PHP_XDEBUG_3 === "1",
+      running: container?.state === "running",
+      container: container
+        ? { state: container.state, image: container.image }
+        : null,
+      web_requests:
+        "Requests with the XDEBUG_SESSION cookie (set by a browser Xdebug helper) go to php-debug, all others to php-fpm",
+    };
+    if (!status.running) {
+      return status;
+    }
+
+    status.xdebug = await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-debug",
+      XDEBUG_STATUS_PHP,
+      { description: "read the Xdebug settings of php-debug" },
+    );
+    if (!status.xdebug.xdebug_version) {
+      throw new Error("php-debug does not have the Xdebug extension loaded");
+    }
+
+    // Recreating php-debug (warden env up, e.g. by enable) drops the ini
+    // file that set_mode wrote into the container
+    const override = this.loadXdebugOverride(absoluteProjectPath);
+    if (override) {
+      status.override = { ...override, applied: !!status.xdebug.override_ini };
+      if (!status.override.applied) {
+        status.warnings = [
+          `The set_mode settings (xdebug.mode=${override.mode}) were lost when php-debug was recreated; run set_mode again, or reset to forget them`,
+        ];
+      }
+    }
+    return status;
+  }
+
+  /**
+   * The settings of the last set_mode, kept in the state directory so that
+   * status can tell when the container lost them.
+   */
+  getXdebugOverridePath(absoluteProjectPath) {
+    return join(
+      this.config.stateDir,
+      "xdebug",
+      `${this.getProjectKey(absoluteProjectPath)}.json`,
+    );
+  }
+
+  loadXdebugOverride(absoluteProjectPath) {
+    const path = this.getXdebugOverridePath(absoluteProjectPath);
+    try {
+      return existsSync(path) ? JSON.parse(readFileSync(path, "utf8")) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  saveXdebugOverride(absoluteProjectPath, override) {
+    const path = this.getXdebugOverridePath(absoluteProjectPath);
+    if (!override) {
+      if (existsSync(path)) {
+        unlinkSync(path);
+      }
+      return;
+    }
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(override, null, 2));
+  }
+
+  /**
+   * Run a PHP script or the framework CLI in php-debug with Xdebug started
+   * for the whole run, then list the files it wrote and summarize the
+   * profile.
+   */
+  async runWithXdebug(args) {
+    const {
+      project_path,
+      script_path,
+      command,
+      args: commandArgs = [],
+      mode = "profile",
+      top = 20,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (Boolean(script_path) === Boolean(command)) {
+      throw new Error("Pass either script_path or command");
+    }
+    if (!["debug", "profile", "trace", "coverage"].includes(mode)) {
+      throw new Error(
+        `Unknown mode: ${mode} (use debug, profile, trace or coverage)`,
+      );
+    }
+    if (this.readProjectEnv(absoluteProjectPath).PHP_XDEBUG_3 !== "1") {
+      throw new Error(
+        "Xdebug is disabled (PHP_XDEBUG_3 is not 1 in .env); enable it with warden_xdebug action enable",
+      );
+    }
+
+    let target;
+    if (command) {
+      const type = this.getProjectType(absoluteProjectPath);
+      const profile = ENV_TYPE_PROFILES[type];
+      if (!profile || profile.cli[0] !== "php") {
+        throw new Error(
+          `No PHP framework CLI known for environment type ${type || "(none)"}; use script_path instead`,
+        );
+      }
+      const [commandName, ...commandRest] = parseCommandArguments(
+        command,
+        "command",
+      );
+      target = [
+        ...profile.cli.slice(1),
+        commandName,
+        ...(profile.noInteraction ? [profile.noInteraction] : []),
+        ...commandRest,
+        ...parseCommandArguments(commandArgs, "args"),
+      ];
+    } else {
+      target = [script_path, ...parseCommandArguments(commandArgs, "args")];
+    }
+
+    // A directory per run keeps its files apart from earlier ones
+    const outputDir = `${XDEBUG_OUTPUT_DIR}/run-${new Date().toISOString().replace(/\D/g, "").slice(0, 14)}-${randomBytes(3).toString("hex")}`;
+    try {
+      const prepare = await this.executeCommand(
+        "warden",
+        ["env", "exec", "-T", "php-debug", "mkdir", "-p", outputDir],
+        absoluteProjectPath,
+      );
+      if (prepare.code !== 0) {
+        throw new Error(
+          `Unable to run in php-debug: ${(prepare.stderr || prepare.stdout).trim()}`,
+        );
+      }
+
+      const started = Date.now();
+      const result = await this.executeLoggedCommand(
+        "warden",
+        [
+          "env",
+          "exec",
+          "-T",
+          "-e",
+          `XDEBUG_MODE=${mode}`,
+          "php-debug",
+          "php",
+          "-d",
+          "xdebug.start_with_request=yes",
+          "-d",
+          `xdebug.output_dir=${outputDir}`,
+          "-d",
+          "xdebug.profiler_output_name=cachegrind.out.%p",
+          "-d",
+          "xdebug.trace_output_name=trace.%p",
+          ...target,
+        ],
+        absoluteProjectPath,
+      );
+      const files = await this.listXdebugFiles(absoluteProjectPath, [
+        outputDir,
+      ]);
+
+      const payload = {
+        success: result.code === 0,
+        mode,
+        command: formatCommand(["php", ...target]),
+        exit_code: result.code,
+        duration_seconds: Math.round((Date.now() - started) / 1000),
+        log_id: result.logId,
+        output: this.truncateOutput(
+          `${result.stdout}${result.stderr}`.trim(),
+          result.logId,
+        ),
+        output_dir: outputDir,
+        files,
+      };
+      // The first process's profile covers the run; forked workers add more
+      const profileFile = files
+        .filter((file) => file.type === "profile")
+        .sort((a, b) => b.size - a.size)[0];
+      if (profileFile) {
+        payload.profile = await this.summarizeCachegrind(
+          absoluteProjectPath,
+          profileFile.path,
+          top,
+        );
+      }
+      return this.createJsonResponse(payload, result.code !== 0);
+    } catch (error) {
+      return this.createErrorResponse(error, {
+        mode,
+        output_dir: outputDir,
+      });
+    }
+  }
+
+  async manageXdebugFiles(args) {
+    const { project_path, action = "list", file, files = [], top = 20 } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (!["list", "collect", "summarize"].includes(action)) {
+      throw new Error(
+        `Unknown action: ${action} (use list, collect or summarize)`,
+      );
+    }
+    const isContainerPath = (path) =>
+      typeof path === "string" &&
+      path.startsWith("/") &&
+      !path.split("/").includes("..");
+    if (action === "summarize" && !isContainerPath(file)) {
+      throw new Error(
+        "file is required for summarize: the absolute path of a cachegrind file in php-debug, as listed by action list",
+      );
+    }
+    const invalid = files.filter((path) => !isContainerPath(path));
+    if (invalid.length > 0) {
+      throw new Error(`files must be absolute paths: ${invalid.join(", ")}`);
+    }
+
+    try {
+      if (action === "summarize") {
+        return this.createJsonResponse({
+          success: true,
+          action,
+          file,
+          ...(await this.summarizeCachegrind(absoluteProjectPath, file, top)),
+        });
+      }
+
+      const status = await this.getXdebugStatus(absoluteProjectPath);
+      if (!status.running) {
+        throw new Error("php-debug is not running");
+      }
+      const listed = await this.listXdebugFiles(absoluteProjectPath, [
+        ...new Set([XDEBUG_OUTPUT_DIR, status.xdebug.output_dir || "/tmp"]),
+      ]);
+      if (action === "list") {
+        return this.createJsonResponse({
+          success: true,
+          action,
+          files: listed,
+        });
+      }
+
+      // var/ is shared with the host through the project mount
+      const selected =
+        files.length > 0 ? files : listed.map(({ path }) => path);
+      if (selected.length === 0) {
+        throw new Error("No Xdebug output files to collect");
+      }
+      const result = await this.executeCommand(
+        "warden",
+        [
+          "env",
+          "exec",
+          "-T",
+          "php-debug",
+          "sh",
+          "-c",
+          'mkdir -p var/xdebug && cp "$@" var/xdebug/',
+          "sh",
+          ...selected,
+        ],
+        absoluteProjectPath,
+      );
+      if (result.code !== 0) {
+        throw new Error(
+          `Copying the files failed: ${(result.stderr || result.stdout).trim()}`,
+        );
+      }
+      return this.createJsonResponse({
+        success: true,
+        action,
+        files: selected.map((path) => ({
+          source: path,
+          path: join(absoluteProjectPath, "var", "xdebug", basename(path)),
+        })),
+      });
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  async listXdebugFiles(absoluteProjectPath, directories) {
+    return await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-debug",
+      XDEBUG_FILES_PHP,
+      {
+        args: [JSON.stringify(directories)],
+        description: "list Xdebug output files",
+      },
+    );
+  }
+
+  /**
+   * Hottest functions of a cachegrind profile, with times converted to
+   * milliseconds and shares of the total run time.
+   */
+  async summarizeCachegrind(absoluteProjectPath, file, top = 20) {
+    const profile = await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-debug",
+      XDEBUG_CACHEGRIND_SUMMARY_PHP,
+      {
+        phpOptions: ["-d", "memory_limit=-1"],
+        args: [file, String(Math.max(1, Number(top) || 20))],
+        description: `summarize ${file}`,
+      },
+    );
+
+    // Xdebug 3.2+ records time in 10 ns units, earlier versions in µs
+    const events = profile.events || "";
+    const toMs = /10ns/.test(events) ? 1e-5 : 1e-3;
+    const [totalTime, totalMemory] = String(profile.summary || "")
+      .trim()
+      .split(/\s+/)
+      .map(Number);
+    const round = (value) => Math.round(value * 100) / 100;
+    const describe = (entry) => ({
+      function: entry.function,
+      file: entry.file,
+      calls: entry.calls,
+      self_ms: round(entry.self * toMs),
+      inclusive_ms: round(entry.inclusive * toMs),
+      ...(totalTime
+        ? {
+            self_percent: round((entry.self / totalTime) * 100),
+            inclusive_percent: round((entry.inclusive / totalTime) * 100),
+          }
+        : {}),
+      self_memory_bytes: entry.self_memory,
+    });
+
+    return {
+      command: profile.cmd,
+      total_ms: totalTime ? round(totalTime * toMs) : null,
+      peak_memory_bytes: Number.isFinite(totalMemory) ? totalMemory : null,
+      function_count: profile.function_count,
+      hottest_self: profile.by_self.map(describe),
+      hottest_inclusive: profile.by_inclusive.map(describe),
+    };
+  }
+
+  async runFrameworkCli(args) {
+    const { project_path, command, args: commandArgs = [] } = args;
+    const [commandName, ...commandRest] = parseCommandArguments(
+      command,
+      "command",
+    );
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const type = this.getProjectType(absoluteProjectPath);
+    const profile = ENV_TYPE_PROFILES[type];
+
+    if (!profile) {
+      throw new Error(
+        `No framework CLI known for environment type ${type || "(none)"}; supported: ${Object.keys(ENV_TYPE_PROFILES).join(", ")}. Use warden_php_script instead`,
+      );
+    }
+
+    const wardenCommand = [
+      "env",
+      "exec",
+      "-T",
+      "php-fpm",
+      ...profile.cli,
+      commandName,
+      ...(profile.noInteraction ? [profile.noInteraction] : []),
+      ...commandRest,
+      ...parseCommandArguments(commandArgs, "args"),
+    ];
+
+    return await this.executeWardenCommand(
+      project_path,
+      wardenCommand,
+      `Running ${type} CLI: ${formatCommand([...profile.cli, commandName])}`,
+    );
+  }
+
+  async runMagentoCli(args) {
+    const { project_path, command, args: commandArgs = [] } = args;
+    const [commandName, ...commandRest] = parseCommandArguments(
+      command,
+      "command",
+    );
+
+    const wardenCommand = [
+      "env",
+      "exec",
+      "-T",
+      "php-fpm",
+      "php",
+      "bin/magento",
+      commandName,
+      "--no-interaction",
+      ...commandRest,
+      ...parseCommandArguments(commandArgs, "args"),
+    ];
+
+    return await this.executeWardenCommand(
+      project_path,
+      wardenCommand,
+      `Running Magento CLI: bin/magento ${commandName}`,
+    );
+  }
+
+  async manageMagentoCache(args) {
+    const { project_path, action = "list", types = [] } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (!["list", "clean", "flush", "enable", "disable"].includes(action)) {
+      throw new Error(
+        `Unknown action: ${action} (use list, clean, flush, enable or disable)`,
+      );
+    }
+
+    try {
+      const before = await this.getMagentoCacheTypes(absoluteProjectPath);
+      const unknown = types.filter(
+        (type) => !before.some((item) => item.id === type),
+      );
+      if (unknown.length > 0) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            error: `Unknown cache types: ${unknown.join(", ")}`,
+            available: before.map((item) => item.id),
+          },
+          true,
+        );
+      }
+
+      if (action === "list") {
+        const selected =
+          types.length > 0
+            ? before.filter((item) => types.includes(item.id))
+            : before;
+        return this.createJsonResponse({
+          success: true,
+          action,
+          invalidated: selected
+            .filter((item) => item.invalidated)
+            .map((item) => item.id),
+          disabled: selected
+            .filter((item) => !item.enabled)
+            .map((item) => item.id),
+          types: selected,
+        });
+      }
+
+      // Cleaning without types targets what Magento asks to refresh
+      const invalidated = before
+        .filter((item) => item.invalidated)
+        .map((item) => item.id);
+      const targets =
+        types.length > 0
+          ? types
+          : action === "clean" && invalidated.length > 0
+            ? invalidated
+            : [];
+
+      const run = await this.runMagentoAction(absoluteProjectPath, [
+        `cache:${action}`,
+        ...targets,
+      ]);
+      const after = await this.getMagentoCacheTypes(absoluteProjectPath);
+
+      return this.createJsonResponse(
+        {
+          success: run.exit_code === 0,
+          action,
+          types: targets.length > 0 ? targets : "all",
+          ...run,
+          after: after.filter(
+            (item) => targets.length === 0 || targets.includes(item.id),
+          ),
+        },
+        run.exit_code !== 0,
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  async getMagentoCacheTypes(absoluteProjectPath) {
+    return await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-fpm",
+      MAGENTO_CACHE_TYPES_PHP,
+      { description: "read the cache types" },
+    );
+  }
+
+  async manageMagentoIndexers(args) {
+    const { project_path, action = "status", indexers = [], mode } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (!["status", "reindex", "set_mode"].includes(action)) {
+      throw new Error(
+        `Unknown action: ${action} (use status, reindex or set_mode)`,
+      );
+    }
+    if (action === "set_mode" && !["realtime", "schedule"].includes(mode)) {
+      throw new Error("mode must be realtime or schedule for set_mode");
+    }
+
+    try {
+      const before = await this.getMagentoIndexers(absoluteProjectPath);
+      const unknown = indexers.filter(
+        (id) => !before.some((indexer) => indexer.id === id),
+      );
+      if (unknown.length > 0) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            error: `Unknown indexers: ${unknown.join(", ")}`,
+            available: before.map((indexer) => indexer.id),
+          },
+          true,
+        );
+      }
+
+      const select = (list) =>
+        indexers.length > 0
+          ? list.filter((indexer) => indexers.includes(indexer.id))
+          : list;
+
+      if (action === "status") {
+        const selected = select(before);
+        return this.createJsonResponse({
+          success: true,
+          action,
+          reindex_required: selected
+            .filter((indexer) => indexer.status !== "valid")
+            .map((indexer) => indexer.id),
+          backlog: selected.reduce(
+            (total, indexer) => total + (indexer.backlog || 0),
+            0,
+          ),
+          indexers: selected,
+        });
+      }
+
+      // Reindexing without indexers targets the invalid ones
+      const invalid = before
+        .filter((indexer) => indexer.status === "invalid")
+        .map((indexer) => indexer.id);
+      const targets =
+        indexers.length > 0
+          ? indexers
+          : action === "reindex" && invalid.length > 0
+            ? invalid
+            : [];
+
+      const run = await this.runMagentoAction(
+        absoluteProjectPath,
+        action === "reindex"
+          ? ["indexer:reindex", ...targets]
+          : ["indexer:set-mode", mode, ...targets],
+      );
+      const after = await this.getMagentoIndexers(absoluteProjectPath);
+
+      return this.createJsonResponse(
+        {
+          success: run.exit_code === 0,
+          action,
+          indexers: targets.length > 0 ? targets : "all",
+          ...(mode ? { mode } : {}),
+          ...run,
+          after:
+            targets.length > 0
+              ? after.filter((indexer) => targets.includes(indexer.id))
+              : after,
+        },
+        run.exit_code !== 0,
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  /**
+   * Indexers from Magento's indexer configuration, with their state from
+   * indexer_state and, for indexers updated by schedule, the state of their
+   * mview view and the number of changed entities waiting in its changelog
+   * table.
+   */
+  async getMagentoIndexers(absoluteProjectPath) {
+    const indexers = await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-fpm",
+      MAGENTO_INDEXERS_PHP,
+      { description: "read the indexer configuration" },
+    );
+
+    const database = this.getDefaultDatabase(absoluteProjectPath);
+    const state = await this.executeSql(absoluteProjectPath, {
+      query: [
+        "SELECT indexer_id, status, updated FROM indexer_state",
+        "SELECT view_id, mode, status, updated, version_id FROM mview_state",
+        "SELECT TABLE_NAME AS name FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME LIKE '%\\_cl'",
+      ].join("; "),
+      database,
+      readOnly: true,
+    });
+    if (state.error) {
+      throw new Error(`Unable to read indexer state: ${state.error.message}`);
+    }
+    const [indexerRows, viewRows, changelogRows] = state.statements;
+    const changelogs = new Set(changelogRows.rows.map((row) => row.name));
+
+    const scheduled = viewRows.rows.filter(
+      (row) =>
+        row.mode === "enabled" &&
+        /^\w+$/.test(row.view_id) &&
+        changelogs.has(`${row.view_id}_cl`),
+    );
+    const backlog = new Map();
+    if (scheduled.length > 0) {
+      const counts = await this.executeSql(absoluteProjectPath, {
+        query: scheduled
+          .map(
+            (row) =>
+              `SELECT '${row.view_id}' AS view_id, COUNT(DISTINCT entity_id) AS backlog FROM \`${row.view_id}_cl\` WHERE version_id > ${Number(row.version_id) || 0}`,
+          )
+          .join(" UNION ALL "),
+        database,
+        readOnly: true,
+      });
+      if (counts.error) {
+        throw new Error(
+          `Unable to read changelog backlog: ${counts.error.message}`,
+        );
+      }
+      for (const row of counts.statements[0].rows) {
+        backlog.set(row.view_id, Number(row.backlog));
+      }
+    }
+
+    const statusLabels = {
+      valid: "Ready",
+      invalid: "Reindex required",
+      working: "Processing",
+    };
+    return indexers.map(({ id, title, view_id }) => {
+      const indexerState = indexerRows.rows.find(
+        (row) => row.indexer_id === id,
+      );
+      const view = viewRows.rows.find((row) => row.view_id === view_id);
+      const status = indexerState?.status || "invalid";
+      const isScheduled = view?.mode === "enabled";
+      return {
+        id,
+        title,
+        status,
+        status_label: statusLabels[status] || status,
+        updated: indexerState?.updated || null,
+        mode: isScheduled ? "schedule" : "realtime",
+        mode_label: isScheduled ? "Update by Schedule" : "Update on Save",
+        ...(isScheduled
+          ? {
+              schedule_status: view.status,
+              schedule_updated: view.updated,
+              version_id: view.version_id,
+              backlog: backlog.get(view_id) ?? null,
+            }
+          : {}),
+      };
+    });
+  }
+
+  async manageMagentoCron(args) {
+    const {
+      project_path,
+      action = "status",
+      group,
+      job_code,
+      since = "1d",
+      limit = 20,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (!["status", "run"].includes(action)) {
+      throw new Error(`Unknown action: ${action} (use status or run)`);
+    }
+
+    try {
+      if (action === "run") {
+        if (!group || !/^[\w-]+$/.test(group)) {
+          throw new Error("group is required for run, e.g. default or index");
+        }
+        const run = await this.runMagentoAction(absoluteProjectPath, [
+          "cron:run",
+          `--group=${group}`,
+        ]);
+        return this.createJsonResponse(
+          {
+            success: run.exit_code === 0,
+            action,
+            group,
+            ...run,
+          },
+          run.exit_code !== 0,
+        );
+      }
+
+      const sinceDate = this.parseSince(since);
+      // cron_schedule holds UTC times as 'YYYY-MM-DD HH:MM:SS'
+      const params = {
+        since: sinceDate.toISOString().slice(0, 19).replace("T", " "),
+        job_code: job_code || null,
+      };
+      const filter =
+        "scheduled_at >= :since AND (:job_code IS NULL OR job_code = :job_code)";
+      const result = await this.executeSql(absoluteProjectPath, {
+        query: [
+          `SELECT status, COUNT(*) AS count FROM cron_schedule WHERE ${filter} GROUP BY status`,
+          `SELECT schedule_id, job_code, status, messages, scheduled_at, executed_at, finished_at FROM cron_schedule WHERE ${filter} AND status IN ('error', 'missed') ORDER BY scheduled_at DESC LIMIT ${Math.max(1, Number(limit) || 20)}`,
+          `SELECT job_code, COUNT(*) AS count, MIN(scheduled_at) AS oldest FROM cron_schedule WHERE ${filter} AND status = 'pending' AND scheduled_at < UTC_TIMESTAMP() - INTERVAL 15 MINUTE GROUP BY job_code ORDER BY oldest`,
+          `SELECT schedule_id, job_code, executed_at, TIMESTAMPDIFF(MINUTE, executed_at, UTC_TIMESTAMP()) AS running_minutes FROM cron_schedule WHERE status = 'running' AND (:job_code IS NULL OR job_code = :job_code) ORDER BY executed_at`,
+          "SELECT MAX(executed_at) AS last_executed, TIMESTAMPDIFF(MINUTE, MAX(executed_at), UTC_TIMESTAMP()) AS minutes_ago FROM cron_schedule",
+        ].join("; "),
+        params,
+        database: this.getDefaultDatabase(absoluteProjectPath),
+        readOnly: true,
+      });
+      if (result.error) {
+        throw new Error(
+          `Unable to read cron_schedule: ${result.error.message}`,
+        );
+      }
+
+      const [countRows, problemRows, overdueRows, runningRows, lastRows] =
+        result.statements;
+      const last = lastRows.rows[0];
+      return this.createJsonResponse({
+        success: true,
+        action,
+        since: sinceDate.toISOString(),
+        ...(job_code ? { job_code } : {}),
+        last_executed: last.last_executed,
+        // Magento schedules jobs every minute while cron runs
+        cron_active: last.minutes_ago !== null && Number(last.minutes_ago) <= 5,
+        counts: Object.fromEntries(
+          countRows.rows.map((row) => [row.status, Number(row.count)]),
+        ),
+        failed: problemRows.rows.map((row) => ({
+          ...row,
+          messages: row.messages ? row.messages.trim() : null,
+        })),
+        overdue: overdueRows.rows.map((row) => ({
+          ...row,
+          count: Number(row.count),
+        })),
+        running: runningRows.rows.map((row) => ({
+          ...row,
+          running_minutes: Number(row.running_minutes),
+        })),
+      });
+    } catch (error) {
+      return this.createErrorResponse(error, { action });
+    }
+  }
+
+  async listMagentoModules(args) {
+    const { project_path, filter, status = "all" } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    if (!["all", "enabled", "disabled", "needs_upgrade"].includes(status)) {
+      throw new Error(
+        `Unknown status: ${status} (use all, enabled, disabled or needs_upgrade)`,
+      );
+    }
+
+    try {
+      const code = await this.runContainerPhpJson(
+        absoluteProjectPath,
+        "php-fpm",
+        MAGENTO_MODULES_PHP,
+        { description: "read the module registrations" },
+      );
+
+      const setupModule = await this.executeSql(absoluteProjectPath, {
+        query: "SELECT module, schema_version, data_version FROM setup_module",
+        database: this.getDefaultDatabase(absoluteProjectPath),
+        readOnly: true,
+      });
+      if (setupModule.error) {
+        throw new Error(
+          `Unable to read setup_module: ${setupModule.error.message}`,
+        );
+      }
+      const installed = new Map(
+        setupModule.statements[0].rows.map((row) => [row.module, row]),
+      );
+
+      // setup:db:status knows about declarative schema and patches too
+      const dbStatus = await this.executeMagentoCommand(absoluteProjectPath, [
+        "setup:db:status",
+      ]);
+
+      const names = [
+        ...new Set([...Object.keys(code.config), ...Object.keys(code.modules)]),
+      ].sort();
+      const modules = names.map((name) => {
+        const registered = code.modules[name];
+        const configured = Object.hasOwn(code.config, name);
+        const enabled = configured && Number(code.config[name]) === 1;
+        const row = installed.get(name);
+        const reasons = [];
+        const issues = [];
+
+        if (!registered) {
+          issues.push("listed in app/etc/config.php but its code is missing");
+        } else if (!configured) {
+          reasons.push("not registered in app/etc/config.php yet");
+        } else if (enabled && registered.setup_version) {
+          for (const column of ["schema_version", "data_version"]) {
+            const label = column.replace("_version", "");
+            if (!row?.[column]) {
+              reasons.push(`${label} not installed`);
+            } else if (
+              compareVersions(row[column], registered.setup_version) < 0
+            ) {
+              reasons.push(
+                `${label} ${row[column]} -> ${registered.setup_version}`,
+              );
+            } else if (
+              compareVersions(row[column], registered.setup_version) > 0
+            ) {
+              issues.push(
+                `${label} version ${row[column]} in the database is newer than setup_version ${registered.setup_version}`,
+              );
+            }
+          }
+        }
+
+        return {
+          name,
+          enabled,
+          package: registered?.package || null,
+          version: registered?.version || null,
+          path: registered?.path || null,
+          setup_version: registered?.setup_version || null,
+          schema_version: row?.schema_version || null,
+          data_version: row?.data_version || null,
+          needs_upgrade: reasons.length > 0 || !registered,
+          ...(reasons.length > 0 ? { reasons } : {}),
+          ...(issues.length > 0 ? { issues } : {}),
+        };
+      });
+
+      const needle = filter?.toLowerCase();
+      const selected = modules.filter(
+        (module) =>
+          (!needle ||
+            module.name.toLowerCase().includes(needle) ||
+            module.package?.toLowerCase().includes(needle)) &&
+          (status === "all" ||
+            (status === "enabled" && module.enabled) ||
+            (status === "disabled" && !module.enabled) ||
+            (status === "needs_upgrade" && module.needs_upgrade)),
+      );
+
+      // Exit code 2 means the database needs setup:upgrade
+      const dbMessages = `${dbStatus.stdout}${dbStatus.stderr}`
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+      return this.createJsonResponse({
+        success: true,
+        summary: {
+          total: modules.length,
+          enabled: modules.filter((module) => module.enabled).length,
+          disabled: modules.filter((module) => !module.enabled).length,
+          needs_upgrade: modules.filter((module) => module.needs_upgrade)
+            .length,
+          with_issues: modules.filter((module) => module.issues).length,
+        },
+        setup_upgrade_required:
+          dbStatus.code === 2 || modules.some((module) => module.needs_upgrade),
+        db_status: {
+          exit_code: dbStatus.code,
+          up_to_date: dbStatus.code === 0,
+          messages: dbMessages.slice(0, 50),
+        },
+        modules: selected,
+      });
+    } catch (error) {
+      return this.createErrorResponse(error);
+    }
+  }
+
+  /**
+   * Report the deploy mode and build state, optionally switching the mode
+   * and compiling code and static content. Phases stop at the first failure;
+   * each reports a summary of its output instead of the output itself.
+   */
+  async manageDeployMode(args) {
+    const {
+      project_path,
+      mode,
+      locales = [],
+      themes = [],
+      areas = [],
+      jobs,
+    } = args;
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const compile = args.compile ?? mode === "production";
+    const staticContent = args.static_content ?? mode === "production";
+
+    if (mode && !["developer", "production", "default"].includes(mode)) {
+      throw new Error(
+        `Unknown mode: ${mode} (use developer, production or default)`,
+      );
+    }
+    const invalidLocales = locales.filter(
+      (locale) => !/^[a-z]{2,3}(_[A-Z][a-z]{3})?_[A-Z]{2}$/.test(locale),
+    );
+    if (invalidLocales.length > 0) {
+      throw new Error(
+        `Invalid locales: ${invalidLocales.join(", ")} (use codes like en_US)`,
+      );
+    }
+    const invalidThemes = themes.filter(
+      (theme) => !/^[\w-]+\/[\w-]+$/.test(theme),
+    );
+    if (invalidThemes.length > 0) {
+      throw new Error(
+        `Invalid themes: ${invalidThemes.join(", ")} (use Vendor/theme, e.g. Magento/luma)`,
+      );
+    }
+    const invalidAreas = areas.filter(
+      (area) => !["frontend", "adminhtml"].includes(area),
+    );
+    if (invalidAreas.length > 0) {
+      throw new Error(
+        `Invalid areas: ${invalidAreas.join(", ")} (use frontend or adminhtml)`,
+      );
+    }
+    if (jobs !== undefined && !(Number.isInteger(jobs) && jobs > 0)) {
+      throw new Error("jobs must be a positive integer");
+    }
+
+    try {
+      const before = await this.getDeployState(absoluteProjectPath);
+      const targetMode = mode || before.mode;
+
+      const phases = [
+        {
+          name: "set_mode",
+          skip: mode ? null : "no mode requested",
+          // Compilation runs as its own phases below
+          args: ["deploy:mode:set", mode, "--skip-compilation"],
+        },
+        {
+          name: "compile",
+          skip: compile ? null : "compile not requested",
+          args: ["setup:di:compile"],
+        },
+        {
+          name: "static_content",
+          skip: staticContent ? null : "static_content not requested",
+          args: [
+            "setup:static-content:deploy",
+            // Magento refuses to deploy outside production mode without -f
+            ...(targetMode === "production" ? [] : ["-f"]),
+            ...areas.map((area) => `--area=${area}`),
+            ...themes.map((theme) => `--theme=${theme}`),
+            ...(jobs ? [`--jobs=${jobs}`] : []),
+            ...locales,
+          ],
+        },
+      ];
+
+      const results = [];
+      let failed = null;
+      for (const phase of phases) {
+        if (failed) {
+          results.push({ phase: phase.name, status: "not_run" });
+          continue;
+        }
+        if (phase.skip) {
+          results.push({
+            phase: phase.name,
+            status: "skipped",
+            detail: phase.skip,
+          });
+          continue;
+        }
+
+        const started = Date.now();
+        const result = await this.executeLoggedCommand(
+          "warden",
+          [
+            "env",
+            "exec",
+            "-T",
+            "php-fpm",
+            "php",
+            "bin/magento",
+            phase.args[0],
+            "--no-interaction",
+            ...phase.args.slice(1),
+          ],
+          absoluteProjectPath,
+        );
+        const entry = {
+          phase: phase.name,
+          status: result.code === 0 ? "succeeded" : "failed",
+          command: formatCommand(["bin/magento", ...phase.args]),
+          exit_code: result.code,
+          duration_seconds: Math.round((Date.now() - started) / 1000),
+          log_id: result.logId,
+          ...this.summarizeDeployPhase(
+            phase.name,
+            `${result.stdout}\n${result.stderr}`,
+          ),
+        };
+        if (result.code !== 0) {
+          failed = entry;
+        }
+        results.push(entry);
+      }
+
+      const ranPhases = results.some((entry) => entry.log_id);
+      return this.createJsonResponse(
+        {
+          success: !failed,
+          ...(ranPhases ? { phases: results } : {}),
+          ...(failed
+            ? {
+                error: `Phase ${failed.phase} failed with exit code ${failed.exit_code}; warden_command_log shows its full output`,
+              }
+            : {}),
+          ...(ranPhases
+            ? await this.getDeployState(absoluteProjectPath)
+            : before),
+        },
+        Boolean(failed),
+      );
+    } catch (error) {
+      return this.createErrorResponse(error);
+    }
+  }
+
+  /**
+   * Deploy mode as bin/magento reports it, and what setup:di:compile and
+   * setup:static-content:deploy left on disk.
+   */
+  async getDeployState(absoluteProjectPath) {
+    const show = await this.executeMagentoCommand(absoluteProjectPath, [
+      "deploy:mode:show",
+    ]);
+    const modeMatch = show.stdout.match(/Current application mode: (\w+)/);
+    if (show.code !== 0 || !modeMatch) {
+      throw new Error(
+        `bin/magento deploy:mode:show failed: ${(show.stderr || show.stdout).trim()}`,
+      );
+    }
+
+    const state = await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-fpm",
+      MAGENTO_DEPLOY_STATE_PHP,
+      { description: "read generated/ and pub/static in php-fpm" },
+    );
+
+    return { mode: modeMatch[1], ...state };
+  }
+
+  /**
+   * Condense the output of a deploy phase: the steps setup:di:compile went
+   * through, the themes and file counts of setup:static-content:deploy, and
+   * the error lines of either.
+   */
+  summarizeDeployPhase(phase, output) {
+    // Progress bars redraw with carriage returns and colors
+    const lines = output
+      .replace(/\x1b\[[0-9;]*[A-Za-z]/g, "")
+      .split(/\r\n|\r|\n/);
+
+    const errors = [];
+    const addError = (line) => {
+      const text = line.trim();
+      if (text && !errors.includes(text) && errors.length < 20) {
+        errors.push(text);
+      }
+    };
+    let block = null;
+    for (const line of lines) {
+      // Symfony prints exceptions as "In File.php line 12:" and an indented
+      // message; setup:di:compile lists "Errors during compilation:"
+      if (/^In \S+ line \d+:$/.test(line.trim())) {
+        block = "exception";
+        continue;
+      }
+      if (/^Errors during compilation:/i.test(line.trim())) {
+        block = "compilation";
+        addError(line);
+        continue;
+      }
+      if (block && /^\s+\S/.test(line)) {
+        addError(line);
+        continue;
+      }
+      if (block && line.trim() && !/^\s/.test(line)) {
+        block = null;
+      }
+      if (
+        /(^|\b)(fatal error|parse error|exception|error:|compilation from source)/i.test(
+          line,
+        )
+      ) {
+        addError(line);
+      }
+    }
+
+    if (phase === "compile") {
+      const steps = [];
+      for (const line of lines) {
+        const match = line.trim().match(/^(.+?)\.\.\.\s*\d+\/\d+/);
+        if (match && !steps.includes(match[1])) {
+          steps.push(match[1]);
+        }
+      }
+      return {
+        summary: {
+          steps,
+          completed: lines.some((line) =>
+            /Generated code and dependency injection configuration successfully/.test(
+              line,
+            ),
+          ),
+        },
+        ...(errors.length > 0 ? { errors } : {}),
+      };
+    }
+
+    if (phase === "static_content") {
+      // "frontend/Magento/luma/en_US   2553/2553   ===== 100%", redrawn as
+      // the deployment progresses; the last line per theme wins
+      const themes = new Map();
+      for (const line of lines) {
+        const match = line
+          .trim()
+          .match(
+            /^(frontend|adminhtml|base)\/([\w-]+\/[\w-]+)\/(\w+)\s+(\d+)\/(\d+)/,
+          );
+        if (match) {
+          const [, area, theme, locale, done, total] = match;
+          themes.set(`${area}/${theme}/${locale}`, {
+            area,
+            theme,
+            locale,
+            files: Number(done),
+            total: Number(total),
+          });
+        }
+      }
+      const strategy = output.match(/Deploy using (\w+) strategy/);
+      const time = output.match(/Execution time:\s*([\d.]+)/);
+      return {
+        summary: {
+          strategy: strategy ? strategy[1] : null,
+          themes: [...themes.values()],
+          files: [...themes.values()].reduce(
+            (sum, theme) => sum + theme.files,
+            0,
+          ),
+          execution_seconds: time ? Number(time[1]) : null,
+        },
+        ...(errors.length > 0 ? { errors } : {}),
+      };
+    }
+
+    const enabled = output.match(/Enabled (\w+) mode/);
+    return {
+      summary: {
+        message: enabled
+          ? enabled[0]
+          : lines.map((line) => line.trim()).filter(Boolean)[0] || null,
+      },
+      ...(errors.length > 0 ? { errors } : {}),
+    };
+  }
+
+  /**
+   * Run a changing bin/magento command for the structured Magento tools and
+   * describe the run for their JSON result.
+   */
+  async runMagentoAction(absoluteProjectPath, magentoArgs) {
+    const [command, ...rest] = magentoArgs;
+    const wardenCommand = [
+      "env",
+      "exec",
+      "-T",
+      "php-fpm",
+      "php",
+      "bin/magento",
+      command,
+      "--no-interaction",
+      ...rest,
+    ];
+    const result = await this.executeLoggedCommand(
+      "warden",
+      wardenCommand,
+      absoluteProjectPath,
+    );
+    return {
+      command: formatCommand(["bin/magento", ...magentoArgs]),
+      exit_code: result.code,
+      log_id: result.logId,
+      output: this.truncateOutput(
+        `${result.stdout}${result.stderr}`.trim(),
+        result.logId,
+      ),
+    };
+  }
+
+  async executeMagentoCommand(absoluteProjectPath, magentoArgs) {
+    return await this.executeCommand(
+      "warden",
+      ["env", "exec", "-T", "php-fpm", "php", "bin/magento", ...magentoArgs],
+      absoluteProjectPath,
+    );
+  }
+
+  /**
+   * Run one of the PHP scripts above with `php -r` in a container of the
+   * project and parse the JSON it prints on its last line (bootstrap notices
+   * may precede it). `description` completes "Unable to ..." in the error,
+   * which carries the command's output.
+   */
+  async runContainerPhpJson(
+    absoluteProjectPath,
+    service,
+    script,
+    { args = [], phpOptions = [], description },
+  ) {
+    const result = await this.executeCommand(
+      "warden",
+      [
+        "env",
+        "exec",
+        "-T",
+        service,
+        "php",
+        ...phpOptions,
+        "-r",
+        script,
+        ...args,
+      ],
+      absoluteProjectPath,
+    );
+    try {
+      return JSON.parse(result.stdout.trim().split("\n").pop());
+    } catch {
+      const error = new Error(
+        `Unable to ${description} (exit code ${result.code}): ${(result.stderr || result.stdout).trim().split("\n").slice(-5).join("\n")}`,
+      );
+      error.stdout = result.stdout;
+      error.stderr = result.stderr;
+      throw error;
+    }
+  }
+
+  async manageMagentoConfig(args) {
+    const {
+      project_path,
+      action = "get",
+      path,
+      value,
+      scope: requestedScope,
+      scope_code,
+      lock,
+      flush_cache = false,
+    } = args;
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const scope = this.normalizeConfigScope(requestedScope);
+
+    if (!["list", "get", "set"].includes(action)) {
+      throw new Error(`Unknown action: ${action} (use list, get or set)`);
+    }
+    if (action !== "list" && !path) {
+      throw new Error(`path is required for ${action}`);
+    }
+    if (action === "set" && value === undefined) {
+      throw new Error("value is required for set");
+    }
+
+    try {
+      const sources = await this.loadConfigSources(
+        absoluteProjectPath,
+        action === "list" ? path || "" : path,
+        action === "list",
+      );
+
+      if (action === "list") {
+        const entries = sources.entries.filter(
+          (entry) => !requestedScope || entry.scope === scope,
+        );
+        return this.createJsonResponse({
+          success: true,
+          action,
+          prefix: path || "",
+          count: entries.length,
+          truncated: sources.truncated,
+          entries,
+        });
+      }
+
+      const target = this.resolveConfigScope(sources.scopes, scope, scope_code);
+
+      if (action === "get") {
+        return this.createJsonResponse({
+          success: true,
+          action,
+          path,
+          ...this.resolveEffectiveConfig(sources, target, path),
+        });
+      }
+
+      const lockedBy = sources.entries.find(
+        (entry) =>
+          entry.source !== "database" &&
+          entry.path === path &&
+          entry.scope === target.scope &&
+          entry.scope_code === target.scope_code,
+      );
+      if (lockedBy && !lock) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            action,
+            path,
+            scope: target.scope,
+            scope_code: target.scope_code,
+            locked_by: lockedBy.source,
+            error: `${path} is locked in app/etc/${lockedBy.source} for this scope. Pass lock: "env" or "config" to change the locked value.`,
+          },
+          true,
+        );
+      }
+
+      const setArgs = ["config:set"];
+      if (target.scope !== "default") {
+        setArgs.push(
+          `--scope=${target.scope}`,
+          `--scope-code=${target.scope_code}`,
+        );
+      }
+      if (lock) {
+        setArgs.push(lock === "config" ? "--lock-config" : "--lock-env");
+      }
+      setArgs.push(path, value);
+
+      const result = await this.executeMagentoCommand(
+        absoluteProjectPath,
+        setArgs,
+      );
+      if (result.code !== 0) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            action,
+            path,
+            scope: target.scope,
+            scope_code: target.scope_code,
+            command: formatCommand(["bin/magento", ...setArgs]),
+            exit_code: result.code,
+            error: (result.stderr || result.stdout).trim(),
+          },
+          true,
+        );
+      }
+
+      let cacheCleaned = false;
+      if (flush_cache) {
+        const cacheResult = await this.executeMagentoCommand(
+          absoluteProjectPath,
+          ["cache:clean", "config"],
+        );
+        cacheCleaned = cacheResult.code === 0;
+      }
+
+      const updated = await this.loadConfigSources(absoluteProjectPath, path);
+      return this.createJsonResponse({
+        success: true,
+        action,
+        path,
+        output: result.stdout.trim(),
+        cache_cleaned: cacheCleaned,
+        ...this.resolveEffectiveConfig(updated, target, path),
+      });
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          action,
+          path,
+          error: error.message,
+          raw_errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  normalizeConfigScope(scope) {
+    const aliases = {
+      website: "websites",
+      websites: "websites",
+      store: "stores",
+      stores: "stores",
+      default: "default",
+    };
+    if (!scope) {
+      return "default";
+    }
+    if (!aliases[scope]) {
+      throw new Error(
+        `Unknown scope: ${scope} (use default, websites or stores)`,
+      );
+    }
+    return aliases[scope];
+  }
+
+  /**
+   * Collect configuration values for a path (or every path below a prefix)
+   * from core_config_data and from the system sections of app/etc/env.php
+   * and app/etc/config.php, together with the website and store codes.
+   */
+  async loadConfigSources(absoluteProjectPath, path, isPrefix = false) {
+    const sql = await this.executeSql(absoluteProjectPath, {
+      query: [
+        "SELECT website_id, code FROM store_website",
+        "SELECT s.store_id, s.code, w.code AS website_code FROM store s JOIN store_website w ON w.website_id = s.website_id",
+        `SELECT scope, scope_id, path, value FROM core_config_data WHERE ${isPrefix ? "path LIKE ?" : "path = ?"} ORDER BY path, scope, scope_id`,
+      ].join("; "),
+      params: [isPrefix ? `${path.replace(/[\\%_]/g, "\\$&")}%` : path],
+      maxRows: 1000,
+      readOnly: true,
+    });
+    if (sql.error) {
+      throw new Error(`Unable to read configuration: ${sql.error.message}`);
+    }
+
+    const [websiteRows, storeRows, configRows] = sql.statements;
+    const scopes = {
+      websites: websiteRows.rows.map((row) => ({
+        id: row.website_id,
+        code: row.code,
+      })),
+      stores: storeRows.rows.map((row) => ({
+        id: row.store_id,
+        code: row.code,
+        website_code: row.website_code,
+      })),
+    };
+
+    const codeFor = (scopeType, scopeId) => {
+      if (scopeType === "default") {
+        return null;
+      }
+      const match = scopes[scopeType].find((entry) => entry.id === scopeId);
+      return match ? match.code : String(scopeId);
+    };
+
+    const entries = configRows.rows.map((row) => ({
+      path: row.path,
+      scope: row.scope,
+      scope_id: row.scope_id,
+      scope_code: codeFor(row.scope, row.scope_id),
+      value: row.value,
+      source: "database",
+    }));
+
+    const system = await this.runContainerPhpJson(
+      absoluteProjectPath,
+      "php-fpm",
+      APP_ETC_SYSTEM_CONFIG_PHP,
+      { description: "read app/etc/config.php and app/etc/env.php" },
+    );
+
+    for (const source of ["config.php", "env.php"]) {
+      for (const [scopeType, scopeData] of Object.entries(system[source])) {
+        const scoped =
+          scopeType === "default"
+            ? [[null, scopeData]]
+            : Object.entries(scopeData || {});
+        for (const [scopeCode, values] of scoped) {
+          for (const [entryPath, entryValue] of this.flattenConfig(values)) {
+            if (isPrefix ? entryPath.startsWith(path) : entryPath === path) {
+              const scopeEntry =
+                scopeType === "default"
+                  ? null
+                  : (scopes[scopeType] || []).find(
+                      (entry) => entry.code === scopeCode,
+                    );
+              entries.push({
+                path: entryPath,
+                scope: scopeType,
+                scope_id:
+                  scopeType === "default" ? 0 : (scopeEntry?.id ?? null),
+                scope_code: scopeCode,
+                value: entryValue,
+                source,
+              });
+            }
+          }
+        }
+      }
+    }
+
+    return {
+      scopes,
+      entries,
+      truncated: configRows.truncated,
+    };
+  }
+
+  flattenConfig(values, prefix = "") {
+    const flattened = [];
+    for (const [key, value] of Object.entries(values || {})) {
+      const path = prefix ? `${prefix}/${key}` : key;
+      if (
+        value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value)
+      ) {
+        flattened.push(...this.flattenConfig(value, path));
+      } else {
+        flattened.push([path, value]);
+      }
+    }
+    return flattened;
+  }
+
+  resolveConfigScope(scopes, scope, scopeCode) {
+    if (scope === "default") {
+      return { scope, scope_code: null, scope_id: 0 };
+    }
+
+    if (scopeCode === undefined || scopeCode === "") {
+      throw new Error(`scope_code is required for the ${scope} scope`);
+    }
+
+    const match = scopes[scope].find(
+      (entry) =>
+        entry.code === String(scopeCode) ||
+        String(entry.id) === String(scopeCode),
+    );
+    if (!match) {
+      throw new Error(
+        `Unknown ${scope === "stores" ? "store" : "website"}: ${scopeCode} (available: ${scopes[scope].map((entry) => entry.code).join(", ")})`,
+      );
+    }
+
+    return {
+      scope,
+      scope_code: match.code,
+      scope_id: match.id,
+      ...(scope === "stores" ? { website_code: match.website_code } : {}),
+    };
+  }
+
+  /**
+   * Walk the Magento fallback chain (store, website, default). At every level
+   * env.php wins over config.php, which wins over the database.
+   */
+  resolveEffectiveConfig(sources, target, path) {
+    const chain = [{ scope: target.scope, scope_code: target.scope_code }];
+    if (target.scope === "stores") {
+      chain.push({ scope: "websites", scope_code: target.website_code });
+    }
+    if (target.scope !== "default") {
+      chain.push({ scope: "default", scope_code: null });
+    }
+
+    const precedence = ["env.php", "config.php", "database"];
+    const definitions = [];
+    for (const level of chain) {
+      const matches = sources.entries
+        .filter(
+          (entry) =>
+            entry.path === path &&
+            entry.scope === level.scope &&
+            entry.scope_code === level.scope_code,
+        )
+        .sort(
+          (a, b) => precedence.indexOf(a.source) - precedence.indexOf(b.source),
+        );
+      definitions.push(...matches);
+    }
+
+    const effective = definitions[0] || null;
+    const locked = sources.entries.find(
+      (entry) =>
+        entry.path === path &&
+        entry.source !== "database" &&
+        entry.scope === target.scope &&
+        entry.scope_code === target.scope_code,
+    );
+
+    return {
+      scope: target.scope,
+      scope_code: target.scope_code,
+      scope_id: target.scope_id,
+      value: effective ? effective.value : null,
+      source: effective
+        ? {
+            source: effective.source,
+            scope: effective.scope,
+            scope_code: effective.scope_code,
+          }
+        : null,
+      locked: !!locked,
+      ...(locked ? { locked_by: locked.source } : {}),
+      ...(effective
+        ? {}
+        : {
+            note: "Not set in the database or app/etc; the module default from config.xml applies",
+          }),
+      definitions,
+    };
+  }
+
+  async runUnitTests(args) {
+    const {
+      project_path,
+      config_file = "",
+      test_path = "",
+      filter = "",
+      extra_args = [],
+      include_passed = false,
+      coverage = false,
+      coverage_paths = [],
+      coverage_diff = false,
+      coverage_min,
+    } = args;
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    // Determine which config file to use
+    let actualConfigFile = config_file;
+    if (!actualConfigFile) {
+      // Check for phpunit.xml.dist first, then fallback to phpunit.xml
+      const phpunitDistPath = join(absoluteProjectPath, "phpunit.xml.dist");
+      const phpunitPath = join(absoluteProjectPath, "phpunit.xml");
+
+      if (existsSync(phpunitDistPath)) {
+        actualConfigFile = "phpunit.xml.dist";
+      } else if (existsSync(phpunitPath)) {
+        actualConfigFile = "phpunit.xml";
+      } else {
+        throw new Error(
+          "No PHPUnit configuration file found (phpunit.xml.dist or phpunit.xml)",
+        );
+      }
+    }
+
+    const phpunitArgs = ["-c", actualConfigFile];
+    if (filter) {
+      phpunitArgs.push("--filter", filter);
+    }
+
+    let coverageOptions = {};
+    if (coverage) {
+      const driver = await this.detectCoverageDriver(absoluteProjectPath);
+      coverageOptions = {
+        service: driver.service,
+        phpArgs: driver.phpArgs,
+        coverage: {
+          driver: driver.name,
+          paths:
+            coverage_paths.length > 0
+              ? coverage_paths
+              : [this.getCoverageSourcePath(test_path)],
+          diff: coverage_diff,
+          min: coverage_min,
+        },
+      };
+    }
+
+    return await this.runPhpunit(absoluteProjectPath, {
+      phpunitArgs,
+      testPath: test_path,
+      extraArgs: extra_args,
+      includePassed: include_passed,
+      ...coverageOptions,
+      details: {
+        config_file: actualConfigFile,
+        test_path: test_path || "(all tests)",
+        ...(filter ? { filter } : {}),
+      },
+    });
+  }
+
+  /**
+   * Pick a coverage driver for a single PHPUnit run. PCOV is preferred, then
+   * Xdebug in php-fpm; Warden images only ship Xdebug in the php-debug
+   * container, which is used as a fallback. The extension is switched on with
+   * -d flags so the container configuration is left untouched.
+   */
+  async detectCoverageDriver(absoluteProjectPath) {
+    const listModules = async (service) => {
+      const result = await this.executeCommand(
+        "warden",
+        ["env", "exec", "-T", service, "php", "-m"],
+        absoluteProjectPath,
+      );
+      return result.code === 0
+        ? result.stdout.split("\n").map((line) => line.trim().toLowerCase())
+        : [];
+    };
+
+    const phpFpmModules = await listModules("php-fpm");
+    if (phpFpmModules.includes("pcov")) {
+      return {
+        name: "pcov",
+        service: "php-fpm",
+        phpArgs: [
+          "-d",
+          "pcov.enabled=1",
+          "-d",
+          `pcov.directory=${CONTAINER_WEB_ROOT}`,
+          "-d",
+          "pcov.exclude=~/vendor/~",
+        ],
+      };
+    }
+    if (phpFpmModules.includes("xdebug")) {
+      return {
+        name: "xdebug",
+        service: "php-fpm",
+        phpArgs: ["-d", "xdebug.mode=coverage"],
+      };
+    }
+    if ((await listModules("php-debug")).includes("xdebug")) {
+      return {
+        name: "xdebug",
+        service: "php-debug",
+        phpArgs: ["-d", "xdebug.mode=coverage"],
+      };
+    }
+
+    throw new Error(
+      "No coverage driver found: install PCOV or Xdebug in php-fpm, or enable the php-debug service (WARDEN_XDEBUG)",
+    );
+  }
+
+  /**
+   * Default coverage source for a test path: the module directory when the
+   * path points into a module's Test directory, otherwise app/code.
+   */
+  getCoverageSourcePath(testPath) {
+    const match = (testPath || "").match(/^(?:\.\/)?(.+?)\/Test(?:\/|$)/);
+    return match ? match[1] : "app/code";
+  }
+
+  async runIntegrationTests(args) {
+    const {
+      project_path,
+      test_path = "",
+      testsuite = "",
+      filter = "",
+      db_name = "magento_integration_tests",
+      regenerate_config = false,
+      extra_args = [],
+      include_passed = false,
+    } = args;
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const testsDir = join(absoluteProjectPath, "dev", "tests", "integration");
+    const configFile = this.findPhpunitConfig(testsDir);
+
+    try {
+      const installConfig = await this.ensureIntegrationInstallConfig(
+        absoluteProjectPath,
+        { dbName: db_name, regenerate: regenerate_config },
+      );
+
+      return await this.runPhpunit(absoluteProjectPath, {
+        ...this.buildMagentoTestSuiteOptions({
+          suiteDir: "dev/tests/integration",
+          configFile,
+          testPath: test_path,
+          testsuite,
+          filter,
+        }),
+        extraArgs: extra_args,
+        includePassed: include_passed,
+        details: {
+          config_file: `dev/tests/integration/${configFile}`,
+          install_config: installConfig,
+          test_path: test_path || "(all tests)",
+          ...(testsuite ? { testsuite } : {}),
+          ...(filter ? { filter } : {}),
+        },
+      });
+    } catch (error) {
+      return this.createJsonResponse(
+        {
+          success: false,
+          project_path: absoluteProjectPath,
+          error: error.message,
+          errors: error.stderr || "",
+        },
+        true,
+      );
+    }
+  }
+
+  async runStaticTests(args) {
+    const {
+      project_path,
+      testsuite = "",
+      test_path = "",
+      filter = "",
+      extra_args = [],
+      include_passed = false,
+    } = args;
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const configFile = this.findPhpunitConfig(
+      join(absoluteProjectPath, "dev", "tests", "static"),
+    );
+
+    return await this.runPhpunit(absoluteProjectPath, {
+      ...this.buildMagentoTestSuiteOptions({
+        suiteDir: "dev/tests/static",
+        configFile,
+        testPath: test_path,
+        testsuite,
+        filter,
+      }),
+      extraArgs: extra_args,
+      includePassed: include_passed,
+      details: {
+        config_file: `dev/tests/static/${configFile}`,
+        test_path: test_path || "(all tests)",
+        ...(testsuite ? { testsuite } : {}),
+        ...(filter ? { filter } : {}),
+      },
+    });
+  }
+
+  findPhpunitConfig(directory) {
+    if (!existsSync(directory)) {
+      throw new Error(
+        `Test directory does not exist: ${directory}. Is this a Magento 2 project?`,
+      );
+    }
+    for (const candidate of ["phpunit.xml", "phpunit.xml.dist"]) {
+      if (existsSync(join(directory, candidate))) {
+        return candidate;
+      }
+    }
+    throw new Error(
+      `No PHPUnit configuration file found in ${directory} (phpunit.xml or phpunit.xml.dist)`,
+    );
+  }
+
+  /**
+   * Magento's test suites resolve their framework files relative to the
+   * suite directory, so PHPUnit runs from there. Test paths are made absolute
+   * inside the container.
+   */
+  buildMagentoTestSuiteOptions({
+    suiteDir,
+    configFile,
+    testPath,
+    testsuite,
+    filter,
+  }) {
+    const phpunitArgs = ["-c", configFile];
+    if (testsuite) {
+      phpunitArgs.push("--testsuite", testsuite);
+    }
+    if (filter) {
+      phpunitArgs.push("--filter", filter);
+    }
+
+    return {
+      binary: `${CONTAINER_WEB_ROOT}/vendor/phpunit/phpunit/phpunit`,
+      workdir: `${CONTAINER_WEB_ROOT}/${suiteDir}`,
+      phpunitArgs,
+      testPath:
+        testPath && !testPath.startsWith("/")
+          ? `${CONTAINER_WEB_ROOT}/${testPath.replace(/^\.\//, "")}`
+          : testPath,
+    };
+  }
+
+  /**
+   * Write dev/tests/integration/etc/install-config-mysql.php for the Warden
+   * services of the project and make sure the test database exists.
+   */
+  async ensureIntegrationInstallConfig(
+    absoluteProjectPath,
+    { dbName, regenerate },
+  ) {
+    const relativePath = "dev/tests/integration/etc/install-config-mysql.php";
+    const configPath = join(absoluteProjectPath, relativePath);
+    const exists = existsSync(configPath);
+
+    if (!exists || regenerate) {
+      const env = this.readProjectEnv(absoluteProjectPath);
+      const connection = this.getDatabaseConnection(dbName);
+      const settings = {
+        "db-host": connection.host,
+        "db-user": connection.user,
+        "db-password": connection.password,
+        "db-name": dbName,
+        "db-prefix": "",
+        "backend-frontname": "backend",
+        "cleanup-database": true,
+      };
+
+      if (env.WARDEN_OPENSEARCH === "1") {
+        Object.assign(settings, {
+          "search-engine": "opensearch",
+          "opensearch-host": "opensearch",
+          "opensearch-port": 9200,
+        });
+      } else if (env.WARDEN_ELASTICSEARCH === "1") {
+        Object.assign(settings, {
+          "search-engine": "elasticsearch7",
+          "elasticsearch-host": "elasticsearch",
+          "elasticsearch-port": 9200,
+        });
+      }
+
+      if (env.WARDEN_RABBITMQ === "1") {
+        Object.assign(settings, {
+          "amqp-host": "rabbitmq",
+          "amqp-port": 5672,
+          "amqp-user": "guest",
+          "amqp-password": "guest",
+        });
+      }
+
+      const lines = Object.entries(settings).map(
+        ([key, value]) =>
+          `    '${key}' => ${typeof value === "string" ? `'${value.replace(/[\\']/g, "\\$&")}'` : JSON.stringify(value)},`,
+      );
+      for (const [key, constant] of Object.entries({
+        "admin-user": "ADMIN_NAME",
+        "admin-password": "ADMIN_PASSWORD",
+        "admin-email": "ADMIN_EMAIL",
+        "admin-firstname": "ADMIN_FIRSTNAME",
+        "admin-lastname": "ADMIN_LASTNAME",
+      })) {
+        lines.push(
+          `    '${key}' => \\Magento\\TestFramework\\Bootstrap::${constant},`,
+        );
+      }
+
+      writeFileSync(
+        configPath,
+        `<?php\n// Generated by the Warden MCP server for the Warden db service\nreturn [\n${lines.join("\n")}\n];\n`,
+      );
+    }
+
+    const result = await this.executeSql(absoluteProjectPath, {
+      query: `CREATE DATABASE IF NOT EXISTS ${this.quoteSqlIdentifier(dbName)}`,
+    });
+    if (result.error) {
+      throw new Error(
+        `Unable to create the integration test database ${dbName}: ${result.error.message}`,
+      );
+    }
+
+    return {
+      file: relativePath,
+      generated: !exists || regenerate,
+      database: dbName,
+    };
+  }
+
+  async runCodeAnalysis(args) {
+    const {
+      project_path,
+      tool,
+      paths = ["app/code"],
+      standard = "Magento2",
+      severity,
+      level,
+      config_file,
+      extra_args = [],
+    } = args;
+
+    if (!["phpcs", "phpstan"].includes(tool)) {
+      throw new Error("tool must be phpcs or phpstan");
+    }
+
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+    const binary = `vendor/bin/${tool}`;
+
+    if (!existsSync(join(absoluteProjectPath, binary))) {
+      throw new Error(
+        `${binary} not found. Install it with composer (${tool === "phpcs" ? "magento/magento-coding-standard" : "phpstan/phpstan"}) first.`,
+      );
+    }
+
+    const toolArgs = [];
+    if (tool === "phpcs") {
+      toolArgs.push(`--standard=${standard}`, "--report=json");
+      if (severity !== undefined) {
+        toolArgs.push(`--severity=${severity}`);
+      }
+    } else {
+      toolArgs.push("analyse", "--error-format=json", "--no-progress");
+      toolArgs.push("--memory-limit=-1");
+      if (level !== undefined && level !== "") {
+        toolArgs.push(`--level=${level}`);
+      }
+      if (config_file) {
+        toolArgs.push("-c", config_file);
+      }
+    }
+    toolArgs.push(...extra_args, ...paths);
+
+    const wardenCommand = [
+      "env",
+      "exec",
+      "-T",
+      "php-fpm",
+      "php",
+      binary,
+      ...toolArgs,
+    ];
+    const commandStr = formatCommand(["warden", ...wardenCommand]);
+
+    try {
+      const result = await this.executeCommand(
+        "warden",
+        wardenCommand,
+        absoluteProjectPath,
+      );
+
+      const jsonStart = result.stdout.indexOf("{");
+      let report;
+      try {
+        report = JSON.parse(result.stdout.slice(jsonStart));
+      } catch (parseError) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            exit_code: result.code,
+            tool,
+            command: commandStr,
+            error: `${tool} did not produce a JSON report; see output for details`,
+            output: this.tailLines(result.stdout, 100),
+            errors: result.stderr.trim(),
+          },
+          true,
+        );
+      }
+
+      const parsed =
+        tool === "phpcs"
+          ? this.parsePhpcsReport(report)
+          : this.parsePhpstanReport(report);
+
+      return this.createJsonResponse(
+        {
+          success: parsed.summary.errors === 0,
+          exit_code: result.code,
+          summary: parsed.summary,
+          failures: parsed.failures,
+          tool,
+          project_path: absoluteProjectPath,
+          paths,
+          command: commandStr,
+        },
+        parsed.summary.errors > 0,
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, {
+        tool,
+        command: commandStr,
+        output: error.stdout || "",
+        errors: error.stderr || "",
+      });
+    }
+  }
+
+  parsePhpcsReport(report) {
+    const failures = [];
+    for (const [file, result] of Object.entries(report.files || {})) {
+      for (const message of result.messages || []) {
+        failures.push({
+          status: message.type === "ERROR" ? "error" : "warning",
+          file: this.toProjectRelativePath(file),
+          line: message.line,
+          column: message.column,
+          rule: message.source,
+          severity: message.severity,
+          fixable: message.fixable,
+          message: message.message,
+        });
+      }
+    }
+
+    return {
+      summary: {
+        files: Object.keys(report.files || {}).length,
+        files_with_findings: new Set(failures.map((failure) => failure.file))
+          .size,
+        errors: report.totals?.errors ?? 0,
+        warnings: report.totals?.warnings ?? 0,
+        fixable: report.totals?.fixable ?? 0,
+      },
+      failures,
+    };
+  }
+
+  parsePhpstanReport(report) {
+    const failures = [];
+    for (const [file, result] of Object.entries(report.files || {})) {
+      for (const message of result.messages || []) {
+        failures.push({
+          status: "error",
+          file: this.toProjectRelativePath(file),
+          line: message.line ?? null,
+          rule: message.identifier || null,
+          message: message.message,
+          ...(message.tip ? { tip: message.tip } : {}),
+        });
+      }
+    }
+    for (const message of report.errors || []) {
+      failures.push({ status: "error", file: null, line: null, message });
+    }
+
+    return {
+      summary: {
+        files_with_findings: Object.keys(report.files || {}).length,
+        errors: failures.length,
+        warnings: 0,
+      },
+      failures,
+    };
+  }
+
+  /**
+   * Run PHPUnit in the php-fpm container with a JUnit log written to the
+   * container's /tmp, then read the log back and return it as structured
+   * results. Test paths and failure locations are reported relative to the
+   * project root.
+   */
+  async runPhpunit(
+    absoluteProjectPath,
+    {
+      phpunitArgs,
+      testPath = "",
+      extraArgs = [],
+      includePassed = false,
+      details = {},
+      binary = "vendor/phpunit/phpunit/phpunit",
+      workdir = "",
+      service = "php-fpm",
+      phpArgs = [],
+      coverage = null,
+    },
+  ) {
+    const runId = randomBytes(6).toString("hex");
+    const junitFile = `/tmp/warden-mcp-junit-${runId}.xml`;
+    const cloverFile = `/tmp/warden-mcp-clover-${runId}.xml`;
+    const wardenCommand = [
+      "env",
+      "exec",
+      "-T",
+      ...(workdir ? ["-w", workdir] : []),
+      service,
+      "php",
+      ...phpArgs,
+      binary,
+      ...phpunitArgs,
+      "--log-junit",
+      junitFile,
+    ];
+
+    if (coverage) {
+      wardenCommand.push("--coverage-clover", cloverFile);
+      for (const path of coverage.paths) {
+        wardenCommand.push("--coverage-filter", path);
+      }
+    }
+
+    if (testPath && testPath.trim() !== "") {
+      wardenCommand.push(testPath);
+    }
+
+    wardenCommand.push(...extraArgs);
+
+    const commandStr = formatCommand(["warden", ...wardenCommand]);
+
+    try {
+      const result = await this.executeLoggedCommand(
+        "warden",
+        wardenCommand,
+        absoluteProjectPath,
+      );
+      const report = await this.readContainerFile(
+        absoluteProjectPath,
+        junitFile,
+        service,
+      );
+      const clover = coverage
+        ? await this.readContainerFile(absoluteProjectPath, cloverFile, service)
+        : null;
+
+      const runInfo = {
+        project_path: absoluteProjectPath,
+        ...details,
+        command: commandStr,
+        log_id: result.logId,
+      };
+
+      if (report === null) {
+        return this.createJsonResponse(
+          {
+            success: false,
+            exit_code: result.code,
+            error:
+              "PHPUnit did not write a JUnit report; see output for details",
+            ...runInfo,
+            output: this.tailLines(result.stdout, 100),
+            errors: result.stderr.trim(),
+          },
+          true,
+        );
+      }
+
+      const parsed = this.parseJunitReport(report, includePassed);
+      const coverageReport = coverage
+        ? await this.buildCoverageReport(absoluteProjectPath, clover, coverage)
+        : null;
+
+      return this.createJsonResponse(
+        {
+          success: result.code === 0,
+          exit_code: result.code,
+          summary: parsed.summary,
+          failures: parsed.failures,
+          ...(parsed.rerunFilter ? { rerun_filter: parsed.rerunFilter } : {}),
+          ...(coverageReport ? { coverage: coverageReport } : {}),
+          ...runInfo,
+          suites: parsed.suites,
+          ...(result.stderr.trim() ? { errors: result.stderr.trim() } : {}),
+        },
+        result.code !== 0,
+      );
+    } catch (error) {
+      return this.createErrorResponse(error, {
+        project_path: absoluteProjectPath,
+        ...details,
+        command: commandStr,
+        ...(error.logId ? { log_id: error.logId } : {}),
+        output: this.truncateOutput(error.stdout || "", error.logId),
+        errors: error.stderr || "",
+      });
+    }
+  }
+
+  /**
+   * Print a file from a container (php-fpm by default) and delete it.
+   * Returns null when the file does not exist.
+   */
+  async readContainerFile(
+    absoluteProjectPath,
+    containerPath,
+    service = "php-fpm",
+  ) {
+    const result = await this.executeCommand(
+      "warden",
+      ["env", "exec", "-T", service, "cat", containerPath],
+      absoluteProjectPath,
+    );
+    await this.executeCommand(
+      "warden",
+      ["env", "exec", "-T", service, "rm", "-f", containerPath],
+      absoluteProjectPath,
+    );
+    return result.code === 0 ? result.stdout : null;
+  }
+
+  /**
+   * Summarize a Clover report for the requested source paths and, when asked,
+   * intersect uncovered statements with the lines changed in git.
+   */
+  async buildCoverageReport(absoluteProjectPath, clover, coverage) {
+    if (clover === null) {
+      return {
+        driver: coverage.driver,
+        paths: coverage.paths,
+        error:
+          "PHPUnit did not write a Clover report; check that the coverage paths contain PHP sources",
+      };
+    }
+
+    const inPaths = (file) =>
+      coverage.paths.some((path) => {
+        const prefix = path.replace(/^\.\//, "").replace(/\/+$/, "");
+        return file === prefix || file.startsWith(`${prefix}/`);
+      });
+    const files = this.parseCloverReport(clover).filter((file) =>
+      inPaths(file.file),
+    );
+
+    const statements = files.reduce((sum, file) => sum + file.statements, 0);
+    const covered = files.reduce(
+      (sum, file) => sum + file.covered_statements,
+      0,
+    );
+    const min = coverage.min;
+    const summary = {
+      files: files.length,
+      statements,
+      covered_statements: covered,
+      line_coverage: this.toCoveragePercent(covered, statements),
+    };
+    if (min !== undefined) {
+      summary.min_coverage = min;
+      summary.meets_min = summary.line_coverage >= min;
+    }
+
+    const report = {
+      driver: coverage.driver,
+      paths: coverage.paths,
+      summary,
+      files: files.map(({ lines, classes, ...file }) => ({
+        ...file,
+        ...(min !== undefined ? { below_min: file.line_coverage < min } : {}),
+        uncovered_lines: this.formatLineRanges(
+          lines.filter((line) => line.count === 0).map((line) => line.num),
+        ),
+        classes,
+      })),
+    };
+
+    if (coverage.diff) {
+      report.changed_lines = await this.buildChangedLineCoverage(
+        absoluteProjectPath,
+        files,
+      );
+    }
+
+    return report;
+  }
+
+  parseCloverReport(xml) {
+    const root = this.parseXml(xml);
+    const files = [];
+
+    const walk = (node) => {
+      for (const child of node.children) {
+        if (child.name !== "file") {
+          walk(child);
+          continue;
+        }
+
+        const lines = child.children
+          .filter(
+            (line) => line.name === "line" && line.attributes.type === "stmt",
+          )
+          .map((line) => ({
+            num: Number(line.attributes.num),
+            count: Number(line.attributes.count),
+          }));
+        const covered = lines.filter((line) => line.count > 0).length;
+        const classes = child.children
+          .filter((item) => item.name === "class")
+          .map((item) => {
+            const metrics =
+              item.children.find((metric) => metric.name === "metrics")
+                ?.attributes || {};
+            const classStatements = Number(metrics.statements || 0);
+            const classCovered = Number(metrics.coveredstatements || 0);
+            return {
+              class: item.attributes.namespace
+                ? `${item.attributes.namespace}\\${item.attributes.name.split("\\").pop()}`
+                : item.attributes.name,
+              statements: classStatements,
+              covered_statements: classCovered,
+              line_coverage: this.toCoveragePercent(
+                classCovered,
+                classStatements,
+              ),
+            };
+          });
+
+        files.push({
+          file: this.toProjectRelativePath(child.attributes.name),
+          statements: lines.length,
+          covered_statements: covered,
+          line_coverage: this.toCoveragePercent(covered, lines.length),
+          lines,
+          classes,
+        });
+      }
+    };
+    if (root) {
+      walk(root);
+    }
+
+    return files;
+  }
+
+  /**
+   * Lines changed in the git working tree (staged, unstaged and untracked)
+   * compared to HEAD, keyed by project-relative file path.
+   */
+  async getChangedLines(absoluteProjectPath) {
+    const diff = await this.executeCommand(
+      "git",
+      ["diff", "HEAD", "--unified=0", "--no-color", "--no-ext-diff"],
+      absoluteProjectPath,
+    );
+    if (diff.code !== 0) {
+      throw new Error(
+        `git diff failed: ${diff.stderr.trim() || `exit code ${diff.code}`}`,
+      );
+    }
+
+    const changed = new Map();
+    let current = null;
+    for (const line of diff.stdout.split("\n")) {
+      if (line.startsWith("+++ ")) {
+        current = line === "+++ /dev/null" ? null : line.slice(6);
+        if (current && !changed.has(current)) {
+          changed.set(current, new Set());
+        }
+        continue;
+      }
+      const hunk = line.match(/^@@ -\S+ \+(\d+)(?:,(\d+))? @@/);
+      if (hunk && current) {
+        const start = Number(hunk[1]);
+        const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+        for (let num = start; num < start + count; num++) {
+          changed.get(current).add(num);
+        }
+      }
+    }
+
+    const untracked = await this.executeCommand(
+      "git",
+      ["ls-files", "--others", "--exclude-standard"],
+      absoluteProjectPath,
+    );
+    for (const file of untracked.stdout.split("\n").filter(Boolean)) {
+      changed.set(file, "all");
+    }
+
+    return changed;
+  }
+
+  async buildChangedLineCoverage(absoluteProjectPath, files) {
+    let changed;
+    try {
+      changed = await this.getChangedLines(absoluteProjectPath);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    const results = [];
+    for (const file of files) {
+      const changedLines = changed.get(file.file);
+      if (!changedLines) {
+        continue;
+      }
+      const lines = file.lines.filter(
+        (line) => changedLines === "all" || changedLines.has(line.num),
+      );
+      if (lines.length === 0) {
+        continue;
+      }
+      const uncovered = lines
+        .filter((line) => line.count === 0)
+        .map((line) => line.num);
+      results.push({
+        file: file.file,
+        changed_statements: lines.length,
+        covered_statements: lines.length - uncovered.length,
+        line_coverage: this.toCoveragePercent(
+          lines.length - uncovered.length,
+          lines.length,
+        ),
+        uncovered_lines: this.formatLineRanges(uncovered),
+      });
+    }
+
+    const statements = results.reduce(
+      (sum, file) => sum + file.changed_statements,
+      0,
+    );
+    const covered = results.reduce(
+      (sum, file) => sum + file.covered_statements,
+      0,
+    );
+    return {
+      summary: {
+        files: results.length,
+        changed_statements: statements,
+        covered_statements: covered,
+        line_coverage: this.toCoveragePercent(covered, statements),
+      },
+      files: results,
+    };
+  }
+
+  toCoveragePercent(covered, total) {
+    return total === 0 ? 100 : Math.round((covered / total) * 10000) / 100;
+  }
+
+  /**
+   * Collapse sorted line numbers into ranges, e.g. [3, 4, 5, 9] -> ["3-5", "9"].
+   */
+  formatLineRanges(lines) {
+    const ranges = [];
+    for (const num of lines) {
+      const last = ranges[ranges.length - 1];
+      if (last && num === last[1] + 1) {
+        last[1] = num;
+      } else {
+        ranges.push([num, num]);
+      }
+    }
+    return ranges.map(([start, end]) =>
+      start === end ? String(start) : `${start}-${end}`,
+    );
+  }
+
+  parseJunitReport(xml, includePassed = false) {
+    const root = this.parseXml(xml);
+    const suites = [];
+    const testcases = [];
+
+    const walk = (node) => {
+      const cases = node.children.filter((child) => child.name === "testcase");
+      if (node.name === "testsuite" && cases.length > 0) {
+        suites.push({
+          name: node.attributes.name,
+          file: this.toProjectRelativePath(node.attributes.file),
+          tests: Number(node.attributes.tests || cases.length),
+          failures: Number(node.attributes.failures || 0),
+          errors: Number(node.attributes.errors || 0),
+          skipped: Number(node.attributes.skipped || 0),
+          time: Number(node.attributes.time || 0),
+        });
+      }
+      for (const child of node.children) {
+        if (child.name === "testcase") {
+          testcases.push(this.parseJunitTestcase(child));
+        } else if (child.name === "testsuite" || child.name === "testsuites") {
+          walk(child);
+        }
+      }
+    };
+    if (root) {
+      walk(root);
+    }
+
+    const count = (status) =>
+      testcases.filter((testcase) => testcase.status === status).length;
+    const summary = {
+      tests: testcases.length,
+      passed: count("passed"),
+      failures: count("failed"),
+      errors: count("error"),
+      skipped: count("skipped"),
+      assertions: testcases.reduce(
+        (sum, testcase) => sum + (testcase.assertions || 0),
+        0,
+      ),
+      time: Number(
+        (root && root.attributes.time) ||
+          suites.reduce((sum, suite) => sum + suite.time, 0).toFixed(6),
+      ),
+    };
+
+    const failures = testcases.filter((testcase) =>
+      ["failed", "error"].includes(testcase.status),
+    );
+    const failedNames = [...new Set(failures.map((testcase) => testcase.test))];
+    const rerunFilter = failedNames
+      .map((name) => `${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`)
+      .join("|");
+
+    return {
+      summary,
+      failures,
+      rerunFilter,
+      suites: suites.map((suite) => ({
+        ...suite,
+        ...(includePassed
+          ? {
+              testcases: testcases
+                .filter((testcase) => testcase.class === suite.name)
+                .map(({ test, status, time }) => ({ test, status, time })),
+            }
+          : {}),
+      })),
+    };
+  }
+
+  parseJunitTestcase(node) {
+    const className = node.attributes.class || node.attributes.classname || "";
+    const test = className
+      ? `${className}::${node.attributes.name}`
+      : node.attributes.name;
+    const testcase = {
+      test,
+      name: node.attributes.name,
+      class: className || null,
+      file: this.toProjectRelativePath(node.attributes.file),
+      line: node.attributes.line ? Number(node.attributes.line) : null,
+      status: "passed",
+      assertions: Number(node.attributes.assertions || 0),
+      time: Number(node.attributes.time || 0),
+    };
+
+    const problem = node.children.find((child) =>
+      ["failure", "error", "skipped"].includes(child.name),
+    );
+    if (!problem) {
+      return testcase;
+    }
+
+    testcase.status = {
+      failure: "failed",
+      error: "error",
+      skipped: "skipped",
+    }[problem.name];
+
+    const text = (problem.text || problem.attributes.message || "").trim();
+    const lines = text.split("\n");
+    const traceLines = [];
+    const messageLines = [];
+    for (const line of lines) {
+      const trace = line.trim().match(/^(\/.+?):(\d+)$/);
+      if (trace) {
+        traceLines.push({
+          file: this.toProjectRelativePath(trace[1]),
+          line: Number(trace[2]),
+        });
+      } else if (!(messageLines.length === 0 && line.startsWith(test))) {
+        messageLines.push(line);
+      }
+    }
+
+    const location =
+      traceLines.find((trace) => trace.file === testcase.file) ||
+      traceLines[0] ||
+      null;
+
+    return {
+      ...testcase,
+      type: problem.attributes.type || null,
+      message: messageLines.join("\n").trim(),
+      failure_file: location ? location.file : null,
+      failure_line: location ? location.line : null,
+      trace: traceLines,
+    };
+  }
+
+  /**
+   * Minimal XML reader for tool reports (JUnit, Checkstyle, Clover).
+   * Returns the root element as { name, attributes, children, text }.
+   */
+  parseXml(xml) {
+    const document = {
+      name: "#document",
+      attributes: {},
+      children: [],
+      text: "",
+    };
+    const stack = [document];
+    const pattern =
+      /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    for (const match of xml.matchAll(pattern)) {
+      const current = stack[stack.length - 1];
+      if (match[1] !== undefined) {
+        current.text += match[1];
+      } else if (match[2] !== undefined) {
+        if (stack.length > 1) {
+          stack.pop();
+        }
+      } else if (match[3] !== undefined) {
+        const attributes = {};
+        for (const attribute of (match[4] || "").matchAll(
+          /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+        )) {
+          attributes[attribute[1]] = this.decodeXmlEntities(
+            attribute[2] ?? attribute[3],
+          );
+        }
+        const node = { name: match[3], attributes, children: [], text: "" };
+        current.children.push(node);
+        if (!match[5]) {
+          stack.push(node);
+        }
+      } else if (match[6] !== undefined) {
+        current.text += this.decodeXmlEntities(match[6]);
+      }
+    }
+
+    return document.children[0] || null;
+  }
+
+  decodeXmlEntities(text) {
+    const named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+    return text.replace(
+      /&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi,
+      (match, entity) => {
+        if (entity[0] === "#") {
+          return String.fromCodePoint(
+            entity[1].toLowerCase() === "x"
+              ? parseInt(entity.slice(2), 16)
+              : parseInt(entity.slice(1), 10),
+          );
+        }
+        return named[entity.toLowerCase()];
+      },
+    );
+  }
+
+  /**
+   * Map a path inside the container (/var/www/html/...) to a path relative
+   * to the project root.
+   */
+  toProjectRelativePath(path) {
+    if (!path) {
+      return null;
+    }
+    return path.startsWith(`${CONTAINER_WEB_ROOT}/`)
+      ? path.slice(CONTAINER_WEB_ROOT.length + 1)
+      : path;
+  }
+
+  tailLines(text, count) {
+    const lines = (text || "").trimEnd().split("\n");
+    return lines.slice(-count).join("\n");
+  }
+
+  async runComposer(args) {
+    const { project_path, command } = args;
+
+    if (!command || command.length === 0) {
+      throw new Error("command is required");
+    }
+
+    const commandParts = parseCommandArguments(command, "command");
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    try {
+      // First, check if composer2 is available
+      const composer2CheckResult = await this.executeCommand(
+        "warden",
+        ["env", "exec", "-T", "php-fpm", "which", "composer2"],
+        absoluteProjectPath,
+      );
+
+      let composerCommand = "composer2";
+
+      if (composer2CheckResult.code !== 0) {
+        // composer2 not available, check for composer
+        const composerCheckResult = await this.executeCommand(
+          "warden",
+          ["env", "exec", "-T", "php-fpm", "which", "composer"],
+          absoluteProjectPath,
+        );
+
+        if (composerCheckResult.code !== 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Composer not found!\n\nNeither 'composer2' nor 'composer' commands are available in the php-fpm container.\n\nPlease install Composer version 2 in your container.`,
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        // Check composer version
+        const versionCheckResult = await this.executeCommand(
+          "warden",
+          ["env", "exec", "-T", "php-fpm", "composer", "--version"],
+          absoluteProjectPath,
+        );
+
+        if (versionCheckResult.code !== 0) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Failed to check Composer version!\n\nCommand: composer --version\nError: ${versionCheckResult.stderr}`,
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        // Check if it's version 2
+        const versionOutput = versionCheckResult.stdout.toLowerCase();
+        if (!versionOutput.includes("composer version 2")) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Composer version 2 is required!\n\nFound: ${versionCheckResult.stdout.trim()}\n\nPlease install or upgrade to Composer version 2.`,
+              },
+            ],
+            isError: true,
+          };
+        }
+
+        composerCommand = "composer";
+      }
+
+      const wardenCommand = [
+        "env",
+        "exec",
+        "-T",
+        "php-fpm",
+        composerCommand,
+        "--no-interaction",
+        ...commandParts,
+      ];
+
+      const result = await this.executeLoggedCommand(
+        "warden",
+        wardenCommand,
+        absoluteProjectPath,
+      );
+
+      const commandStr = formatCommand([composerCommand, ...commandParts]);
+      const isSuccess = result.code === 0;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Composer command ${isSuccess ? "completed successfully" : "failed"}!\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nExit Code: ${result.code}\nLog ID: ${result.logId}\n\nOutput:\n${this.truncateOutput(result.stdout, result.logId) || "(no output)"}\n\nErrors:\n${this.truncateOutput(result.stderr, result.logId) || "(no errors)"}`,
+          },
+        ],
+        isError: !isSuccess,
+      };
+    } catch (error) {
+      const commandStr = formatCommand(["composer", ...commandParts]);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${this.describeCommandFailure(error, "Failed to execute Composer command")}:\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nError: ${error.message}${error.logId ? `\nLog ID: ${error.logId}` : ""}\n\nOutput:\n${this.truncateOutput(error.stdout, error.logId) || "(no output)"}\n\nErrors:\n${this.truncateOutput(error.stderr, error.logId) || "(no errors)"}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  resolveProjectPath(project_path) {
+    if (!project_path) {
+      throw new Error("project_path is required");
+    }
+
+    const normalizedProjectPath = project_path.replace(/\/+$/, "");
+    const absoluteProjectPath = resolve(normalizedProjectPath);
+
+    if (!existsSync(absoluteProjectPath)) {
+      throw new Error(
+        `Project directory does not exist: ${absoluteProjectPath}`,
+      );
+    }
+
+    return absoluteProjectPath;
+  }
+
+  createJsonResponse(payload, isError = false) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(payload, null, 2),
+        },
+      ],
+      isError,
+    };
+  }
+
+  /**
+   * Result of a tool call that failed with an exception: the given fields,
+   * the error message and, for a timeout or cancellation, `aborted`.
+   */
+  createErrorResponse(error, fields = {}) {
+    return this.createJsonResponse(
+      {
+        success: false,
+        ...fields,
+        ...(error.aborted ? { aborted: error.aborted } : {}),
+        error: error.message,
+      },
+      true,
+    );
+  }
+
+  async executeWardenCommand(project_path, wardenArgs, description) {
+    const absoluteProjectPath = this.resolveProjectPath(project_path);
+
+    try {
+      const result = await this.executeLoggedCommand(
+        "warden",
+        wardenArgs,
+        absoluteProjectPath,
+      );
+
+      const commandStr = formatCommand(["warden", ...wardenArgs]);
+      const isSuccess = result.code === 0;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${description} ${isSuccess ? "completed successfully" : "failed"}!\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nExit Code: ${result.code}\nLog ID: ${result.logId}\n\nOutput:\n${this.truncateOutput(result.stdout, result.logId) || "(no output)"}\n\nErrors:\n${this.truncateOutput(result.stderr, result.logId) || "(no errors)"}`,
+          },
+        ],
+        isError: !isSuccess,
+      };
+    } catch (error) {
+      const commandStr = formatCommand(["warden", ...wardenArgs]);
+      return {
+        content: [
+          {
+            type: "text",
+            text: `${this.describeCommandFailure(error, "Failed to execute command")}:\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nError: ${error.message}${error.logId ? `\nLog ID: ${error.logId}` : ""}\n\nOutput:\n${this.truncateOutput(error.stdout, error.logId) || "(no output)"}\n\nErrors:\n${this.truncateOutput(error.stderr, error.logId) || "(no errors)"}`,
+          },
+        ],
         isError: true,
       };
     }
   }
 
-  parseEnvironmentList(output) {
-    const environments = [];
-    const lines = output.split("\n");
+  async initProject(initArgs) {
+    let args = initArgs;
+    try {
+      const inspection = initArgs.existing
+        ? this.inspectMagentoRepository(resolve(initArgs.project_path))
+        : null;
+      if (inspection) {
+        // Explicit arguments win over what the repository suggests
+        args = { ...inspection.settings };
+        for (const [key, value] of Object.entries(initArgs)) {
+          if (value !== undefined) {
+            args[key] = value;
+          }
+        }
+      }
 
-    let currentProject = null;
-    let currentPath = null;
+      // Types without a profile get no optional services by default
+      const profile = ENV_TYPE_PROFILES[
+        args.environment_type || "magento2"
+      ] || {
+        versions: {},
+        services: {},
+      };
 
-    for (const line of lines) {
-      const trimmed = line.trim();
+      const {
+        project_path,
+        project_name,
+        environment_type = "magento2",
+        magento_version,
+        strict_versions = false,
+        mysql_distribution = "mariadb",
+        node_version = "20",
+        enable_redis = Boolean(profile.services.redis),
+        enable_elasticsearch = false,
+        enable_opensearch = !enable_elasticsearch &&
+          Boolean(profile.services.opensearch),
+        elasticsearch_version = "7.17",
+        enable_varnish = Boolean(profile.services.varnish),
+        enable_rabbitmq = Boolean(profile.services.rabbitmq),
+        enable_xdebug = true,
+        install = false,
+        edition = "community",
+      } = args;
+
+      if (initArgs.existing && environment_type !== "magento2") {
+        throw new Error(
+          `existing is only supported for the magento2 environment type, not ${environment_type}`,
+        );
+      }
+      if (install && environment_type !== "magento2") {
+        throw new Error(
+          `install is only supported for the magento2 environment type, not ${environment_type}`,
+        );
+      }
+      if (install && !["community", "enterprise"].includes(edition)) {
+        throw new Error(
+          `Unknown edition: ${edition} (use community or enterprise)`,
+        );
+      }
+      if (magento_version && environment_type !== "magento2") {
+        throw new Error(
+          `magento_version only applies to the magento2 environment type, not ${environment_type}`,
+        );
+      }
+
+      const {
+        versions: {
+          php_version,
+          mysql_version,
+          composer_version,
+          opensearch_version,
+          redis_version,
+          rabbitmq_version,
+        },
+        release,
+        warnings,
+      } = this.resolveInitVersions(args, mysql_distribution, strict_versions, {
+        ...INIT_PROJECT_DEFAULTS,
+        ...profile.versions,
+      });
+
+      const absoluteProjectPath = resolve(project_path);
 
-      // Skip empty lines and headers
       if (
-        !trimmed ||
-        trimmed.includes("No running environments found") ||
-        trimmed.includes("Found the following")
+        inspection &&
+        this.readProjectEnv(absoluteProjectPath).WARDEN_ENV_NAME
       ) {
-        continue;
+        throw new Error(
+          `${absoluteProjectPath} already has a Warden .env; use warden_env_config_set to change it`,
+        );
       }
 
-      // Remove ANSI color codes for parsing
-      const cleanLine = trimmed.replace(/\x1b\[[0-9;]*m/g, "");
+      // Create project directory if it doesn't exist
+      mkdirSync(absoluteProjectPath, { recursive: true });
 
-      // Look for project name pattern: "    projectname a magento2 project"
-      const projectMatch = cleanLine.match(/^\s*(\w+)\s+a\s+\w+\s+project$/);
-      if (projectMatch) {
-        currentProject = projectMatch[1];
-        continue;
+      // Change to project directory and initialize warden environment
+      const result = await this.executeCommand(
+        "warden",
+        ["env", "init", project_name, environment_type],
+        absoluteProjectPath,
+      );
+
+      if (result.code !== 0) {
+        throw new Error(`Warden init failed: ${result.stderr}`);
       }
 
-      // Look for project directory pattern: "       Project Directory: /path/to/project"
-      const directoryMatch = cleanLine.match(/^\s*Project Directory:\s*(.+)$/);
-      if (directoryMatch && currentProject) {
-        currentPath = directoryMatch[1];
+      // Read the generated .env file and update it with custom parameters
+      const envFilePath = join(absoluteProjectPath, ".env");
 
-        // Add the environment when we have both name and path
-        environments.push({
-          name: currentProject,
-          path: currentPath,
-          raw: line,
-        });
+      if (existsSync(envFilePath)) {
+        const envContent = readFileSync(envFilePath, "utf8");
 
-        // Reset for next project
-        currentProject = null;
-        currentPath = null;
-        continue;
+        // Update environment variables in place
+        const updates = {
+          PHP_VERSION: php_version,
+          MYSQL_DISTRIBUTION: mysql_distribution,
+          MYSQL_DISTRIBUTION_VERSION: mysql_version,
+          NODE_VERSION: node_version,
+          COMPOSER_VERSION: composer_version,
+          OPENSEARCH_VERSION: opensearch_version,
+          REDIS_VERSION: redis_version,
+          WARDEN_REDIS: enable_redis ? "1" : "0",
+          WARDEN_OPENSEARCH: enable_opensearch ? "1" : "0",
+          ...(enable_elasticsearch
+            ? {
+                WARDEN_ELASTICSEARCH: "1",
+                ELASTICSEARCH_VERSION: elasticsearch_version,
+              }
+            : {}),
+          WARDEN_VARNISH: enable_varnish ? "1" : "0",
+          WARDEN_RABBITMQ: enable_rabbitmq ? "1" : "0",
+          PHP_XDEBUG_3: enable_xdebug ? "1" : "0",
+          ...(rabbitmq_version ? { RABBITMQ_VERSION: rabbitmq_version } : {}),
+        };
+
+        writeFileSync(
+          envFilePath,
+          this.applyEnvChanges(envContent, updates).content,
+        );
       }
 
-      // Skip URL lines
-      if (cleanLine.includes("Project URL:")) {
-        continue;
+      // The generated env.php needs the final .env (services, domain)
+      const inferred = inspection
+        ? [
+            ...inspection.notes,
+            this.writeWardenEnvPhp(absoluteProjectPath, inspection, release),
+          ]
+        : [];
+      const summary = `Project Path: ${absoluteProjectPath}\nProject Name: ${project_name}\nEnvironment Type: ${environment_type}\n${release ? `Magento: ${magento_version} (requirements of ${release})\n` : ""}\nConfiguration:\n- PHP Version: ${php_version}\n- MySQL: ${mysql_distribution} ${mysql_version}\n- Node.js: ${node_version}\n- Composer: ${composer_version}\n- OpenSearch: ${opensearch_version} (${enable_opensearch ? "enabled" : "disabled"})\n${enable_elasticsearch ? `- Elasticsearch: ${elasticsearch_version} (enabled)\n` : ""}- Redis: ${redis_version} (${enable_redis ? "enabled" : "disabled"})\n- Varnish: ${enable_varnish ? "enabled" : "disabled"}\n- RabbitMQ: ${rabbitmq_version ? `${rabbitmq_version} (${enable_rabbitmq ? "enabled" : "disabled"})` : enable_rabbitmq ? "enabled" : "disabled"}\n- Xdebug: ${enable_xdebug ? "enabled" : "disabled"}\n${warnings.length > 0 ? `\nWarnings:\n${warnings.map((warning) => `- ${warning}`).join("\n")}\n` : ""}${inferred.length > 0 ? `\nInferred from the repository:\n${inferred.map((note) => `- ${note}`).join("\n")}\n` : ""}`;
+
+      if (install) {
+        const installation = await this.installMagento(absoluteProjectPath, {
+          ...args,
+          release,
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: `${installation.success ? "Warden project initialized and Magento installed!" : "Warden project initialized, but the Magento installation failed"}\n\n${summary}\n${installation.text}\n\nOutput:\n${result.stdout}`,
+            },
+          ],
+          isError: !installation.success,
+        };
       }
-    }
 
-    return environments;
+      if (inspection) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Warden project initialized for the existing code!\n\n${summary}\nNext steps:\n1. Start the environment: warden_start_svc and warden_start_project\n2. Install dependencies: warden_composer with command "install"\n3. Import a database dump: warden_db_import\n4. Run setup:upgrade: warden_magento_cli with command "setup:upgrade"\n5. Your environment will be available at: ${this.getProjectBaseUrl(absoluteProjectPath)}\n\nOutput:\n${result.stdout}`,
+            },
+          ],
+          isError: false,
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Warden project initialized successfully!\n\n${summary}\nNext steps:\n1. Navigate to: ${absoluteProjectPath}\n2. Run: warden env up\n3. Your environment will be available at: https://${project_name}.test\n\nOutput:\n${result.stdout}`,
+          },
+        ],
+        isError: false,
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Failed to initialize Warden project:\n\nProject Path: ${args.project_path}\nProject Name: ${args.project_name}\nError: ${error.message}\n\nOutput:\n${error.stdout || "(no output)"}\n\nErrors:\n${error.stderr || "(no errors)"}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   }
 
   /**
-   * Helper function to get environment list for internal use by other tools
-   * Returns a simplified array of {name, path} objects
+   * Infer warden_init_project settings from an existing Magento checkout.
+   * Returns the settings, one note per inference for the result, and what
+   * app/etc/env.php has that a regenerated env.php has to keep.
    */
-  async getEnvironmentList() {
-    try {
-      const result = await this.executeCommand(
-        "warden",
-        ["status"],
-        process.cwd(),
+  inspectMagentoRepository(absoluteProjectPath) {
+    const composerJsonPath = join(absoluteProjectPath, "composer.json");
+    if (!existsSync(composerJsonPath)) {
+      throw new Error(
+        `No composer.json in ${absoluteProjectPath}; existing expects a Magento checkout`,
       );
+    }
 
-      if (result.code === 0) {
-        const environments = this.parseEnvironmentList(result.stdout);
-        return environments.map((env) => ({
-          name: env.name,
-          path: env.path,
-        }));
+    const readJson = (path) => {
+      try {
+        return JSON.parse(readFileSync(path, "utf8"));
+      } catch (error) {
+        throw new Error(`Cannot parse ${path}: ${error.message}`);
+      }
+    };
+    const readText = (path) =>
+      existsSync(path) ? readFileSync(path, "utf8") : null;
+
+    const composerJson = readJson(composerJsonPath);
+    const lockPath = join(absoluteProjectPath, "composer.lock");
+    const lock = existsSync(lockPath) ? readJson(lockPath) : null;
+    const packages = new Map(
+      [...(lock?.packages || []), ...(lock?.["packages-dev"] || [])].map(
+        (item) => [item.name, item],
+      ),
+    );
+    const configPhp = readText(join(absoluteProjectPath, "app/etc/config.php"));
+    const envPhp = readText(join(absoluteProjectPath, "app/etc/env.php"));
+    const moduleEnabled = (module) =>
+      new RegExp(`'${module}'\\s*=>\\s*1`).test(configPhp || "");
+
+    const settings = { environment_type: "magento2" };
+    const notes = [];
+
+    // Magento version: the product metapackage, else magento2-base
+    const product = ["enterprise", "community"]
+      .map((edition) => ({
+        edition,
+        name: `magento/product-${edition}-edition`,
+      }))
+      .find(({ name }) => packages.has(name) || composerJson.require?.[name]);
+    const versionSource = product
+      ? packages.get(product.name)?.version ||
+        composerJson.require[product.name]
+      : packages.get("magento/magento2-base")?.version;
+    const magentoVersion = String(versionSource || "").match(
+      /\d+\.\d+\.\d+(?:-p\d+)?/,
+    )?.[0];
+    const release = magentoVersion?.replace(/-p\d+$/, "");
+    if (product) {
+      settings.edition = product.edition;
+    }
+    if (!magentoVersion) {
+      notes.push(
+        "Magento version: not found in composer.lock or composer.json; using the default service versions",
+      );
+    } else if (MAGENTO_VERSION_MATRIX[release]) {
+      settings.magento_version = magentoVersion;
+      notes.push(
+        `Magento ${magentoVersion}${product ? ` (${product.edition})` : ""} from ${packages.size > 0 ? "composer.lock" : "composer.json"}`,
+      );
+    } else {
+      notes.push(
+        `Magento ${magentoVersion} is not in the compatibility matrix (${Object.keys(MAGENTO_VERSION_MATRIX).join(", ")}); using the default service versions`,
+      );
+    }
+
+    // PHP: a platform pin, else the root constraint, else Magento's own
+    const phpSources = [
+      [
+        composerJson.config?.platform?.php,
+        "config.platform.php in composer.json",
+      ],
+      [
+        lock?.["platform-overrides"]?.php,
+        "platform-overrides in composer.lock",
+      ],
+      [composerJson.require?.php, "composer.json"],
+      [
+        packages.get("magento/magento2-base")?.require?.php,
+        "magento/magento2-base",
+      ],
+      [
+        product && packages.get(product.name)?.require?.php,
+        product && product.name,
+      ],
+    ];
+    const [phpConstraint, phpSource] =
+      phpSources.find(([constraint]) => constraint) || [];
+    if (phpConstraint) {
+      const candidates = [
+        ...(MAGENTO_VERSION_MATRIX[release]?.php || []),
+        ...[...ENV_SETTINGS.PHP_VERSION.values].reverse(),
+      ];
+      const phpVersion = candidates.find((version) =>
+        phpConstraintAllows(phpConstraint, version),
+      );
+      if (phpVersion) {
+        settings.php_version = phpVersion;
+        notes.push(`PHP ${phpVersion}: ${phpSource} requires ${phpConstraint}`);
       } else {
-        return [];
+        notes.push(
+          `PHP: no supported version matches ${phpConstraint} from ${phpSource}; using the default`,
+        );
       }
-    } catch (error) {
-      return [];
     }
-  }
 
-  async startProject(args) {
-    const { project_path } = args;
-    return await this.executeWardenCommand(
-      project_path,
-      ["env", "up"],
-      "Starting Warden project environment",
-    );
-  }
+    // Search engine: the configured engine, else the enabled modules
+    const engine = envPhp?.match(
+      /'engine'\s*=>\s*'(opensearch|elasticsearch\d*)'/,
+    )?.[1];
+    if (
+      engine?.startsWith("elasticsearch") &&
+      !["2.4.4", "2.4.5"].includes(release)
+    ) {
+      settings.enable_elasticsearch = true;
+      settings.enable_opensearch = false;
+      settings.elasticsearch_version =
+        engine === "elasticsearch8" ? "8.11" : "7.17";
+      notes.push(
+        `Search: Elasticsearch ${settings.elasticsearch_version} (app/etc/env.php uses the ${engine} engine)`,
+      );
+    } else if (
+      engine ||
+      moduleEnabled("Magento_OpenSearch") ||
+      MAGENTO_VERSION_MATRIX[release]
+    ) {
+      notes.push(
+        `Search: OpenSearch (${engine ? `app/etc/env.php uses the ${engine} engine` : moduleEnabled("Magento_OpenSearch") ? "Magento_OpenSearch is enabled in app/etc/config.php" : `supported by Magento ${release}`})`,
+      );
+    } else if (magentoVersion) {
+      settings.enable_elasticsearch = true;
+      settings.enable_opensearch = false;
+      notes.push(
+        `Search: Elasticsearch 7.17 (Magento ${magentoVersion} predates OpenSearch support)`,
+      );
+    }
 
-  async stopProject(args) {
-    const { project_path } = args;
-    return await this.executeWardenCommand(
-      project_path,
-      ["env", "down"],
-      "Stopping Warden project environment",
-    );
-  }
+    // Services the previous environment used
+    if (envPhp) {
+      settings.enable_redis = /Backend\\+Redis|'save'\s*=>\s*'redis'/.test(
+        envPhp,
+      );
+      settings.enable_rabbitmq = /'amqp'\s*=>/.test(envPhp);
+      settings.enable_varnish = /'http_cache_hosts'\s*=>/.test(envPhp);
+      notes.push(
+        `Services from app/etc/env.php: Redis ${settings.enable_redis ? "on" : "off"}, RabbitMQ ${settings.enable_rabbitmq ? "on" : "off"}, Varnish ${settings.enable_varnish ? "on" : "off"}`,
+      );
+    }
 
-  async startSvc(args) {
-    const { project_path } = args;
-    return await this.executeWardenCommand(
-      project_path,
-      ["svc", "up"],
-      "Starting Warden system services",
+    const hyva = [...packages.keys()].find((name) =>
+      name.startsWith("hyva-themes/"),
     );
+    if (hyva || moduleEnabled("Hyva_Theme")) {
+      settings.node_version = "20";
+      notes.push(
+        `Hyvä theme (${hyva || "Hyva_Theme module"}): Node 20 for the Tailwind build; its packages need Hyvä's Composer repository credentials`,
+      );
+    }
+
+    return {
+      settings,
+      notes,
+      existingEnv: envPhp
+        ? {
+            cryptKey: envPhp.match(
+              /'crypt'\s*=>\s*\[\s*'key'\s*=>\s*'([^']*)'/,
+            )?.[1],
+            tablePrefix: envPhp.match(/'table_prefix'\s*=>\s*'([^']*)'/)?.[1],
+            frontName: envPhp.match(/'frontName'\s*=>\s*'([^']*)'/)?.[1],
+          }
+        : null,
+    };
   }
 
-  async stopSvc(args) {
-    const { project_path } = args;
-    return await this.executeWardenCommand(
-      project_path,
-      ["svc", "down"],
-      "Stopping Warden system services",
+  /**
+   * Write app/etc/env.php for the Warden services of the project. An
+   * existing env.php is kept next to it as a backup, and its crypt key,
+   * table prefix and admin path are carried over so encrypted config and
+   * the existing database keep working.
+   */
+  writeWardenEnvPhp(absoluteProjectPath, inspection, release) {
+    const env = this.readProjectEnv(absoluteProjectPath);
+    const enabled = new Set(
+      this.getExpectedServices(env).map(({ service }) => service),
     );
-  }
+    const existing = inspection.existingEnv || {};
+    const baseUrl = this.getProjectBaseUrl(absoluteProjectPath);
+    const search = this.getSearchEngineSettings(enabled, release, env);
+    const redisCache = (database) => ({
+      id_prefix: "",
+      backend: "Magento\\Framework\\Cache\\Backend\\Redis",
+      backend_options: { server: "redis", database, port: "6379" },
+    });
 
-  async runDbQuery(args) {
-    const { project_path, query, database = "magento" } = args;
+    const config = {
+      backend: { frontName: existing.frontName || "backend" },
+      crypt: { key: existing.cryptKey || randomBytes(16).toString("hex") },
+      db: {
+        table_prefix: existing.tablePrefix || "",
+        connection: {
+          default: {
+            host: "db",
+            dbname: "magento",
+            username: "magento",
+            password: "magento",
+            model: "mysql4",
+            engine: "innodb",
+            initStatements: "SET NAMES utf8;",
+            active: "1",
+            driver_options: { 1014: false },
+          },
+        },
+      },
+      resource: { default_setup: { connection: "default" } },
+      "x-frame-options": "SAMEORIGIN",
+      MAGE_MODE: "developer",
+      session: enabled.has("redis")
+        ? {
+            save: "redis",
+            redis: {
+              host: "redis",
+              port: "6379",
+              password: "",
+              timeout: "2.5",
+              database: "2",
+              max_concurrency: "20",
+            },
+          }
+        : { save: "files" },
+      ...(enabled.has("redis")
+        ? {
+            cache: {
+              frontend: {
+                default: redisCache("0"),
+                page_cache: redisCache("1"),
+              },
+            },
+          }
+        : {}),
+      ...(enabled.has("rabbitmq")
+        ? {
+            queue: {
+              amqp: {
+                host: "rabbitmq",
+                port: "5672",
+                user: "guest",
+                password: "guest",
+                virtualhost: "/",
+              },
+            },
+          }
+        : {}),
+      ...(enabled.has("varnish")
+        ? { http_cache_hosts: [{ host: "varnish", port: "80" }] }
+        : {}),
+      cache_types: Object.fromEntries(
+        MAGENTO_CACHE_TYPES.map((type) => [type, 1]),
+      ),
+      install: { date: new Date().toUTCString() },
+      system: {
+        default: {
+          web: {
+            unsecure: { base_url: baseUrl },
+            secure: {
+              base_url: baseUrl,
+              use_in_frontend: "1",
+              use_in_adminhtml: "1",
+            },
+          },
+          ...(search
+            ? {
+                catalog: {
+                  search: {
+                    engine: search.engine,
+                    [`${search.engine}_server_hostname`]: search.host,
+                    [`${search.engine}_server_port`]: "9200",
+                    [`${search.engine}_index_prefix`]: "magento2",
+                    [`${search.engine}_enable_auth`]: "0",
+                    [`${search.engine}_server_timeout`]: "15",
+                  },
+                },
+              }
+            : {}),
+        },
+      },
+    };
 
-    const wardenCommand = [
-      "env",
-      "exec",
-      "-T",
-      "db",
-      "mysql",
-      "-u",
-      "root",
-      "-pmagento",
-      database,
-      "-e",
-      query,
-    ];
+    const envPhpPath = join(absoluteProjectPath, "app", "etc", "env.php");
+    mkdirSync(dirname(envPhpPath), { recursive: true });
+    let backup = null;
+    if (existsSync(envPhpPath)) {
+      backup = `app/etc/env.php.${this.createRunId()}.bak`;
+      renameSync(envPhpPath, join(absoluteProjectPath, backup));
+    }
+    writeFileSync(envPhpPath, `<?php\nreturn ${this.toPhpArray(config)};\n`);
 
-    return await this.executeWardenCommand(
-      project_path,
-      wardenCommand,
-      `Running database query in ${database}`,
-    );
+    return `app/etc/env.php written for the Warden services${backup ? ` (previous one saved as ${backup}; crypt key, table prefix and admin path kept)` : ""}`;
+  }
+
+  /**
+   * Render a JSON-like value as a PHP short array literal.
+   */
+  toPhpArray(value, indent = "") {
+    const quote = (text) =>
+      `'${String(text).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+    if (value === null) {
+      return "null";
+    }
+    if (typeof value === "boolean") {
+      return value ? "true" : "false";
+    }
+    if (typeof value === "number") {
+      return String(value);
+    }
+    if (typeof value !== "object") {
+      return quote(value);
+    }
+
+    const inner = `${indent}    `;
+    const entries = Array.isArray(value)
+      ? value.map((item) => `${inner}${this.toPhpArray(item, inner)}`)
+      : Object.entries(value).map(
+          ([key, item]) =>
+            `${inner}${/^\d+$/.test(key) ? key : quote(key)} => ${this.toPhpArray(item, inner)}`,
+        );
+    return entries.length > 0 ? `[\n${entries.join(",\n")},\n${indent}]` : "[]";
   }
 
-  async runPhpScript(args) {
-    const { project_path, script_path, args: scriptArgs = [] } = args;
+  /**
+   * Bootstrap a Magento store in a freshly initialized project, one stage at
+   * a time. Stops at the first failing stage; the result lists every stage
+   * with its status, duration and command log.
+   */
+  async installMagento(absoluteProjectPath, options) {
+    const {
+      magento_version,
+      release,
+      edition = "community",
+      admin_user = "admin",
+      admin_email = "admin@example.com",
+      sample_data = false,
+    } = options;
+    const adminPassword =
+      options.admin_password || this.generateAdminPassword();
 
-    const wardenCommand = [
+    const env = this.readProjectEnv(absoluteProjectPath);
+    const enabled = new Set(
+      this.getExpectedServices(env).map(({ service }) => service),
+    );
+    const baseUrl = this.getProjectBaseUrl(absoluteProjectPath);
+    const magento = (...magentoArgs) => [
       "env",
       "exec",
       "-T",
       "php-fpm",
       "php",
-      script_path,
-      ...scriptArgs,
+      "bin/magento",
+      magentoArgs[0],
+      "--no-interaction",
+      ...magentoArgs.slice(1),
     ];
+    const php = (...command) => ["env", "exec", "-T", "php-fpm", ...command];
+    const describe = (command) =>
+      command.includes("php-fpm")
+        ? formatCommand(command.slice(command.indexOf("php-fpm") + 1))
+        : formatCommand(["warden", ...command]);
+    const composerPackage = `magento/project-${edition}-edition${magento_version ? `=${magento_version}` : ""}`;
 
-    return await this.executeWardenCommand(
-      project_path,
-      wardenCommand,
-      `Running PHP script: ${script_path}`,
-    );
-  }
+    const stages = [
+      { name: "start_services", commands: [["svc", "up"]] },
+      { name: "start_environment", commands: [["env", "up"]] },
+      {
+        name: "wait_for_services",
+        run: () =>
+          this.waitForHealthyServices(
+            absoluteProjectPath,
+            ["db", "opensearch", "elasticsearch"].filter((service) =>
+              enabled.has(service),
+            ),
+          ),
+      },
+      {
+        name: "create_project",
+        skip: existsSync(join(absoluteProjectPath, "vendor", "autoload.php"))
+          ? "vendor/ already exists; using the existing code"
+          : null,
+        // create-project needs an empty directory, and the project root
+        // already holds .env. Existing code only needs its dependencies
+        commands: existsSync(join(absoluteProjectPath, "composer.json"))
+          ? [php("composer", "install", "--no-interaction")]
+          : [
+              php(
+                "composer",
+                "create-project",
+                "--no-interaction",
+                "--repository-url=https://repo.magento.com/",
+                composerPackage,
+                "/tmp/create-project",
+              ),
+              php(
+                "rsync",
+                "-a",
+                "/tmp/create-project/",
+                `${CONTAINER_WEB_ROOT}/`,
+              ),
+              php("rm", "-rf", "/tmp/create-project"),
+            ],
+      },
+      {
+        name: "setup_install",
+        commands: [
+          magento(
+            "setup:install",
+            ...this.buildSetupInstallOptions(enabled, baseUrl, release, env),
+          ),
+        ],
+      },
+      {
+        name: "configure",
+        commands: [
+          magento("config:set", "web/seo/use_rewrites", "1"),
+          ...(enabled.has("varnish")
+            ? [
+                magento(
+                  "config:set",
+                  "system/full_page_cache/caching_application",
+                  "2",
+                ),
+                magento("config:set", "system/full_page_cache/ttl", "604800"),
+              ]
+            : []),
+        ],
+      },
+      {
+        name: "create_admin_user",
+        commands: [
+          magento(
+            "admin:user:create",
+            `--admin-user=${admin_user}`,
+            `--admin-password=${adminPassword}`,
+            `--admin-email=${admin_email}`,
+            "--admin-firstname=Admin",
+            "--admin-lastname=User",
+          ),
+        ],
+      },
+      {
+        name: "developer_mode",
+        commands: [magento("deploy:mode:set", "developer")],
+      },
+      {
+        name: "sample_data",
+        skip: sample_data ? null : "sample_data not requested",
+        commands: [magento("sampledata:deploy"), magento("setup:upgrade")],
+      },
+      {
+        name: "reindex",
+        commands: [magento("indexer:reindex"), magento("cache:flush")],
+      },
+    ];
 
-  async runMagentoCli(args) {
-    const { project_path, command, args: commandArgs = [] } = args;
+    const results = [];
+    let failed = null;
+    for (const stage of stages) {
+      if (failed) {
+        results.push({ stage: stage.name, status: "not_run" });
+        continue;
+      }
+      if (stage.skip) {
+        results.push({
+          stage: stage.name,
+          status: "skipped",
+          detail: stage.skip,
+        });
+        continue;
+      }
 
-    const wardenCommand = [
-      "env",
-      "exec",
-      "-T",
-      "php-fpm",
-      "php",
-      "bin/magento",
-      command,
-      ...commandArgs,
-    ];
+      const started = Date.now();
+      const entry = { stage: stage.name, status: "succeeded", log_ids: [] };
+      try {
+        if (stage.run) {
+          entry.detail = await stage.run();
+        }
+        for (const command of stage.commands || []) {
+          const result = await this.executeLoggedCommand(
+            "warden",
+            command,
+            absoluteProjectPath,
+          );
+          entry.log_ids.push(result.logId);
+          if (result.code !== 0) {
+            throw new Error(
+              `${describe(command)} exited with code ${result.code}:\n${this.truncateOutput(`${result.stdout}${result.stderr}`.trim(), result.logId)}`,
+            );
+          }
+        }
+      } catch (error) {
+        entry.status = error.aborted || "failed";
+        entry.error = error.message;
+        failed = entry;
+      }
+      entry.duration_seconds = Math.round((Date.now() - started) / 1000);
+      results.push(entry);
+    }
 
-    return await this.executeWardenCommand(
-      project_path,
-      wardenCommand,
-      `Running Magento CLI: bin/magento ${command}`,
-    );
+    const lines = results.map((entry) => {
+      const details = [
+        entry.duration_seconds !== undefined
+          ? `${entry.duration_seconds}s`
+          : null,
+        entry.log_ids?.length ? `log ${entry.log_ids.join(", ")}` : null,
+        entry.detail,
+      ].filter(Boolean);
+      return `- ${entry.stage}: ${entry.status}${details.length > 0 ? ` (${details.join("; ")})` : ""}`;
+    });
+
+    if (failed) {
+      return {
+        success: false,
+        stages: results,
+        text: `Installation:\n${lines.join("\n")}\n\nStage ${failed.stage} failed:\n${failed.error}\n\nThe stages after it were not run. warden_command_log shows the full output of each log.`,
+      };
+    }
+
+    return {
+      success: true,
+      stages: results,
+      text: `Installation:\n${lines.join("\n")}\n\nStorefront: ${baseUrl}\nAdmin: ${baseUrl}backend/\nAdmin user: ${admin_user}\nAdmin password: ${adminPassword}`,
+    };
   }
 
-  async runUnitTests(args) {
-    const {
-      project_path,
-      config_file = "",
-      test_path = "",
-      extra_args = [],
-    } = args;
+  /**
+   * Magento search engine for the enabled Warden search service. Before
+   * 2.4.6 Magento talks to OpenSearch through its elasticsearch7 engine.
+   */
+  getSearchEngineSettings(enabled, release, env) {
+    if (enabled.has("opensearch")) {
+      return {
+        engine: ["2.4.4", "2.4.5"].includes(release)
+          ? "elasticsearch7"
+          : "opensearch",
+        host: "opensearch",
+      };
+    }
+    if (enabled.has("elasticsearch")) {
+      return {
+        engine: String(env.ELASTICSEARCH_VERSION || "").startsWith("8")
+          ? "elasticsearch8"
+          : "elasticsearch7",
+        host: "elasticsearch",
+      };
+    }
+    return null;
+  }
 
-    // Determine which config file to use
-    let actualConfigFile = config_file;
-    if (!actualConfigFile) {
-      const normalizedProjectPath = project_path.replace(/\/+$/, "");
-      const absoluteProjectPath = resolve(normalizedProjectPath);
+  /**
+   * setup:install options pointing Magento at the Warden services that are
+   * enabled.
+   */
+  buildSetupInstallOptions(enabled, baseUrl, release, env) {
+    const options = [
+      `--base-url=${baseUrl}`,
+      `--base-url-secure=${baseUrl}`,
+      "--use-secure=1",
+      "--use-secure-admin=1",
+      "--use-rewrites=1",
+      "--backend-frontname=backend",
+      "--db-host=db",
+      "--db-name=magento",
+      "--db-user=magento",
+      "--db-password=magento",
+    ];
 
-      // Check for phpunit.xml.dist first, then fallback to phpunit.xml
-      const phpunitDistPath = join(absoluteProjectPath, "phpunit.xml.dist");
-      const phpunitPath = join(absoluteProjectPath, "phpunit.xml");
+    const search = this.getSearchEngineSettings(enabled, release, env);
+    if (search) {
+      const prefix =
+        search.engine === "opensearch" ? "opensearch" : "elasticsearch";
+      options.push(
+        `--search-engine=${search.engine}`,
+        `--${prefix}-host=${search.host}`,
+        `--${prefix}-port=9200`,
+        `--${prefix}-index-prefix=magento2`,
+        `--${prefix}-enable-auth=0`,
+        `--${prefix}-timeout=15`,
+      );
+    }
 
-      if (existsSync(phpunitDistPath)) {
-        actualConfigFile = "phpunit.xml.dist";
-      } else if (existsSync(phpunitPath)) {
-        actualConfigFile = "phpunit.xml";
-      } else {
-        throw new Error(
-          "No PHPUnit configuration file found (phpunit.xml.dist or phpunit.xml)",
-        );
-      }
+    if (enabled.has("redis")) {
+      options.push(
+        "--session-save=redis",
+        "--session-save-redis-host=redis",
+        "--session-save-redis-port=6379",
+        "--session-save-redis-db=2",
+        "--session-save-redis-max-concurrency=20",
+        "--cache-backend=redis",
+        "--cache-backend-redis-server=redis",
+        "--cache-backend-redis-db=0",
+        "--cache-backend-redis-port=6379",
+        "--page-cache=redis",
+        "--page-cache-redis-server=redis",
+        "--page-cache-redis-db=1",
+        "--page-cache-redis-port=6379",
+      );
     }
 
-    const wardenCommand = [
-      "env",
-      "exec",
-      "-T",
-      "php-fpm",
-      "php",
-      "vendor/phpunit/phpunit/phpunit",
-      "-c",
-      actualConfigFile,
-    ];
+    if (enabled.has("rabbitmq")) {
+      options.push(
+        "--amqp-host=rabbitmq",
+        "--amqp-port=5672",
+        "--amqp-user=guest",
+        "--amqp-password=guest",
+      );
+    }
 
-    if (test_path && test_path.trim() !== "") {
-      wardenCommand.push(test_path);
+    if (enabled.has("varnish")) {
+      options.push("--http-cache-hosts=varnish:80");
     }
 
-    wardenCommand.push(...extra_args);
+    return options;
+  }
 
-    const commandStr = `warden ${wardenCommand.join(" ")}`;
-    const normalizedProjectPath = project_path.replace(/\/+$/, "");
-    const absoluteProjectPath = resolve(normalizedProjectPath);
+  /**
+   * Poll `warden env ps` until the given services run and, where they have
+   * a health check, report healthy.
+   */
+  async waitForHealthyServices(absoluteProjectPath, names) {
+    const signal = this.requestContext.getStore()?.signal;
+    const deadline = Date.now() + INSTALL_HEALTH_TIMEOUT * 1000;
+    let waiting = names;
 
-    const debugInfo = `
-Debug Information:
-- Project Path: ${absoluteProjectPath}
-- Config File Used: ${actualConfigFile}
-- Test Path: ${test_path || "(all tests)"}
-- Extra Args: ${extra_args.length > 0 ? extra_args.join(" ") : "(none)"}
-- Full Command: ${commandStr}
-`;
+    while (waiting.length > 0) {
+      const services = await this.getComposeServices(absoluteProjectPath);
+      waiting = names.filter((name) => {
+        const service = services.find((item) => item.service === name);
+        return (
+          service?.state !== "running" ||
+          (service.health !== null && service.health !== "healthy")
+        );
+      });
+      if (waiting.length === 0) {
+        break;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `Services not healthy after ${INSTALL_HEALTH_TIMEOUT} seconds: ${waiting.join(", ")} (see warden_env_status and warden_logs)`,
+        );
+      }
+      try {
+        await delay(5000, undefined, { signal });
+      } catch (error) {
+        throw signal?.reason || error;
+      }
+    }
 
-    try {
-      const result = await this.executeCommand(
-        "warden",
-        wardenCommand,
-        absoluteProjectPath,
-      );
+    return names.length > 0 ? `${names.join(", ")} healthy` : undefined;
+  }
 
-      const isSuccess = result.code === 0;
+  /**
+   * Random admin password meeting Magento's rules (letters and digits, at
+   * least 7 characters).
+   */
+  generateAdminPassword() {
+    return `${randomBytes(9).toString("base64url")}9a`;
+  }
 
+  /**
+   * Service versions for warden_init_project. Without magento_version these
+   * are the explicit arguments or the environment type's defaults; with it, missing
+   * versions come from MAGENTO_VERSION_MATRIX and explicit ones that the
+   * release does not support produce a warning, or an error when strict.
+   */
+  resolveInitVersions(
+    args,
+    mysqlDistribution,
+    strict,
+    defaults = INIT_PROJECT_DEFAULTS,
+  ) {
+    const explicit = Object.fromEntries(
+      [...Object.keys(INIT_PROJECT_DEFAULTS), "rabbitmq_version"]
+        .filter((key) => args[key] !== undefined && args[key] !== "")
+        .map((key) => [key, String(args[key])]),
+    );
+
+    if (!args.magento_version) {
       return {
-        content: [
-          {
-            type: "text",
-            text: `Running PHPUnit tests with config: ${actualConfigFile} ${isSuccess ? "completed successfully" : "failed"}!\n${debugInfo}\nExit Code: ${result.code}\n\nOutput:\n${result.stdout || "(no output)"}\n\nErrors:\n${result.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: !isSuccess,
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Failed to execute PHPUnit tests:\n${debugInfo}\nError: ${error.message}\n\nOutput:\n${error.stdout || "(no output)"}\n\nErrors:\n${error.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: true,
+        versions: { ...defaults, ...explicit },
+        release: null,
+        warnings: [],
       };
     }
-  }
 
-  async runComposer(args) {
-    const { project_path, command } = args;
-
-    if (!project_path) {
-      throw new Error("project_path is required");
+    const match = String(args.magento_version).match(/^2\.4\.(\d+)(?:-p\d+)?$/);
+    const release = match ? `2.4.${match[1]}` : null;
+    const requirements = MAGENTO_VERSION_MATRIX[release];
+    if (!requirements) {
+      throw new Error(
+        `Unknown Magento version ${args.magento_version}; known releases: ${Object.keys(MAGENTO_VERSION_MATRIX).join(", ")} (patch releases such as 2.4.7-p3 are accepted)`,
+      );
     }
 
-    if (!command) {
-      throw new Error("command is required");
+    const supported = {
+      php_version: requirements.php,
+      mysql_version: requirements[mysqlDistribution],
+      composer_version: requirements.composer,
+      opensearch_version: requirements.opensearch,
+      redis_version: requirements.redis,
+      rabbitmq_version: requirements.rabbitmq,
+    };
+    if (!supported.mysql_version) {
+      throw new Error(
+        `Unknown mysql_distribution ${mysqlDistribution}; use mariadb or mysql`,
+      );
     }
 
-    const normalizedProjectPath = project_path.replace(/\/+$/, "");
-    const absoluteProjectPath = resolve(normalizedProjectPath);
+    const versions = {};
+    const problems = [];
+    for (const [key, values] of Object.entries(supported)) {
+      versions[key] = explicit[key] ?? values[0];
+      if (explicit[key] && !values.includes(explicit[key])) {
+        problems.push(
+          `${key} ${explicit[key]} is not supported by Magento ${release} (supported: ${values.join(", ")})`,
+        );
+      }
+    }
 
-    if (!existsSync(absoluteProjectPath)) {
+    if (strict && problems.length > 0) {
       throw new Error(
-        `Project directory does not exist: ${absoluteProjectPath}`,
+        `Incompatible versions for Magento ${args.magento_version}:\n- ${problems.join("\n- ")}`,
       );
     }
 
+    return { versions, release, warnings: problems };
+  }
+
+  /**
+   * Run a command whose output may be long or slow to arrive. Output is
+   * written to a command log under the state directory as it arrives and, when
+   * the client asked for progress, forwarded as MCP progress notifications.
+   * Resolves like executeCommand, plus the log ID.
+   */
+  async executeLoggedCommand(command, args, cwd) {
+    const logId = this.createRunId();
+    const logDirectory = this.getCommandLogDirectory();
+    mkdirSync(logDirectory, { recursive: true });
+    this.pruneCommandLogs(logDirectory);
+
+    const log = createWriteStream(join(logDirectory, `${logId}.log`));
+    log.write(
+      `$ ${formatLoggedCommand([command, ...args])}\n# cwd: ${cwd}\n# started: ${new Date().toISOString()}\n\n`,
+    );
+
+    const progress = this.createProgressReporter();
+    const job = this.requestContext.getStore()?.job;
+    const finish = async (summary) => {
+      progress.flush();
+      log.end(`\n# ${summary}\n`);
+      await new Promise((done) => log.on("close", done));
+    };
+
     try {
-      // First, check if composer2 is available
-      const composer2CheckResult = await this.executeCommand(
-        "warden",
-        ["env", "exec", "-T", "php-fpm", "which", "composer2"],
-        absoluteProjectPath,
-      );
+      const result = await this.executeCommand(command, args, cwd, {
+        onOutput: (chunk) => {
+          log.write(chunk);
+          job?.log.write(chunk);
+          progress.push(chunk.toString());
+        },
+      });
+      await finish(`exit code: ${result.code}`);
+      if (job) {
+        job.record.exit_code = result.code;
+        job.record.log_ids.push(logId);
+        this.saveJobRecord(job.record);
+      }
+      return { ...result, logId };
+    } catch (error) {
+      await finish(`error: ${error.message}`);
+      error.logId = logId;
+      throw error;
+    }
+  }
 
-      let composerCommand = "composer2";
+  /**
+   * ID for logs and jobs: a UTC timestamp, so that IDs sort by age, plus a
+   * random suffix.
+   */
+  createRunId() {
+    return `${new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-")}-${randomBytes(3).toString("hex")}`;
+  }
 
-      if (composer2CheckResult.code !== 0) {
-        // composer2 not available, check for composer
-        const composerCheckResult = await this.executeCommand(
-          "warden",
-          ["env", "exec", "-T", "php-fpm", "which", "composer"],
-          absoluteProjectPath,
-        );
+  /**
+   * Send output to the client as progress notifications, at most one per
+   * PROGRESS_INTERVAL_MS. A no-op when the current tool call carries no
+   * progress token.
+   */
+  createProgressReporter() {
+    const progressToken = this.requestContext.getStore()?.progressToken;
+    let pending = "";
+    // MCP requires progress to increase with every notification; the bytes
+    // forwarded so far do, even for chunks without a newline
+    let bytes = 0;
+    let timer = null;
 
-        if (composerCheckResult.code !== 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Composer not found!\n\nNeither 'composer2' nor 'composer' commands are available in the php-fpm container.\n\nPlease install Composer version 2 in your container.`,
-              },
-            ],
-            isError: true,
-          };
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (progressToken === undefined || pending === "") {
+        return;
+      }
+      bytes += Buffer.byteLength(pending);
+      // Bursts (e.g. a dependency list) are cut to their end; the full text
+      // is in the log
+      const message =
+        pending.length > PROGRESS_MESSAGE_MAX_CHARS
+          ? `...${pending.slice(-PROGRESS_MESSAGE_MAX_CHARS)}`
+          : pending;
+      pending = "";
+      this.server
+        .notification({
+          method: "notifications/progress",
+          params: { progressToken, progress: bytes, message },
+        })
+        .catch(() => {});
+    };
+
+    return {
+      push: (text) => {
+        if (progressToken === undefined) {
+          return;
         }
+        pending += text;
+        timer = timer || setTimeout(flush, PROGRESS_INTERVAL_MS);
+      },
+      flush,
+    };
+  }
 
-        // Check composer version
-        const versionCheckResult = await this.executeCommand(
-          "warden",
-          ["env", "exec", "-T", "php-fpm", "composer", "--version"],
-          absoluteProjectPath,
-        );
+  /**
+   * Keep the first OUTPUT_HEAD_LINES and last OUTPUT_TAIL_LINES lines of
+   * long output and point to the command log for the rest.
+   */
+  truncateOutput(text, logId) {
+    const lines = (text || "").split("\n");
+    if (lines.length <= OUTPUT_HEAD_LINES + OUTPUT_TAIL_LINES) {
+      return text;
+    }
+    const omitted = lines.length - OUTPUT_HEAD_LINES - OUTPUT_TAIL_LINES;
+    return [
+      ...lines.slice(0, OUTPUT_HEAD_LINES),
+      `... [${omitted} lines omitted; read them with warden_command_log, log_id ${logId}] ...`,
+      ...lines.slice(-OUTPUT_TAIL_LINES),
+    ].join("\n");
+  }
 
-        if (versionCheckResult.code !== 0) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Failed to check Composer version!\n\nCommand: composer --version\nError: ${versionCheckResult.stderr}`,
-              },
-            ],
-            isError: true,
-          };
-        }
+  getCommandLogDirectory() {
+    return join(this.config.stateDir, "logs");
+  }
+
+  listCommandLogFiles(logDirectory) {
+    if (!existsSync(logDirectory)) {
+      return [];
+    }
+    // Run IDs start with a UTC timestamp, so names sort oldest first
+    return readdirSync(logDirectory)
+      .filter((file) => file.endsWith(".log"))
+      .sort();
+  }
+
+  /**
+   * Delete the oldest command logs so that a new one stays within
+   * WARDEN_MCP_LOG_RETENTION.
+   */
+  pruneCommandLogs(logDirectory) {
+    const files = this.listCommandLogFiles(logDirectory);
+    const excess = files.length - (this.config.logRetention - 1);
+    for (const file of files.slice(0, Math.max(excess, 0))) {
+      unlinkSync(join(logDirectory, file));
+    }
+  }
 
-        // Check if it's version 2
-        const versionOutput = versionCheckResult.stdout.toLowerCase();
-        if (!versionOutput.includes("composer version 2")) {
+  async readCommandLog(args = {}) {
+    const { log_id, offset = 0, limit = 500, search } = args;
+    const logDirectory = this.getCommandLogDirectory();
+
+    if (!log_id) {
+      const logs = this.listCommandLogFiles(logDirectory)
+        .reverse()
+        .slice(0, 20)
+        .map((file) => {
+          const path = join(logDirectory, file);
+          const buffer = Buffer.alloc(1024);
+          const fd = openSync(path, "r");
+          const bytesRead = readSync(fd, buffer, 0, buffer.length, 0);
+          closeSync(fd);
+          const header = buffer.subarray(0, bytesRead).toString();
           return {
-            content: [
-              {
-                type: "text",
-                text: `Composer version 2 is required!\n\nFound: ${versionCheckResult.stdout.trim()}\n\nPlease install or upgrade to Composer version 2.`,
-              },
-            ],
-            isError: true,
+            log_id: file.slice(0, -4),
+            command: header.split("\n")[0].replace(/^\$ /, ""),
+            started: header.match(/^# started: (.*)$/m)?.[1] || null,
+            size_bytes: statSync(path).size,
           };
-        }
+        });
+      return this.createJsonResponse({ logs });
+    }
 
-        composerCommand = "composer";
-      }
+    if (!/^[A-Za-z0-9-]+$/.test(log_id)) {
+      throw new Error(`Invalid log_id: ${log_id}`);
+    }
+    const logPath = join(logDirectory, `${log_id}.log`);
+    if (!existsSync(logPath)) {
+      throw new Error(`Command log not found: ${log_id}`);
+    }
 
-      // Parse the command string to handle arguments properly
-      const commandParts = command.trim().split(/\s+/);
-      const wardenCommand = [
-        "env",
-        "exec",
-        "-T",
-        "php-fpm",
-        composerCommand,
-        ...commandParts,
-      ];
+    const pattern = search ? this.compileSearchPattern(search, "search") : null;
 
-      const result = await this.executeCommand(
-        "warden",
-        wardenCommand,
-        absoluteProjectPath,
-      );
+    const lines = readFileSync(logPath, "utf8").trimEnd().split("\n");
+    let numbered = lines.map((text, index) => ({ line: index, text }));
+    if (pattern) {
+      numbered = numbered.filter((entry) => pattern.test(entry.text));
+    }
 
-      const commandStr = `${composerCommand} ${command}`;
-      const isSuccess = result.code === 0;
+    const start = offset < 0 ? Math.max(numbered.length + offset, 0) : offset;
+    const page = numbered.slice(start, start + limit);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Composer command ${isSuccess ? "completed successfully" : "failed"}!\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nExit Code: ${result.code}\n\nOutput:\n${result.stdout || "(no output)"}\n\nErrors:\n${result.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: !isSuccess,
-      };
-    } catch (error) {
-      const commandStr = `composer ${command}`;
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Failed to execute Composer command:\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nError: ${error.message}\n\nOutput:\n${error.stdout || "(no output)"}\n\nErrors:\n${error.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: true,
-      };
-    }
+    return this.createJsonResponse({
+      log_id,
+      total_lines: lines.length,
+      ...(search ? { search, matches: numbered.length } : {}),
+      offset: start,
+      returned_lines: page.length,
+      has_more: start + page.length < numbered.length,
+      output: search
+        ? page.map((entry) => `${entry.line}: ${entry.text}`).join("\n")
+        : page.map((entry) => entry.text).join("\n"),
+    });
   }
 
-  async executeWardenCommand(project_path, wardenArgs, description) {
-    if (!project_path) {
-      throw new Error("project_path is required");
-    }
+  getJobDirectory() {
+    return join(this.config.stateDir, "jobs");
+  }
 
-    const normalizedProjectPath = project_path.replace(/\/+$/, "");
-    const absoluteProjectPath = resolve(normalizedProjectPath);
+  /**
+   * Start a tool call as a background job. The job record (state, exit code
+   * and result) and its output are kept under the state directory, so they
+   * outlive the server process.
+   */
+  startJob(request) {
+    const { name, arguments: args = {} } = request.params;
+    const jobDirectory = this.getJobDirectory();
+    mkdirSync(jobDirectory, { recursive: true });
+    this.pruneJobs(jobDirectory);
 
-    if (!existsSync(absoluteProjectPath)) {
-      throw new Error(
-        `Project directory does not exist: ${absoluteProjectPath}`,
-      );
-    }
+    const jobId = this.createRunId();
+    const { background, ...toolArgs } = args;
+    const record = {
+      job_id: jobId,
+      tool: name,
+      arguments: toolArgs,
+      status: "running",
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      exit_code: null,
+      log_ids: [],
+      server: { pid: process.pid, instance: this.instanceId },
+    };
+    this.saveJobRecord(record);
 
-    try {
-      const result = await this.executeCommand(
-        "warden",
-        wardenArgs,
-        absoluteProjectPath,
+    const controller = this.createToolAbortController(name, args);
+    const job = {
+      record,
+      controller,
+      log: createWriteStream(join(jobDirectory, `${jobId}.log`), {
+        flags: "a",
+      }),
+    };
+    job.log.on("error", (error) => {
+      console.error(`Job ${jobId} output log failed: ${error.message}`);
+    });
+    this.jobs.set(jobId, job);
+
+    const finish = async (result, error) => {
+      controller.dispose();
+      const reason = controller.signal.aborted
+        ? controller.signal.reason?.aborted
+        : null;
+      record.status =
+        reason === "timeout"
+          ? "timed_out"
+          : reason === "cancelled"
+            ? "cancelled"
+            : error || result?.isError
+              ? "failed"
+              : "succeeded";
+      record.finished_at = new Date().toISOString();
+      record.result = error
+        ? { error: error.message }
+        : result.content.map((item) => item.text).join("\n");
+
+      // Not every tool logs its commands through executeLoggedCommand (dumps
+      // and imports stream instead), so the exit code and output come from
+      // the tool's result
+      let payload = null;
+      try {
+        payload = error ? null : JSON.parse(record.result);
+      } catch {
+        // Plain-text results carry no exit code
+      }
+      if (Number.isInteger(payload?.exit_code)) {
+        record.exit_code = payload.exit_code;
+      } else if (record.exit_code === null && !reason) {
+        record.exit_code = record.status === "succeeded" ? 0 : 1;
+      }
+      job.log.write(
+        `\n# ${record.status}${record.exit_code !== null ? `, exit code: ${record.exit_code}` : ""}\n${error ? `error: ${error.message}` : record.result}\n`,
       );
 
-      const commandStr = `warden ${wardenArgs.join(" ")}`;
-      const isSuccess = result.code === 0;
+      await new Promise((done) => job.log.end(done));
+      this.saveJobRecord(record);
+      this.jobs.delete(jobId);
+    };
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `${description} ${isSuccess ? "completed successfully" : "failed"}!\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nExit Code: ${result.code}\n\nOutput:\n${result.stdout || "(no output)"}\n\nErrors:\n${result.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: !isSuccess,
-      };
-    } catch (error) {
-      const commandStr = `warden ${wardenArgs.join(" ")}`;
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Failed to execute command:\n\nCommand: ${commandStr}\nWorking directory: ${absoluteProjectPath}\nError: ${error.message}\n\nOutput:\n${error.stdout || "(no output)"}\n\nErrors:\n${error.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: true,
-      };
+    job.done = this.requestContext
+      .run({ signal: controller.signal, job }, () =>
+        this.callTool({
+          ...request,
+          params: { ...request.params, arguments: toolArgs },
+        }),
+      )
+      .then(
+        (result) => finish(result, null),
+        (error) => finish(null, error),
+      )
+      .catch((error) => {
+        // The record could not be written (state directory removed, disk
+        // full); the job is dropped instead of taking the server down
+        console.error(`Job ${jobId} could not be finished: ${error.message}`);
+        this.jobs.delete(jobId);
+      });
+
+    return this.createJsonResponse({
+      job_id: jobId,
+      status: "running",
+      tool: name,
+      message:
+        "Started in the background. Check it with warden_job_status, read its output with warden_job_output and stop it with warden_job_cancel.",
+    });
+  }
+
+  saveJobRecord(record) {
+    const path = join(this.getJobDirectory(), `${record.job_id}.json`);
+    writeFileSync(`${path}.partial`, JSON.stringify(record, null, 2));
+    renameSync(`${path}.partial`, path);
+  }
+
+  /**
+   * Load a job record. A job still marked running whose server process is
+   * gone was interrupted by a restart and is marked as such.
+   */
+  loadJobRecord(jobId) {
+    if (!/^[A-Za-z0-9-]+$/.test(jobId || "")) {
+      throw new Error(`Invalid job_id: ${jobId}`);
+    }
+    const path = join(this.getJobDirectory(), `${jobId}.json`);
+    if (!existsSync(path)) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+
+    const record = JSON.parse(readFileSync(path, "utf8"));
+    if (
+      record.status === "running" &&
+      record.server.instance !== this.instanceId &&
+      !this.isProcessAlive(record.server.pid)
+    ) {
+      record.status = "interrupted";
+      record.finished_at = new Date().toISOString();
+      this.saveJobRecord(record);
     }
+    return record;
   }
 
-  async initProject(args) {
+  isProcessAlive(pid) {
     try {
-      const {
-        project_path,
-        project_name,
-        environment_type = "magento2",
-        php_version = "8.3",
-        mysql_distribution = "mariadb",
-        mysql_version = "10.6",
-        node_version = "20",
-        composer_version = "2",
-        opensearch_version = "2.12",
-        redis_version = "7.2",
-        enable_redis = true,
-        enable_opensearch = true,
-        enable_varnish = true,
-        enable_rabbitmq = true,
-        enable_xdebug = true,
-      } = args;
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === "EPERM";
+    }
+  }
 
-      const absoluteProjectPath = resolve(project_path);
+  /**
+   * Delete the oldest finished jobs so that a new one stays within
+   * WARDEN_MCP_LOG_RETENTION.
+   */
+  pruneJobs(jobDirectory) {
+    const jobIds = readdirSync(jobDirectory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -5))
+      .sort();
+    let excess = jobIds.length - (this.config.logRetention - 1);
+    for (const jobId of jobIds) {
+      if (excess <= 0) {
+        break;
+      }
+      let running;
+      try {
+        running = this.loadJobRecord(jobId).status === "running";
+      } catch {
+        // A corrupt record must not block new jobs; it is pruned like a
+        // finished one
+        running = false;
+      }
+      if (running) {
+        continue;
+      }
+      for (const extension of [".json", ".log"]) {
+        const path = join(jobDirectory, `${jobId}${extension}`);
+        if (existsSync(path)) {
+          unlinkSync(path);
+        }
+      }
+      excess--;
+    }
+  }
 
-      // Create project directory if it doesn't exist
-      execSync(`mkdir -p "${absoluteProjectPath}"`);
+  describeJob(record) {
+    const end = record.finished_at ? new Date(record.finished_at) : new Date();
+    return {
+      ...record,
+      duration_seconds: Math.round((end - new Date(record.started_at)) / 1000),
+    };
+  }
 
-      // Change to project directory and initialize warden environment
-      const result = await this.executeCommand(
-        "warden",
-        ["env", "init", project_name, environment_type],
-        absoluteProjectPath,
-      );
+  async getJobStatus(args = {}) {
+    const { job_id } = args;
 
-      if (result.code !== 0) {
-        throw new Error(`Warden init failed: ${result.stderr}`);
+    if (!job_id) {
+      const jobDirectory = this.getJobDirectory();
+      const jobs = existsSync(jobDirectory)
+        ? readdirSync(jobDirectory)
+            .filter((file) => file.endsWith(".json"))
+            .sort()
+            .reverse()
+            .slice(0, 20)
+            .map((file) => {
+              const {
+                result,
+                arguments: toolArgs,
+                ...record
+              } = this.describeJob(this.loadJobRecord(file.slice(0, -5)));
+              return { ...record, project_path: toolArgs.project_path };
+            })
+        : [];
+      return this.createJsonResponse({ jobs });
+    }
+
+    const record = this.describeJob(this.loadJobRecord(job_id));
+    if (typeof record.result === "string") {
+      try {
+        record.result = JSON.parse(record.result);
+      } catch {
+        // Text results stay as they are
       }
+    }
+    return this.createJsonResponse(record);
+  }
 
-      // Read the generated .env file and update it with custom parameters
-      const envFilePath = join(absoluteProjectPath, ".env");
+  async readJobOutput(args) {
+    const { job_id, offset = 0, limit = 500 } = args;
+    const record = this.loadJobRecord(job_id);
+    const logPath = join(this.getJobDirectory(), `${job_id}.log`);
+    const text = existsSync(logPath) ? readFileSync(logPath, "utf8") : "";
 
-      if (existsSync(envFilePath)) {
-        let envContent = readFileSync(envFilePath, "utf8");
+    // A trailing partial line of a running job is left for the next read
+    const lines = text.split("\n");
+    if (record.status === "running" || lines[lines.length - 1] === "") {
+      lines.pop();
+    }
 
-        // Update environment variables
-        const updates = {
-          PHP_VERSION: php_version,
-          MYSQL_DISTRIBUTION: mysql_distribution,
-          MYSQL_DISTRIBUTION_VERSION: mysql_version,
-          NODE_VERSION: node_version,
-          COMPOSER_VERSION: composer_version,
-          OPENSEARCH_VERSION: opensearch_version,
-          REDIS_VERSION: redis_version,
-          WARDEN_REDIS: enable_redis ? "1" : "0",
-          WARDEN_OPENSEARCH: enable_opensearch ? "1" : "0",
-          WARDEN_VARNISH: enable_varnish ? "1" : "0",
-          WARDEN_RABBITMQ: enable_rabbitmq ? "1" : "0",
-          PHP_XDEBUG_3: enable_xdebug ? "1" : "0",
-        };
+    const start = offset < 0 ? Math.max(lines.length + offset, 0) : offset;
+    const page = lines.slice(start, start + limit);
 
-        // Update each environment variable
-        for (const [key, value] of Object.entries(updates)) {
-          const regex = new RegExp(`^${key}=.*$`, "m");
-          if (envContent.match(regex)) {
-            envContent = envContent.replace(regex, `${key}=${value}`);
-          } else {
-            envContent += `\n${key}=${value}`;
-          }
-        }
+    return this.createJsonResponse({
+      job_id,
+      status: record.status,
+      total_lines: lines.length,
+      offset: start,
+      returned_lines: page.length,
+      next_offset: start + page.length,
+      has_more: start + page.length < lines.length,
+      output: page.join("\n"),
+    });
+  }
 
-        writeFileSync(envFilePath, envContent);
-      }
+  async cancelJob(args) {
+    const { job_id } = args;
+    const record = this.loadJobRecord(job_id);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Warden project initialized successfully!\n\nProject Path: ${absoluteProjectPath}\nProject Name: ${project_name}\nEnvironment Type: ${environment_type}\n\nConfiguration:\n- PHP Version: ${php_version}\n- MySQL: ${mysql_distribution} ${mysql_version}\n- Node.js: ${node_version}\n- Composer: ${composer_version}\n- OpenSearch: ${opensearch_version} (${enable_opensearch ? "enabled" : "disabled"})\n- Redis: ${redis_version} (${enable_redis ? "enabled" : "disabled"})\n- Varnish: ${enable_varnish ? "enabled" : "disabled"}\n- RabbitMQ: ${enable_rabbitmq ? "enabled" : "disabled"}\n- Xdebug: ${enable_xdebug ? "enabled" : "disabled"}\n\nNext steps:\n1. Navigate to: ${absoluteProjectPath}\n2. Run: warden env up\n3. Your environment will be available at: https://${project_name}.test\n\nOutput:\n${result.stdout}`,
-          },
-        ],
-        isError: false,
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Failed to initialize Warden project:\n\nProject Path: ${args.project_path}\nProject Name: ${args.project_name}\nError: ${error.message}\n\nOutput:\n${error.stdout || "(no output)"}\n\nErrors:\n${error.stderr || "(no errors)"}`,
-          },
-        ],
-        isError: true,
-      };
+    if (record.status !== "running") {
+      throw new Error(
+        `Job ${job_id} is not running (status: ${record.status})`,
+      );
+    }
+
+    const job = this.jobs.get(job_id);
+    if (!job) {
+      throw new Error(
+        `Job ${job_id} belongs to another server process (pid ${record.server.pid}) and can only be cancelled there`,
+      );
     }
+
+    job.controller.abort(
+      this.createAbortReason("cancelled", "Job cancelled by the client"),
+    );
+    await job.done;
+
+    return this.createJsonResponse(this.describeJob(job.record));
   }
 
-  executeCommand(command, args = [], cwd = process.cwd()) {
+  /**
+   * Spawn a command and collect its output.
+   * options.input: array of streams piped (in order) into the child's stdin.
+   * options.output: writable stream that receives stdout instead of the
+   * buffer; it is not ended, so several commands can write to one sink.
+   * options.onOutput: called with (chunk, "stdout" | "stderr") as output
+   * arrives, for buffered stdout and for stderr.
+   * options.signal: stops the command when aborted (default: the signal of
+   * the current tool call). The local process group is killed and, for
+   * `warden env exec`, so are the command's processes inside the container.
+   * The promise then rejects with error.aborted set to "timeout" or
+   * "cancelled" and the partial output attached.
+   */
+  executeCommand(command, args = [], cwd = process.cwd(), options = {}) {
+    const signal =
+      "signal" in options
+        ? options.signal
+        : this.requestContext.getStore()?.signal;
+    const containerTarget =
+      signal && options.containerCleanup !== false
+        ? this.tagContainerCommand(command, args)
+        : null;
+
     return new Promise((resolve, reject) => {
-      const childProcess = spawn(command, args, {
-        cwd,
-        stdio: ["pipe", "pipe", "pipe"],
-      });
+      if (signal?.aborted) {
+        reject(this.createAbortError(signal.reason, "", ""));
+        return;
+      }
+
+      // A process group of its own lets an abort kill the whole tree
+      const childProcess = spawn(
+        command,
+        containerTarget ? containerTarget.args : args,
+        {
+          cwd,
+          stdio: ["pipe", "pipe", "pipe"],
+          detached: true,
+        },
+      );
+      this.children.set(childProcess, { cwd, containerTarget });
 
       let stdout = "";
       let stderr = "";
+      let outputError = null;
+      let inputError = null;
+      let abortReason = null;
+      let killTimer = null;
+      const streams = [];
+      // Background jobs list every command; executeLoggedCommand adds the
+      // output of the main ones
+      this.requestContext
+        .getStore()
+        ?.job?.log.write(`$ ${formatLoggedCommand([command, ...args])}\n`);
 
-      childProcess.stdout.on("data", (data) => {
-        stdout += data.toString();
-      });
+      const onAbort = () => {
+        abortReason = signal.reason;
+        this.killProcessGroup(childProcess, "SIGTERM");
+        killTimer = setTimeout(
+          () => this.killProcessGroup(childProcess, "SIGKILL"),
+          5000,
+        );
+        killTimer.unref();
+        if (containerTarget) {
+          this.killContainerProcesses(cwd, containerTarget).catch(() => {});
+        }
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      if (options.output) {
+        childProcess.stdout.pipe(options.output, { end: false });
+        options.output.on("error", (error) => {
+          outputError = outputError || error;
+          childProcess.kill();
+        });
+        streams.push(
+          new Promise((done) => childProcess.stdout.on("end", done)),
+        );
+      } else {
+        childProcess.stdout.on("data", (data) => {
+          stdout += data.toString();
+          options.onOutput?.(data, "stdout");
+        });
+      }
+
+      if (options.input) {
+        streams.push(
+          pipeline(...options.input, childProcess.stdin).catch((error) => {
+            inputError = error;
+          }),
+        );
+      } else {
+        // Interactive prompts read EOF instead of waiting forever
+        childProcess.stdin.end();
+      }
 
       childProcess.stderr.on("data", (data) => {
         stderr += data.toString();
+        options.onOutput?.(data, "stderr");
       });
 
       childProcess.on("close", (code) => {
-        resolve({ stdout, stderr, code });
+        this.children.delete(childProcess);
+        signal?.removeEventListener("abort", onAbort);
+        clearTimeout(killTimer);
+        Promise.all(streams).then(() => {
+          if (abortReason) {
+            reject(this.createAbortError(abortReason, stdout, stderr));
+            return;
+          }
+          // A command that exits early explains itself on stderr, which is
+          // more useful than the resulting EPIPE on its stdin
+          const streamError = outputError || (code === 0 ? inputError : null);
+          if (streamError) {
+            streamError.stdout = stdout;
+            streamError.stderr = stderr;
+            reject(streamError);
+            return;
+          }
+          resolve({ stdout, stderr, code });
+        });
       });
 
       childProcess.on("error", (error) => {
+        this.children.delete(childProcess);
+        signal?.removeEventListener("abort", onAbort);
         const enhancedError = new Error(
           `Failed to spawn command: ${error.message}`,
         );
@@ -1001,8 +11454,134 @@ Debug Information:
     });
   }
 
+  describeCommandFailure(error, fallback) {
+    if (error.aborted === "timeout") {
+      return "Command timed out (partial output below)";
+    }
+    if (error.aborted === "cancelled") {
+      return "Command cancelled (partial output below)";
+    }
+    return fallback;
+  }
+
+  createAbortError(reason, stdout, stderr) {
+    const error = new Error(reason?.message || "Command aborted");
+    error.aborted = reason?.aborted || "cancelled";
+    error.stdout = stdout;
+    error.stderr = stderr;
+    return error;
+  }
+
+  killProcessGroup(childProcess, signalName) {
+    try {
+      process.kill(-childProcess.pid, signalName);
+    } catch {
+      // The process group is already gone
+    }
+  }
+
+  /**
+   * For `warden env exec`, prefix the container command with a unique
+   * environment variable so that its processes can be found (and killed)
+   * inside the container. Returns null for other commands.
+   */
+  tagContainerCommand(command, args) {
+    if (command !== "warden" || args[0] !== "env" || args[1] !== "exec") {
+      return null;
+    }
+
+    const optionsWithValue = [
+      "-e",
+      "--env",
+      "-u",
+      "--user",
+      "-w",
+      "--workdir",
+      "--index",
+    ];
+    let index = 2;
+    while (index < args.length && args[index].startsWith("-")) {
+      index += optionsWithValue.includes(args[index]) ? 2 : 1;
+    }
+    if (index >= args.length - 1) {
+      return null;
+    }
+
+    const tag = `WARDEN_MCP_RUN_ID=${randomBytes(8).toString("hex")}`;
+    return {
+      service: args[index],
+      tag,
+      args: [...args.slice(0, index + 1), "env", tag, ...args.slice(index + 1)],
+    };
+  }
+
+  async killContainerProcesses(cwd, { service, tag }) {
+    await this.executeCommand(
+      "warden",
+      [
+        "env",
+        "exec",
+        "-T",
+        service,
+        "sh",
+        "-c",
+        CONTAINER_KILL_SCRIPT,
+        "sh",
+        tag,
+      ],
+      cwd,
+      { signal: AbortSignal.timeout(30000), containerCleanup: false },
+    );
+  }
+
+  /**
+   * Stop every command that is still running: the local process groups
+   * get SIGTERM (SIGKILL after 5 seconds) and `warden env exec` commands
+   * are killed inside their containers as well.
+   */
+  shutdown() {
+    this.stopping ??= (async () => {
+      const children = [...this.children];
+      for (const [childProcess] of children) {
+        this.killProcessGroup(childProcess, "SIGTERM");
+      }
+      await Promise.race([
+        Promise.all(
+          children.map(([childProcess, { cwd, containerTarget }]) =>
+            Promise.all([
+              new Promise((done) => {
+                if (!this.children.has(childProcess)) {
+                  done();
+                }
+                childProcess.once("close", done);
+              }),
+              containerTarget
+                ? this.killContainerProcesses(cwd, containerTarget).catch(
+                    () => {},
+                  )
+                : null,
+            ]),
+          ),
+        ),
+        delay(5000),
+      ]);
+      for (const [childProcess] of children) {
+        if (this.children.has(childProcess)) {
+          this.killProcessGroup(childProcess, "SIGKILL");
+        }
+      }
+    })();
+    return this.stopping;
+  }
+
   async run() {
     const transport = new StdioServerTransport();
+    const stop = () => this.shutdown().finally(() => process.exit(0));
+    process.once("SIGTERM", stop);
+    process.once("SIGINT", stop);
+    // The client going away closes stdin; the transport does not notice
+    process.stdin.once("end", stop);
+    this.server.onclose = stop;
     await this.server.connect(transport);
     console.error("Warden Magento MCP server running on stdio");
   }
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatCommand,
+  formatLoggedCommand,
+  parseCommandArguments,
+  splitShellWords,
+} from "../lib/shell-words.js";
+
+test("splits on whitespace and keeps single-quoted text literally", () => {
+  assert.deepEqual(splitShellWords("cache:clean  'full page'\tconfig"), [
+    "cache:clean",
+    "full page",
+    "config",
+  ]);
+  assert.deepEqual(splitShellWords(`echo '$HOME \\" "x"'`), [
+    "echo",
+    '$HOME \\" "x"',
+  ]);
+});
+
+test('unescapes \\", \\$ and \\\\ inside double quotes only', () => {
+  assert.deepEqual(splitShellWords(String.raw`"say \"hi\"" "\$HOME" "a\\b"`), [
+    'say "hi"',
+    "$HOME",
+    "a\\b",
+  ]);
+  assert.deepEqual(splitShellWords(String.raw`"C:\path"`), ["C:\\path"]);
+});
+
+test("joins quoted and unquoted parts of one word", () => {
+  assert.deepEqual(splitShellWords(`--filter="a b"c ''`), [
+    "--filter=a bc",
+    "",
+  ]);
+});
+
+test("keeps version constraints with pipes and spaces together", () => {
+  assert.deepEqual(
+    parseCommandArguments('require "vendor/pkg:^1.0 || ^2.0"', "command"),
+    ["require", "vendor/pkg:^1.0 || ^2.0"],
+  );
+  assert.deepEqual(
+    parseCommandArguments("require 'vendor/pkg:>=1.2 <2.0'", "command"),
+    ["require", "vendor/pkg:>=1.2 <2.0"],
+  );
+});
+
+test("handles paths containing single and double quotes", () => {
+  assert.deepEqual(
+    splitShellWords(String.raw`run "dir/it's \"here\".php" 'say "x"'\''s'`),
+    ["run", `dir/it's "here".php`, `say "x"'s`],
+  );
+});
+
+test("rejects unquoted shell operators", () => {
+  for (const command of [
+    "require vendor/pkg:^1.0 || ^2.0",
+    "cache:flush; rm -rf /",
+    "list > out.txt",
+    "echo $(id)",
+    "list &",
+  ]) {
+    assert.throws(
+      () => splitShellWords(command, "command"),
+      /^Error: Unquoted '.' in command/,
+      command,
+    );
+  }
+});
+
+test("rejects unterminated quotes", () => {
+  assert.throws(
+    () => splitShellWords(`require "vendor/pkg`, "command"),
+    /Unterminated " quote in command/,
+  );
+  assert.throws(
+    () => splitShellWords("require 'vendor/pkg", "args"),
+    /Unterminated ' quote in args/,
+  );
+});
+
+test("passes arrays through and validates other values", () => {
+  assert.deepEqual(parseCommandArguments(undefined, "args"), []);
+  assert.deepEqual(parseCommandArguments(["a b", 2], "args"), ["a b", "2"]);
+  assert.throws(
+    () => parseCommandArguments(["a", {}], "args"),
+    /args must only contain strings/,
+  );
+  assert.throws(
+    () => parseCommandArguments(42, "args"),
+    /args must be a string or an array of strings/,
+  );
+});
+
+test("formatCommand output splits back into the same argv", () => {
+  const argv = [
+    "composer",
+    "require",
+    "vendor/pkg:^1.0 || ^2.0",
+    `dir/it's "here".php`,
+    "$HOME",
+    "a\\b",
+    "",
+    "plain/path-1.0",
+  ];
+  const formatted = formatCommand(argv);
+  assert.equal(
+    formatted.startsWith("composer require 'vendor/pkg:^1.0 || ^2.0'"),
+    true,
+  );
+  assert.deepEqual(splitShellWords(formatted), argv);
+});
+
+test("formatLoggedCommand masks passwords and abbreviates PHP scripts", () => {
+  assert.equal(
+    formatLoggedCommand([
+      "warden",
+      "env",
+      "exec",
+      "-T",
+      "db",
+      "mysqldump",
+      "-umagento",
+      "-pmagento",
+      "magento",
+    ]),
+    "warden env exec -T db mysqldump -umagento '-p***' magento",
+  );
+  assert.equal(
+    formatLoggedCommand([
+      "php",
+      "-r",
+      "echo 1;",
+      "--",
+      '{"user":"root","password":"se\\"cret","query":"SELECT 1"}',
+    ]),
+    `php -r '<PHP script, 7 bytes>' -- '{"user":"root","password":"***","query":"SELECT 1"}'`,
+  );
+  assert.equal(
+    formatLoggedCommand([
+      "bin/magento",
+      "--admin-password=x1",
+      "--db-password=magento",
+    ]),
+    "bin/magento '--admin-password=***' '--db-password=***'",
+  );
+  assert.equal(
+    formatLoggedCommand(["mkdir", "-p", "/tmp/x"]),
+    "mkdir -p /tmp/x",
+  );
+});
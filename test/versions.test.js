@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareVersions, phpConstraintAllows } from "../lib/versions.js";
+
+test("compares dotted versions numerically", () => {
+  assert.equal(compareVersions("2.4.10", "2.4.9"), 1);
+  assert.equal(compareVersions("1.0", "1.0.0"), 0);
+  assert.equal(compareVersions("1.2.0", "1.10.0"), -1);
+  assert.equal(compareVersions("8.2.*", "8.2"), 0);
+});
+
+test("compares arrays of version parts", () => {
+  assert.equal(compareVersions([8, 2, 999], [8, 2]), 1);
+  assert.equal(compareVersions([8, 1, 0], [9]), -1);
+});
+
+test("checks PHP minor versions against Composer constraints", () => {
+  const allowed = (constraint) =>
+    ["7.4", "8.0", "8.1", "8.2", "8.3", "8.4", "9.0"].filter((version) =>
+      phpConstraintAllows(constraint, version),
+    );
+  assert.deepEqual(allowed("~8.1.0"), ["8.1"]);
+  assert.deepEqual(allowed("~8.1"), ["8.1", "8.2", "8.3", "8.4"]);
+  assert.deepEqual(allowed("^8.1"), ["8.1", "8.2", "8.3", "8.4"]);
+  assert.deepEqual(allowed(">=8.1 <8.4"), ["8.1", "8.2", "8.3"]);
+  assert.deepEqual(allowed(">=8.1, <8.4"), ["8.1", "8.2", "8.3"]);
+  assert.deepEqual(allowed("8.2.*"), ["8.2"]);
+  assert.deepEqual(allowed("7.4||8.1"), ["7.4", "8.1"]);
+  assert.deepEqual(allowed("~7.4.0 || ~8.1.0"), ["7.4", "8.1"]);
+});
+
+test("rejects constraints it cannot read", () => {
+  assert.equal(phpConstraintAllows("dev-main", "8.2"), false);
+  assert.equal(phpConstraintAllows("@stable", "8.2"), false);
+});